@@ -1,7 +1,20 @@
 import 'dotenv/config';
+import crypto from 'node:crypto';
+import dns from 'node:dns';
+import fs from 'node:fs';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import tls from 'node:tls';
+import zlib from 'node:zlib';
+import { fileURLToPath } from 'node:url';
 import express from 'express';
 import { google } from 'googleapis';
 
+const APP_DIR = path.dirname(fileURLToPath(import.meta.url));
+
 // put near the top of server.js
 function getGooglePrivateKey() {
   let k = process.env.GOOGLE_PRIVATE_KEY || "";
@@ -24,32 +37,235 @@ const sheets = google.sheets({ version: "v4", auth });
 
 // -------------------- App bootstrap --------------------
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // notes imports post whole exports
 
 const NOTION_SECRET = process.env.NOTION_SECRET;
 const NOTION_VERSION = '2022-06-28';
 const TZ = process.env.TZ || 'America/Chicago';
+const BACKEND = (process.env.BACKEND || 'live').toLowerCase(); // 'live' | 'local'
+const hasNotion = () => BACKEND === 'local' || !!NOTION_SECRET;
 
-if (!NOTION_SECRET) {
+if (BACKEND === 'local') {
+  console.log('BACKEND=local: serving Notion and Sheets calls from the local data file.');
+} else if (!NOTION_SECRET) {
   console.warn('WARNING: NOTION_SECRET not set. Set it in env vars (Render) or .env for local dev.');
 }
 
 // -------------------- Notion helpers -------------------
-async function notion(path, { method = 'GET', body } = {}) {
-  const res = await fetch(`https://api.notion.com/v1${path}`, {
-    method,
-    headers: {
-      'Authorization': `Bearer ${NOTION_SECRET}`,
-      'Notion-Version': NOTION_VERSION,
-      'Content-Type': 'application/json'
-    },
-    body: body ? JSON.stringify(body) : undefined
+const NOTION_MAX_CONCURRENCY = Number(process.env.NOTION_MAX_CONCURRENCY) || 3;
+const NOTION_MIN_INTERVAL_MS = Number(process.env.NOTION_MIN_INTERVAL_MS) || 340; // ~3 req/s
+// 0 disables retries; anything but a whole number falls back to 4.
+const NOTION_MAX_RETRIES = /^\d+$/.test(process.env.NOTION_MAX_RETRIES || '') ? Number(process.env.NOTION_MAX_RETRIES) : 4;
+
+class NotionError extends Error {
+  constructor({ method, path, status, code, message, retryable }) {
+    super(`Notion ${method} ${path} -> ${status}${code ? ` ${code}` : ''}: ${message}`);
+    this.name = 'NotionError';
+    this.method = method;
+    this.path = path;
+    this.status = status;
+    this.code = code || null;
+    this.notionMessage = message;
+    this.retryable = !!retryable;
+  }
+}
+
+// Caps in-flight requests and spaces their start times to stay inside Notion's budget.
+const notionGate = { active: 0, queue: [], nextStart: 0 };
+
+function acquireNotionSlot() {
+  return new Promise(resolve => {
+    notionGate.queue.push(resolve);
+    drainNotionGate();
+  });
+}
+function releaseNotionSlot() {
+  notionGate.active--;
+  drainNotionGate();
+}
+function drainNotionGate() {
+  while (notionGate.active < NOTION_MAX_CONCURRENCY && notionGate.queue.length) {
+    const resolve = notionGate.queue.shift();
+    notionGate.active++;
+    const now = Date.now();
+    const startAt = Math.max(now, notionGate.nextStart);
+    notionGate.nextStart = startAt + NOTION_MIN_INTERVAL_MS;
+    setTimeout(resolve, startAt - now);
+  }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Reads (GET, query, search) and property PATCHes are safe to replay; creates and block appends are not.
+function isIdempotent(method, path) {
+  if (method === 'GET' || method === 'DELETE') return true;
+  if (method === 'POST') return /^\/databases\/[^/]+\/query$/.test(path) || path === '/search';
+  if (method === 'PATCH') return !path.endsWith('/children');
+  return false;
+}
+
+function backoffDelay(attempt) {
+  const base = Math.min(500 * 2 ** attempt, 8000);
+  return Math.round(base / 2 + Math.random() * base / 2);
+}
+
+function retryAfterMs(res) {
+  const h = res.headers.get('retry-after');
+  if (!h) return null;
+  const secs = Number(h);
+  if (Number.isFinite(secs)) return secs * 1000;
+  const at = Date.parse(h);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+async function toNotionError(res, method, path) {
+  const text = await res.text();
+  let body = null;
+  try { body = JSON.parse(text); } catch { /* non-JSON error page */ }
+  const status = res.status;
+  return new NotionError({
+    method, path, status,
+    code: body?.code,
+    message: body?.message || text || res.statusText,
+    retryable: status === 429 || status >= 500
   });
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Notion ${method} ${path} -> ${res.status}: ${text}`);
+}
+
+async function notionFetch(path, method, body) {
+  await acquireNotionSlot();
+  try {
+    return await fetch(`https://api.notion.com/v1${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${NOTION_SECRET}`,
+        'Notion-Version': NOTION_VERSION,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  } finally {
+    releaseNotionSlot();
+  }
+}
+
+async function notion(path, { method = 'GET', body } = {}) {
+  if (BACKEND === 'local') return localNotion(path, { method, body });
+  const idempotent = isIdempotent(method, path);
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await notionFetch(path, method, body);
+    } catch (err) {
+      // Network failure: the request may or may not have landed.
+      if (!idempotent || attempt >= NOTION_MAX_RETRIES) {
+        throw new NotionError({ method, path, status: 0, code: 'network_error', message: err.message, retryable: idempotent });
+      }
+      await sleep(backoffDelay(attempt));
+      continue;
+    }
+    if (res.ok) return res.json();
+
+    const error = await toNotionError(res, method, path);
+    // A 429 means Notion rejected the call outright, so even non-idempotent calls can be replayed.
+    const canRetry = res.status === 429 || (error.retryable && idempotent);
+    if (!canRetry || attempt >= NOTION_MAX_RETRIES) throw error;
+    const wait = retryAfterMs(res) ?? backoffDelay(attempt);
+    console.warn(`Notion ${method} ${path} -> ${res.status}, retry ${attempt + 1}/${NOTION_MAX_RETRIES} in ${wait}ms`);
+    await sleep(wait);
+  }
+}
+
+// Maps every thrown error to { error, code } with a client-meaningful status.
+// Upstream auth and server failures become 502; unknown errors never leak details.
+// Status + body for any thrown error; shared by sendError and batch reports.
+function errorResponse(err) {
+  if (err instanceof ApiError) {
+    return {
+      status: err.status,
+      body: {
+        error: err.message, code: err.code,
+        ...(err.field ? { field: err.field } : {}), ...(err.hint ? { hint: err.hint } : {}), ...(err.details || {})
+      }
+    };
+  }
+  if (err instanceof AmbiguousDatabaseError) {
+    return { status: err.status, body: { error: err.message, code: 'AMBIGUOUS_DATABASE', candidates: err.candidates } };
+  }
+  if (err instanceof NotionError) {
+    return {
+      status: [400, 404, 409, 429].includes(err.status) ? err.status : 502,
+      body: {
+        error: err.notionMessage, code: upstreamCode(err.status), upstream: 'notion',
+        upstreamStatus: err.status, upstreamCode: err.code, retryable: err.retryable
+      }
+    };
+  }
+  // googleapis (gaxios) errors carry the HTTP response.
+  const gStatus = err.response?.status;
+  if (gStatus) {
+    return {
+      status: [400, 404, 409, 429].includes(gStatus) ? gStatus : 502,
+      body: {
+        error: err.response.data?.error?.message || 'Google Sheets request failed',
+        code: upstreamCode(gStatus), upstream: 'sheets', upstreamStatus: gStatus, retryable: gStatus === 429 || gStatus >= 500
+      }
+    };
   }
-  return res.json();
+  // Plain errors a helper tagged as the caller's fault.
+  if (err.status >= 400 && err.status < 500) return { status: err.status, body: { error: err.message, code: 'INVALID_REQUEST' } };
+  return { status: 500, body: { error: 'Internal server error', code: 'INTERNAL' } };
+}
+
+function sendError(res, err) {
+  console.error(err);
+  const { status, body } = errorResponse(err);
+  res.status(status).json(body);
+}
+
+// Notion caps page_size at 100; every query helper below pages with start_cursor.
+const NOTION_MAX_PAGE_SIZE = 100;
+
+function clampPageSize(n, fallback = NOTION_MAX_PAGE_SIZE) {
+  const v = Number(n);
+  if (!Number.isFinite(v) || v <= 0) return fallback;
+  return Math.min(Math.floor(v), NOTION_MAX_PAGE_SIZE);
+}
+
+// Yields every page of a database query, following has_more/next_cursor.
+async function* iterateDatabaseQuery(database_id, body = {}) {
+  let cursor = body.start_cursor;
+  do {
+    const data = await notion(`/databases/${database_id}/query`, {
+      method: 'POST',
+      body: { ...body, page_size: clampPageSize(body.page_size), ...(cursor ? { start_cursor: cursor } : {}) }
+    });
+    for (const r of data.results || []) yield r;
+    cursor = data.has_more ? data.next_cursor : null;
+  } while (cursor);
+}
+
+async function queryAll(database_id, body = {}) {
+  const out = [];
+  for await (const r of iterateDatabaseQuery(database_id, body)) out.push(r);
+  return out;
+}
+
+// Single page of a query, for cursor-paged list endpoints.
+async function queryPage(database_id, body = {}, { cursor, pageSize } = {}) {
+  const data = await notion(`/databases/${database_id}/query`, {
+    method: 'POST',
+    body: { ...body, page_size: clampPageSize(pageSize), ...(cursor ? { start_cursor: cursor } : {}) }
+  });
+  return {
+    results: data.results || [],
+    nextCursor: data.has_more ? data.next_cursor : null
+  };
+}
+
+// List endpoints return everything unless the caller asks for a page.
+async function listDatabase(database_id, body, { cursor, pageSize } = {}) {
+  if (cursor || pageSize) return queryPage(database_id, body, { cursor, pageSize });
+  return { results: await queryAll(database_id, body), nextCursor: null };
 }
 
 function titleOf(dbOrPage) {
@@ -58,7 +274,52 @@ function titleOf(dbOrPage) {
       || '';
 }
 
-async function findDatabaseByName(name) {
+// -------------------- Database registry --------------------
+// Resolves database names to IDs once and caches each schema for DB_REGISTRY_TTL_MS.
+// NOTION_DATABASE_IDS pins names to IDs, e.g. "Action Base=abc123,Weekly Reviews=def456".
+const DB_REGISTRY_TTL_MS = Number(process.env.DB_REGISTRY_TTL_MS) || 10 * 60 * 1000;
+const CONFIGURED_DATABASE_IDS = parseDatabaseIds(process.env.NOTION_DATABASE_IDS);
+const dbRegistry = new Map(); // lowercased name -> { id, title, schema, fetchedAt }
+
+class AmbiguousDatabaseError extends Error {
+  constructor(name, candidates) {
+    super(`Database name "${name}" is ambiguous; use the exact title or configure NOTION_DATABASE_IDS. Candidates: ${candidates.map(c => `"${c.title}"`).join(', ')}`);
+    this.name = 'AmbiguousDatabaseError';
+    this.status = 409;
+    this.candidates = candidates;
+  }
+}
+
+function parseDatabaseIds(raw) {
+  const out = new Map();
+  for (const pair of (raw || '').split(',')) {
+    const i = pair.lastIndexOf('=');
+    if (i <= 0) continue;
+    out.set(pair.slice(0, i).trim().toLowerCase(), pair.slice(i + 1).trim());
+  }
+  return out;
+}
+
+function schemaOf(db) {
+  const schema = {};
+  for (const [name, prop] of Object.entries(db.properties || {})) {
+    const options = prop[prop.type]?.options;
+    schema[name] = {
+      type: prop.type,
+      ...(Array.isArray(options) ? { options: options.map(o => o.name) } : {})
+    };
+  }
+  return schema;
+}
+
+function registryEntry(db) {
+  return { id: db.id, title: titleOf(db), schema: schemaOf(db), fetchedAt: Date.now() };
+}
+
+async function resolveDatabase(name) {
+  const configuredId = CONFIGURED_DATABASE_IDS.get(name.toLowerCase());
+  if (configuredId) return notion(`/databases/${configuredId}`);
+
   const data = await notion('/search', {
     method: 'POST',
     body: {
@@ -67,10 +328,33 @@ async function findDatabaseByName(name) {
       page_size: 50
     }
   });
-  const results = data.results || [];
+  const results = (data.results || []).filter(d => !d.archived);
   const lower = name.toLowerCase();
-  const exact = results.find(d => titleOf(d).toLowerCase() === lower);
-  return exact || results.find(d => titleOf(d).toLowerCase().includes(lower)) || null;
+  const exact = results.filter(d => titleOf(d).toLowerCase() === lower);
+  const matches = exact.length ? exact : results.filter(d => titleOf(d).toLowerCase().includes(lower));
+  if (matches.length > 1) {
+    throw new AmbiguousDatabaseError(name, matches.map(d => ({ id: d.id, title: titleOf(d) })));
+  }
+  return matches[0] || null;
+}
+
+async function findDatabaseByName(name, { refresh = false } = {}) {
+  const key = name.toLowerCase();
+  const cached = dbRegistry.get(key);
+  if (!refresh && cached && Date.now() - cached.fetchedAt < DB_REGISTRY_TTL_MS) return cached;
+
+  const db = await resolveDatabase(name);
+  if (!db) {
+    dbRegistry.delete(key);
+    return null;
+  }
+  const entry = registryEntry(db);
+  dbRegistry.set(key, entry);
+  return entry;
+}
+
+function forgetDatabase(id) {
+  for (const [key, entry] of dbRegistry) if (entry.id === id) dbRegistry.delete(key);
 }
 
 async function findPageInDbByTitle(database_id, pageTitle) {
@@ -81,8 +365,9 @@ async function findPageInDbByTitle(database_id, pageTitle) {
   return (q.results && q.results[0]) || null;
 }
 
-function toISOLocal(dateStr, timeStr) {
-  // Accepts: 'MM/DD/YYYY' or 'YYYY-MM-DD' + optional 'HH:MM' 24h
+function toISOLocal(dateStr, timeStr, zone = TZ) {
+  // Accepts: 'MM/DD/YYYY' or 'YYYY-MM-DD' + optional 'HH:MM' 24h.
+  // Returns a date-only value, or a wall time in `zone` with its UTC offset.
   const parts = dateStr.includes('/') ? dateStr.split('/') : null;
   let isoBase;
   if (parts) {
@@ -93,12 +378,11 @@ function toISOLocal(dateStr, timeStr) {
   } else {
     isoBase = dateStr;
   }
-  const t = timeStr ? `${timeStr}:00` : '00:00:00';
-  return `${isoBase}T${t}`;
+  return timeStr ? zonedISO(isoBase, timeStr, zone) : isoBase;
 }
 
 // Build Action Base property payload (set only what’s provided)
-function buildActionBaseProperties(payload) {
+function buildActionBaseProperties(payload, zone = TZ) {
   const p = {};
   if (payload.name) p['Name'] = { title: [{ text: { content: payload.name } }] };
   if (payload.status) p['Status'] = { status: { name: payload.status } };
@@ -106,14 +390,21 @@ function buildActionBaseProperties(payload) {
   if (payload.priorityLevel) p['Priority Level'] = { select: { name: payload.priorityLevel } };
   if (payload.alignment) p['Alignment'] = { select: { name: payload.alignment } };
   if (payload.doDate?.date) p['Do Date'] = {
-    date: { start: toISOLocal(payload.doDate.date, payload.doDate.time), time_zone: TZ }
+    date: { start: toISOLocal(payload.doDate.date, payload.doDate.time, zone) }
   };
   if (payload.dueDate?.date) p['Due Date'] = {
-    date: { start: toISOLocal(payload.dueDate.date, payload.dueDate.time), time_zone: TZ }
+    date: { start: toISOLocal(payload.dueDate.date, payload.dueDate.time, zone) }
   };
   if (payload.projectAttributePageId) p['Project Attribute'] = {
     relation: [{ id: payload.projectAttributePageId }]
   };
+  if (payload.recurrence !== undefined) p['Recurrence'] = {
+    rich_text: payload.recurrence ? [{ text: { content: formatRecurrence(parseRecurrence(payload.recurrence)) } }] : []
+  };
+  if (payload.durationMinutes !== undefined) p[DURATION_PROPERTY] = { number: payload.durationMinutes ?? null };
+  if (payload.reminder !== undefined) p[REMINDER_PROPERTY] = {
+    rich_text: payload.reminder ? [{ text: { content: formatLeadTimes(parseLeadTimes(payload.reminder)) } }] : []
+  };
   return p;
 }
 
@@ -136,34 +427,573 @@ function readProp(page, key) {
   if (p.type === 'select') return p.select?.name || null;
   if (p.type === 'relation') return (p.relation || []).map(r => r.id);
   if (p.type === 'title') return (p.title || []).map(t => t.plain_text).join('');
+  if (p.type === 'rich_text') return (p.rich_text || []).map(t => t.plain_text).join('');
+  if (p.type === 'number') return p.number;
+  return null;
+}
+
+// -------------------- Recurrence (RRULE subset) --------------------
+// Stored as text in the Action Base "Recurrence" property, e.g.
+//   FREQ=WEEKLY;BYDAY=MO,WE,FR      FREQ=MONTHLY;BYMONTHDAY=1;UNTIL=20261231
+// COUNT is the number of occurrences left including the current item, and
+// X-PAUSED=1 keeps the rule on the item without spawning the next one.
+const RRULE_FREQS = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+function parseRecurrence(input) {
+  if (!input) return null;
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], until: null, count: null, paused: false };
+
+  if (typeof input === 'object') {
+    rule.freq = String(input.freq || '').toUpperCase();
+    rule.interval = input.interval ?? 1;
+    rule.byDay = (input.byDay || []).map(d => String(d).slice(0, 2).toUpperCase());
+    rule.byMonthDay = (input.byMonthDay || []).map(Number);
+    rule.until = input.until ? String(input.until).replace(/-/g, '').slice(0, 8) : null;
+    rule.count = input.count ?? null;
+    rule.paused = !!input.paused;
+  } else {
+    for (const part of String(input).replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+      const [k, v = ''] = part.split('=');
+      const key = k.trim().toUpperCase();
+      if (key === 'FREQ') rule.freq = v.toUpperCase();
+      else if (key === 'INTERVAL') rule.interval = Number(v);
+      else if (key === 'BYDAY') rule.byDay = v.split(',').map(d => d.trim().toUpperCase()).filter(Boolean);
+      else if (key === 'BYMONTHDAY') rule.byMonthDay = v.split(',').map(Number);
+      else if (key === 'UNTIL') rule.until = v.slice(0, 8);
+      else if (key === 'COUNT') rule.count = Number(v);
+      else if (key === 'X-PAUSED') rule.paused = v === '1' || v.toUpperCase() === 'TRUE';
+      else throw new Error(`Unsupported recurrence part "${key}"`);
+    }
+  }
+
+  if (!RRULE_FREQS.includes(rule.freq)) throw new Error(`FREQ must be one of ${RRULE_FREQS.join(', ')}`);
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) throw new Error('INTERVAL must be a positive integer');
+  if (rule.byDay.some(d => !RRULE_DAYS.includes(d))) throw new Error(`BYDAY values must be ${RRULE_DAYS.join(', ')}`);
+  if (rule.byMonthDay.some(d => !Number.isInteger(d) || d === 0 || d < -31 || d > 31)) throw new Error('BYMONTHDAY values must be 1..31 or -1..-31');
+  if (rule.until && !/^\d{8}$/.test(rule.until)) throw new Error('UNTIL must be a date (YYYYMMDD or YYYY-MM-DD)');
+  if (rule.count != null && (!Number.isInteger(rule.count) || rule.count < 1)) throw new Error('COUNT must be a positive integer');
+  return rule;
+}
+
+function formatRecurrence(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until}`);
+  if (rule.count != null) parts.push(`COUNT=${rule.count}`);
+  if (rule.paused) parts.push('X-PAUSED=1');
+  return parts.join(';');
+}
+
+function recurrenceError(input) {
+  try { parseRecurrence(input); return null; } catch (e) { return `Invalid recurrence: ${e.message}`; }
+}
+
+// A rule already on an item may have been edited by hand in Notion.
+function parseStoredRecurrence(raw) {
+  try {
+    return parseRecurrence(raw);
+  } catch (e) {
+    throw new ApiError(400, 'INVALID_VALUE', `Stored recurrence "${raw}" is invalid: ${e.message}`, {
+      field: 'Recurrence',
+      hint: 'Fix the Recurrence text in Notion, or replace it with updateItem { recurrence }'
+    });
+  }
+}
+function recurrenceUnsupported(db) {
+  return db.schema.Recurrence?.type === 'rich_text'
+    ? null
+    : 'Action Base needs a "Recurrence" text property to store recurrence rules';
+}
+
+// Time estimates (minutes) used by the day planner, and per-item reminder lead times.
+const DURATION_PROPERTY = 'Duration';
+const REMINDER_PROPERTY = 'Reminder';
+// Fields stored in properties an older Action Base may not have yet.
+const OPTIONAL_PROPERTIES = {
+  durationMinutes: { name: DURATION_PROPERTY, type: 'number', label: 'number', purpose: 'duration estimates' },
+  reminder: { name: REMINDER_PROPERTY, type: 'rich_text', label: 'text', purpose: 'reminder lead times' }
+};
+function optionalPropertyUnsupported(db, field) {
+  const { name, type, label, purpose } = OPTIONAL_PROPERTIES[field];
+  return db.schema[name]?.type === type ? null : `Action Base needs a "${name}" ${label} property to store ${purpose}`;
+}
+
+// Calendar math on 'YYYY-MM-DD' strings (UTC-based so DST never shifts the day).
+const ymdToDate = (ymd) => new Date(`${ymd}T00:00:00Z`);
+const dateToYmd = (d) => d.toISOString().slice(0, 10);
+const addDaysYmd = (ymd, n) => dateToYmd(new Date(ymdToDate(ymd).getTime() + n * 86400000));
+const daysBetweenYmd = (a, b) => Math.round((ymdToDate(b) - ymdToDate(a)) / 86400000);
+
+function monthDayMatches(d, byMonthDay) {
+  const last = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  return byMonthDay.some(md => (md > 0 ? md : last + md + 1) === d.getUTCDate());
+}
+
+// Next occurrence strictly after `fromYmd`, for a series anchored at `anchorYmd`.
+function nextOccurrenceYmd(rule, anchorYmd, fromYmd) {
+  const anchor = ymdToDate(anchorYmd);
+  const limit = 366 * 5;
+  for (let i = 1; i <= limit; i++) {
+    const ymd = addDaysYmd(fromYmd, i);
+    const d = ymdToDate(ymd);
+    const offset = daysBetweenYmd(anchorYmd, ymd);
+    let hit = false;
+    if (rule.freq === 'DAILY') {
+      hit = offset % rule.interval === 0;
+    } else if (rule.freq === 'WEEKLY') {
+      const days = rule.byDay.length ? rule.byDay : [RRULE_DAYS[anchor.getUTCDay()]];
+      const anchorWeekStart = addDaysYmd(anchorYmd, -anchor.getUTCDay());
+      const week = Math.floor(daysBetweenYmd(anchorWeekStart, ymd) / 7);
+      hit = days.includes(RRULE_DAYS[d.getUTCDay()]) && week % rule.interval === 0;
+    } else {
+      const months = (d.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + d.getUTCMonth() - anchor.getUTCMonth();
+      const days = rule.byMonthDay.length ? rule.byMonthDay : [anchor.getUTCDate()];
+      hit = months % rule.interval === 0 && monthDayMatches(d, days);
+    }
+    if (!hit) continue;
+    if (rule.until && ymd.replace(/-/g, '') > rule.until) return null;
+    return ymd;
+  }
   return null;
 }
 
-// -------------------- Time helpers (America/Chicago aware) -------------------
-function chicagoNow() {
-  const now = new Date();
-  return new Date(now.toLocaleString('en-US', { timeZone: TZ }));
-}
-function startEndOfToday() {
-  const now = new Date();
-  const chic = new Date(now.toLocaleString('en-US', { timeZone: TZ }));
-  const delta = now.getTime() - chic.getTime();
-  const y = chic.getFullYear(), m = chic.getMonth(), d = chic.getDate();
-  const startLocal = new Date(y, m, d, 0, 0, 0);
-  const endLocal = new Date(y, m, d, 23, 59, 59);
-  const start = new Date(startLocal.getTime() + delta);
-  const end = new Date(endLocal.getTime() + delta);
-  return { startISO: start.toISOString(), endISO: end.toISOString(), y, m: m + 1, d };
-}
-function next7Window() {
-  const now = new Date();
-  const chic = new Date(now.toLocaleString('en-US', { timeZone: TZ }));
-  const delta = now.getTime() - chic.getTime();
-  const endChic = new Date(chic);
-  endChic.setDate(endChic.getDate() + 7);
-  const endLocal = new Date(endChic.getFullYear(), endChic.getMonth(), endChic.getDate(), 23, 59, 59);
-  const endUTC = new Date(endLocal.getTime() + delta);
-  return { startISO: new Date().toISOString(), endISO: endUTC.toISOString() };
+// Upcoming occurrence dates after `fromYmd`, honoring UNTIL and remaining COUNT.
+function previewOccurrences(rule, anchorYmd, fromYmd, n) {
+  const out = [];
+  const remaining = rule.count != null ? rule.count - 1 : Infinity;
+  let cursor = fromYmd;
+  while (out.length < Math.min(n, remaining)) {
+    const next = nextOccurrenceYmd(rule, anchorYmd, cursor);
+    if (!next) break;
+    out.push(next);
+    cursor = next;
+  }
+  return out;
+}
+
+// Local { date, time } of a Notion date value in `zone`.
+function dateValueParts(value, zone = TZ) {
+  if (!value?.start) return null;
+  if (value.start.length === 10) return { date: value.start, time: null };
+  return localDateTimeParts(dateValueToMs(value, { zone }), zone);
+}
+
+// Creates the item after `page` in its series, moving the rule onto the new item.
+async function spawnNextOccurrence(db, page, zone = TZ) {
+  const raw = readProp(page, 'Recurrence');
+  if (!raw) return null;
+  const rule = parseStoredRecurrence(raw);
+  if (rule.paused || rule.count === 1) return null;
+
+  const doParts = dateValueParts(readProp(page, 'Do Date'), zone);
+  const dueParts = dateValueParts(readProp(page, 'Due Date'), zone);
+  const anchor = doParts || dueParts;
+  if (!anchor) return null;
+  const nextYmd = nextOccurrenceYmd(rule, anchor.date, anchor.date);
+  if (!nextYmd) return null;
+  const shift = daysBetweenYmd(anchor.date, nextYmd);
+  const shifted = (parts) => parts ? { date: addDaysYmd(parts.date, shift), time: parts.time || undefined } : undefined;
+
+  const nextRule = { ...rule, count: rule.count != null ? rule.count - 1 : null };
+  const payload = {
+    name: readProp(page, 'Name'),
+    status: 'Not started',
+    type: readProp(page, 'Type'),
+    priorityLevel: readProp(page, 'Priority Level'),
+    alignment: readProp(page, 'Alignment'),
+    doDate: shifted(doParts),
+    dueDate: shifted(dueParts),
+    projectAttributePageId: readProp(page, 'Project Attribute')?.[0],
+    recurrence: formatRecurrence(nextRule),
+    durationMinutes: readProp(page, DURATION_PROPERTY) ?? undefined,
+    reminder: readProp(page, REMINDER_PROPERTY) || undefined
+  };
+  const created = await notion('/pages', {
+    method: 'POST',
+    body: { parent: { database_id: db.id }, icon: page.icon || iconForActionBase(payload), properties: buildActionBaseProperties(payload, zone) }
+  });
+  await notion(`/pages/${page.id}`, { method: 'PATCH', body: { properties: { Recurrence: { rich_text: [] } } } });
+  emitEvent('actionBase.created', actionBaseEventData(created, { spawnedFrom: page.id }));
+  return { pageId: created.id, doDate: payload.doDate || null, dueDate: payload.dueDate || null, recurrence: payload.recurrence };
+}
+
+// -------------------- Time helpers (IANA-zone aware) -------------------
+// All local-time math goes through Intl offsets for an explicit zone, so day
+// boundaries stay right across DST changes (23- and 25-hour days) no matter
+// what zone the server process runs in. `zone` defaults to TZ everywhere.
+const offsetFormatters = new Map();
+
+function isIanaZone(zone) {
+  try { new Intl.DateTimeFormat('en-US', { timeZone: zone }); return true; } catch { return false; }
+}
+
+// Offset of `zone` from UTC at instant `ms`, in milliseconds.
+function zoneOffsetMs(ms, zone = TZ) {
+  let fmt = offsetFormatters.get(zone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone: zone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+    offsetFormatters.set(zone, fmt);
+  }
+  const parts = fmt.formatToParts(new Date(ms));
+  const get = (t) => Number(parts.find(p => p.type === t).value);
+  const asUTC = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUTC - Math.floor(ms / 1000) * 1000;
+}
+// '+HH:MM' / '-HH:MM' for an offset in ms.
+function formatOffset(offsetMs) {
+  const mins = Math.round(offsetMs / 60000);
+  const abs = Math.abs(mins);
+  return `${mins < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+// Wall-clock { date: 'YYYY-MM-DD', time: 'HH:MM' } of instant `ms` in `zone`.
+function localDateTimeParts(ms, zone = TZ) {
+  const local = new Date(ms + zoneOffsetMs(ms, zone)).toISOString();
+  return { date: local.slice(0, 10), time: local.slice(11, 16) };
+}
+// Naive 'YYYY-MM-DDTHH:MM[:SS]' wall time in `zone` -> UTC epoch ms. Times in a
+// spring-forward gap land after the jump; repeated fall-back times pick the first.
+function zonedTimeToUtcMs(naive, zone = TZ) {
+  const wall = Date.parse(`${naive}Z`);
+  const before = zoneOffsetMs(wall - 86400000, zone);
+  const after = zoneOffsetMs(wall + 86400000, zone);
+  const valid = [...new Set([before, after])]
+    .map(off => wall - off)
+    .filter(t => t + zoneOffsetMs(t, zone) === wall);
+  return valid.length ? Math.min(...valid) : wall - before;
+}
+// 'YYYY-MM-DDTHH:MM:SS±HH:MM' for a wall time in `zone`.
+function zonedISO(ymd, hhmm, zone = TZ) {
+  const ms = zonedTimeToUtcMs(`${ymd}T${hhmm}:00`, zone);
+  const local = localDateTimeParts(ms, zone);
+  return `${local.date}T${local.time}:00${formatOffset(zoneOffsetMs(ms, zone))}`;
+}
+// Epoch ms of a Notion date value (or bare ISO string). Naive times are read in
+// the value's time_zone or `zone`; date-only values resolve to local midnight,
+// or the last millisecond of that day with endOfDay.
+function dateValueToMs(value, { endOfDay = false, zone = TZ } = {}) {
+  if (!value) return null;
+  const start = typeof value === 'string' ? value : value.start;
+  if (!start) return null;
+  if (/[zZ]|[+-]\d\d:\d\d$/.test(start)) return Date.parse(start);
+  const z = (typeof value === 'object' && value.time_zone) || zone;
+  if (start.length === 10) return endOfDay ? dayBounds(start, z).endMs : dayBounds(start, z).startMs;
+  return zonedTimeToUtcMs(start, z);
+}
+const dateValueToDate = (value, zone = TZ) => {
+  const ms = dateValueToMs(value, { zone });
+  return ms == null ? null : new Date(ms);
+};
+
+function todayInZone(zone = TZ, now = Date.now()) {
+  return localDateTimeParts(now, zone).date;
+}
+// First and last millisecond of local calendar day `ymd`.
+function dayBounds(ymd, zone = TZ) {
+  const startMs = zonedTimeToUtcMs(`${ymd}T00:00:00`, zone);
+  const endMs = zonedTimeToUtcMs(`${addDaysYmd(ymd, 1)}T00:00:00`, zone) - 1;
+  return { startMs, endMs };
+}
+// Window covering local days fromYmd..toYmd inclusive, as ISO instants for Notion filters.
+function localRange(fromYmd, toYmd, zone = TZ) {
+  const startMs = dayBounds(fromYmd, zone).startMs;
+  const endMs = dayBounds(toYmd, zone).endMs;
+  return { startISO: new Date(startMs).toISOString(), endISO: new Date(endMs).toISOString(), startMs, endMs };
+}
+// Monday-based week containing `ymd` (weekStartsOn: 0 = Sunday, 1 = Monday).
+function weekWindow(ymd, zone = TZ, { weekStartsOn = 1 } = {}) {
+  const dow = ymdToDate(ymd).getUTCDay();
+  const from = addDaysYmd(ymd, -((dow - weekStartsOn + 7) % 7));
+  const to = addDaysYmd(from, 6);
+  return { from, to, ...localRange(from, to, zone) };
+}
+
+function startEndOfToday(zone = TZ) {
+  const today = todayInZone(zone);
+  const { startISO, endISO } = localRange(today, today, zone);
+  const [y, m, d] = today.split('-').map(Number);
+  return { startISO, endISO, y, m, d };
+}
+function next7Window(zone = TZ) {
+  const { endISO } = localRange(todayInZone(zone), addDaysYmd(todayInZone(zone), 7), zone);
+  return { startISO: new Date().toISOString(), endISO };
+}
+// Hour/minute label ("3:00 PM") or date+time label for an instant in `zone`.
+function formatTimeLabel(ms, zone = TZ) {
+  return new Date(ms).toLocaleTimeString('en-US', { timeZone: zone, hour: 'numeric', minute: '2-digit' });
+}
+function formatDateTimeLabel(ms, zone = TZ) {
+  return new Date(ms).toLocaleString('en-US', { timeZone: zone, month: '2-digit', day: '2-digit', hour: 'numeric', minute: '2-digit' });
+}
+
+// Optional per-request `timeZone` (body or query) so travelers get their own "today".
+function requestZone(req) {
+  const zone = req.body?.timeZone || req.query?.timeZone;
+  if (!zone) return TZ;
+  if (typeof zone !== 'string' || !isIanaZone(zone)) {
+    throw new ApiError(400, 'INVALID_FORMAT', `timeZone "${zone}" is not a valid IANA time zone`, { field: 'timeZone', hint: FORMAT_HINTS.timeZone });
+  }
+  return zone;
+}
+
+// -------------------- Auth (API keys + scopes) --------------------
+// Keys are stored as SHA-256 hex digests, never in plain text:
+//   API_KEYS="gpt:<sha256>:notes:read,notes:write,actionBase:write;ops:<sha256>:admin"
+//   API_KEYS_FILE=keys.json  ->  [{ "name": "gpt", "hash": "<sha256>", "scopes": ["notes:read"] }]
+// Hash a new key with: printf %s "$KEY" | sha256sum
+// Clients send "Authorization: Bearer <key>" or "X-API-Key: <key>". `admin`
+// grants every scope, and `<area>:write` implies `<area>:read`.
+// Without keys every protected route answers 503; AUTH_DISABLED=true opens
+// them all instead (local development only).
+const API_KEYS = loadApiKeys();
+const AUTH_ENABLED = process.env.AUTH_DISABLED !== 'true';
+// Routes that authenticate some other way (or not at all).
+const PUBLIC_ROUTES = new Set(['GET /health', 'GET /actionBase/calendar.ics', 'GET /openapi.json', 'GET /openapi.yaml']);
+
+if (!AUTH_ENABLED) {
+  console.warn('WARNING: AUTH_DISABLED=true. Every route is open.');
+} else if (!API_KEYS.length) {
+  console.warn('WARNING: no API keys configured (API_KEYS / API_KEYS_FILE). Protected routes will answer 503.');
+}
+
+function loadApiKeys() {
+  const keys = [];
+  for (const entry of (process.env.API_KEYS || '').split(';').map(x => x.trim()).filter(Boolean)) {
+    // name:hash:scopes — scopes themselves contain colons, so split on the first two only.
+    const i = entry.indexOf(':');
+    const j = entry.indexOf(':', i + 1);
+    if (i <= 0 || j <= i + 1) continue;
+    const scopes = entry.slice(j + 1).split(',').map(x => x.trim()).filter(Boolean);
+    keys.push({ name: entry.slice(0, i), hash: entry.slice(i + 1, j), scopes });
+  }
+  if (process.env.API_KEYS_FILE) {
+    const file = JSON.parse(fs.readFileSync(path.resolve(APP_DIR, process.env.API_KEYS_FILE), 'utf8'));
+    for (const k of file) keys.push({ name: k.name, hash: k.hash, scopes: k.scopes || [] });
+  }
+  return keys.map(k => ({ ...k, hash: String(k.hash).replace(/^sha256:/, '').toLowerCase() }));
+}
+
+function findApiKey(presented) {
+  if (!presented) return null;
+  const digest = Buffer.from(crypto.createHash('sha256').update(presented).digest('hex'));
+  return API_KEYS.find(k => k.hash.length === digest.length && crypto.timingSafeEqual(Buffer.from(k.hash), digest)) || null;
+}
+
+function hasScope(key, scope) {
+  if (!key) return false;
+  if (key.scopes.includes('admin') || key.scopes.includes(scope)) return true;
+  const [area, action] = scope.split(':');
+  return action === 'read' && key.scopes.includes(`${area}:write`);
+}
+
+function authenticate(req, res, next) {
+  if (!AUTH_ENABLED || PUBLIC_ROUTES.has(`${req.method} ${req.path}`)) return next();
+  if (!API_KEYS.length) {
+    return res.status(503).json({ error: 'No API keys configured; set API_KEYS or API_KEYS_FILE', code: 'NOT_CONFIGURED' });
+  }
+  const header = req.get('authorization') || '';
+  const presented = header.match(/^Bearer\s+(.+)$/i)?.[1]?.trim() || req.get('x-api-key');
+  const key = findApiKey(presented);
+  if (!key) return res.status(401).json({ error: presented ? 'Invalid API key' : 'Missing API key (Authorization: Bearer <key> or X-API-Key)', code: 'UNAUTHORIZED' });
+
+  req.apiKey = key;
+  const started = Date.now();
+  res.on('finish', () => {
+    console.log(`[audit] ${new Date().toISOString()} key=${key.name} ${req.method} ${req.originalUrl.split('?')[0]} -> ${res.statusCode} ${Date.now() - started}ms`);
+  });
+  next();
+}
+
+function requireScope(scope) {
+  const middleware = (req, res, next) => {
+    if (!AUTH_ENABLED || hasScope(req.apiKey, scope)) return next();
+    res.status(403).json({ error: `API key "${req.apiKey?.name}" lacks scope ${scope}`, code: 'FORBIDDEN' });
+  };
+  middleware.scope = scope; // read by the OpenAPI generator
+  return middleware;
+}
+
+app.use(authenticate);
+
+// -------------------- Request validation + error codes --------------------
+// Every error response keeps the { error } shape and adds a stable `code`
+// (plus `field`/`hint` for validation problems) that clients can branch on.
+class ApiError extends Error {
+  constructor(status, code, message, { field, hint, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.field = field;
+    this.hint = hint;
+    this.details = details;
+  }
+}
+
+// Field specs: { type, required, enum, options: [db, property], min, max,
+// items, properties, requireOne, validate, hint, description }. Types: string,
+// integer, number, boolean, array, object, date ('YYYY-MM-DD' | 'MM/DD/YYYY'),
+// ymd, time ('HH:MM' 24h), timeZone (IANA), any.
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$|^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+const TIME_VALUE_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isRealDate(y, m, d) {
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+function checkFormat(type, value) {
+  if (type === 'date' || type === 'ymd') {
+    const m = String(value).match(DATE_RE);
+    if (!m || (type === 'ymd' && !m[1])) return false;
+    return m[1] ? isRealDate(+m[1], +m[2], +m[3]) : isRealDate(+m[6], +m[4], +m[5]);
+  }
+  if (type === 'time') return TIME_VALUE_RE.test(value);
+  if (type === 'timeZone') return isIanaZone(value);
+  return true;
+}
+
+const FORMAT_HINTS = {
+  date: 'Use YYYY-MM-DD or MM/DD/YYYY, e.g. 2026-10-24',
+  ymd: 'Use YYYY-MM-DD, e.g. 2026-10-24',
+  time: 'Use 24-hour HH:MM, e.g. 15:30',
+  timeZone: 'Use an IANA zone name, e.g. America/Chicago'
+};
+
+function typeOk(type, value) {
+  switch (type) {
+    case 'string': case 'date': case 'ymd': case 'time': case 'timeZone': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+async function validateValue(spec, value, field, ctx, errors) {
+  const push = (code, message, hint) => errors.push({ field, code, message, ...(hint || spec.hint ? { hint: hint || spec.hint } : {}) });
+  if (value === undefined || value === null || value === '') {
+    if (spec.required) push('REQUIRED', `${field} is required`);
+    return;
+  }
+  const types = [].concat(spec.type || 'any');
+  const type = types.find(t => typeOk(t, value));
+  if (!type) return push('INVALID_TYPE', `${field} must be ${types.join(' or ')}`);
+  if (!checkFormat(type, value)) return push('INVALID_FORMAT', `${field} has an invalid ${type === 'ymd' ? 'date' : type} format`, FORMAT_HINTS[type]);
+
+  if (type === 'string' && spec.max && value.length > spec.max) push('OUT_OF_RANGE', `${field} must be at most ${spec.max} characters`);
+  if ((type === 'integer' || type === 'number') && ((spec.min != null && value < spec.min) || (spec.max != null && value > spec.max))) {
+    push('OUT_OF_RANGE', `${field} must be between ${spec.min ?? '-∞'} and ${spec.max ?? '∞'}`);
+  }
+  if (type === 'array') {
+    if (spec.min && value.length < spec.min) push('OUT_OF_RANGE', `${field} must have at least ${spec.min} item(s)`);
+    if (spec.max && value.length > spec.max) push('OUT_OF_RANGE', `${field} must have at most ${spec.max} item(s)`);
+    if (spec.items) for (let i = 0; i < value.length; i++) await validateValue(spec.items, value[i], `${field}[${i}]`, ctx, errors);
+  }
+  if (type === 'object' && spec.properties) await validateObject(spec, value, `${field}.`, ctx, errors);
+
+  let allowed = spec.enum;
+  if (spec.options) allowed = await ctx.optionsFor(...spec.options);
+  if (allowed && typeof value === 'string') {
+    const v = spec.caseInsensitive ? value.toUpperCase() : value;
+    if (!allowed.map(a => spec.caseInsensitive ? a.toUpperCase() : a).includes(v)) {
+      push('INVALID_ENUM', `${field} must be one of: ${allowed.join(', ')}`, `Got "${value}"`);
+    }
+  }
+  if (spec.validate) {
+    const problem = spec.validate(value);
+    if (problem) push('INVALID_VALUE', `${field}: ${problem}`);
+  }
+}
+
+async function validateObject(schema, obj, prefix, ctx, errors) {
+  for (const [key, spec] of Object.entries(schema.properties)) {
+    await validateValue(spec, obj[key], `${prefix}${key}`, ctx, errors);
+  }
+  for (const group of schema.requireOne || []) {
+    if (!group.some(k => obj[k] !== undefined && obj[k] !== null && obj[k] !== '')) {
+      errors.push({ field: group.map(k => `${prefix}${k}`).join('|'), code: 'REQUIRED', message: `Provide ${group.join(' or ')}` });
+    }
+  }
+}
+
+function validationContext() {
+  return {
+    async optionsFor(dbName, property) {
+      const db = await findDatabaseByName(dbName);
+      return db?.schema[property]?.options || null;
+    }
+  };
+}
+
+// Middleware: 400 with the first problem on top and all of them in `errors`.
+// Live select/status options come from the cached database schema.
+function validateBody(schema) {
+  const middleware = async (req, res, next) => {
+    if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) return next();
+    try {
+      const ctx = validationContext();
+      const errors = [];
+      await validateObject(schema, req.body || {}, '', ctx, errors);
+      if (!errors.length) return next();
+      const [first] = errors;
+      res.status(400).json({ error: first.message, code: first.code, field: first.field, ...(first.hint ? { hint: first.hint } : {}), errors });
+    } catch (e) { sendError(res, e); }
+  };
+  middleware.schema = schema; // read by the OpenAPI generator
+  return middleware;
+}
+
+// Shared field specs.
+const abOption = (property) => ({ type: 'string', options: ['Action Base', property] });
+const DATE_INPUT = {
+  type: 'object',
+  properties: { date: { type: 'date', required: true }, time: { type: 'time' } },
+  hint: '{ "date": "2026-10-24", "time": "15:30" }'
+};
+const TIME_ZONE_FIELD = { type: 'timeZone' };
+const RECURRENCE_FIELD = { type: ['string', 'object'], validate: (v) => recurrenceError(v)?.replace('Invalid recurrence: ', ''), hint: 'e.g. FREQ=WEEKLY;BYDAY=MO,WE,FR or { "freq": "monthly", "byMonthDay": [1] }' };
+const PAGE_REF = { pageId: { type: 'string' }, pageTitle: { type: 'string' } };
+const ROW_INDEX = {
+  type: ['integer', 'string'],
+  validate: (v) => Number.isInteger(Number(v)) && Number(v) >= 2 ? null : 'must be a row number >= 2',
+  hint: 'Row numbers start at 2 (row 1 holds headers)'
+};
+// Notes are addressed by their stable id; rowIndex still works but shifts after deletes.
+// Both are looked up in `notebook` (a tab name), or the default notebook when omitted.
+const NOTEBOOK = { type: 'string', max: 100, description: 'Notebook (tab) name; defaults to the main notebook' };
+const NOTEBOOK_NAME = { type: 'string', max: 100, validate: (v) => notebookNameError(v) };
+const NOTE_REF = { id: { type: 'string' }, rowIndex: ROW_INDEX, notebook: NOTEBOOK };
+const NOTE_FILTERS = { tag: { type: 'string' }, fromDate: { type: 'ymd' }, toDate: { type: 'ymd' }, notebook: NOTEBOOK };
+const ACTION_BASE_FIELDS = {
+  status: abOption('Status'),
+  type: abOption('Type'),
+  priorityLevel: abOption('Priority Level'),
+  alignment: abOption('Alignment'),
+  doDate: DATE_INPUT,
+  dueDate: DATE_INPUT,
+  projectAttributePageId: { type: 'string' },
+  recurrence: RECURRENCE_FIELD,
+  durationMinutes: { type: 'integer', min: 5, max: 720, description: 'Time estimate in minutes (stored in the Duration property)' },
+  reminder: { type: 'string', max: 100, validate: (v) => leadTimesError(v), description: 'Reminder lead times, e.g. "15m, 1d"; "off" for none, "" for the defaults' },
+  timeZone: TIME_ZONE_FIELD
+};
+
+// Stable codes for upstream (Notion / Google) HTTP statuses.
+function upstreamCode(status) {
+  if (status === 404) return 'NOT_FOUND';
+  if (status === 429) return 'UPSTREAM_RATE_LIMITED';
+  if (status === 400 || status === 422) return 'UPSTREAM_VALIDATION';
+  if (status === 401 || status === 403) return 'UPSTREAM_AUTH';
+  if (status === 409) return 'UPSTREAM_CONFLICT';
+  return 'UPSTREAM_UNAVAILABLE';
 }
 
 // -------------------- Health --------------------
@@ -172,8 +1002,10 @@ app.get('/health', (req, res) => {
     ok: true,
     node: process.version,
     hasSecret: !!NOTION_SECRET,
+    backend: BACKEND,
     tz: TZ,
-    nowChicago: new Date().toLocaleString('en-US', { timeZone: TZ })
+    nowChicago: new Date().toLocaleString('en-US', { timeZone: TZ }),
+    offset: formatOffset(zoneOffsetMs(Date.now(), TZ))
   });
 });
 
@@ -182,15 +1014,19 @@ app.get('/health', (req, res) => {
 // ==========================================================================
 
 // nolaAddPage
-app.post('/nolaAddPage', async (req, res) => {
+app.post('/nolaAddPage', requireScope('databases:write'), validateBody({
+  properties: {
+    databaseName: { type: 'string', required: true },
+    pageTitle: { type: 'string', required: true },
+    status: { type: 'string' },
+    extraProperties: { type: 'object' }
+  }
+}), async (req, res) => {
   try {
-    if (!NOTION_SECRET) return res.status(500).json({ error: 'Server missing NOTION_SECRET' });
+    if (!hasNotion()) return res.status(500).json({ error: 'Server missing NOTION_SECRET', code: 'NOT_CONFIGURED' });
     const { databaseName, pageTitle, status, extraProperties } = req.body || {};
-    if (!databaseName || !pageTitle) {
-      return res.status(400).json({ error: 'databaseName and pageTitle are required' });
-    }
     const db = await findDatabaseByName(databaseName);
-    if (!db) return res.status(404).json({ error: `Database "${databaseName}" not found or not shared with integration.` });
+    if (!db) return res.status(404).json({ error: `Database "${databaseName}" not found or not shared with integration.`, code: 'NOT_FOUND' });
 
     const properties = {
       Name: { title: [{ text: { content: pageTitle } }] },
@@ -200,142 +1036,396 @@ app.post('/nolaAddPage', async (req, res) => {
     const created = await notion('/pages', { method: 'POST', body: { parent: { database_id: db.id }, properties } });
     res.json({ ok: true, databaseId: db.id, pageId: created.id });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
 // nolaListPages
-app.post('/nolaListPages', async (req, res) => {
+app.post('/nolaListPages', requireScope('databases:read'), validateBody({
+  properties: {
+    databaseName: { type: 'string', required: true },
+    cursor: { type: 'string' },
+    pageSize: { type: 'integer', min: 1, max: 100 }
+  }
+}), async (req, res) => {
   try {
-    if (!NOTION_SECRET) return res.status(500).json({ error: 'Server missing NOTION_SECRET' });
-    const { databaseName } = req.body || {};
-    if (!databaseName) return res.status(400).json({ error: 'databaseName is required' });
+    if (!hasNotion()) return res.status(500).json({ error: 'Server missing NOTION_SECRET', code: 'NOT_CONFIGURED' });
+    const { databaseName, cursor, pageSize } = req.body || {};
     const db = await findDatabaseByName(databaseName);
-    if (!db) return res.status(404).json({ error: `Database "${databaseName}" not found or not shared with integration.` });
+    if (!db) return res.status(404).json({ error: `Database "${databaseName}" not found or not shared with integration.`, code: 'NOT_FOUND' });
 
-    const response = await notion(`/databases/${db.id}/query`, { method: 'POST', body: {} });
-    const pages = response.results.map(page => {
+    const { results, nextCursor } = await listDatabase(db.id, {}, { cursor, pageSize });
+    const pages = results.map(page => {
       const title = page.properties.Name?.title?.map(t => t.plain_text).join('') || '(Untitled)';
       const status = page.properties.Status?.status?.name || 'No Status';
       return { id: page.id, title, status };
     });
-    res.json({ ok: true, count: pages.length, pages });
+    res.json({ ok: true, count: pages.length, pages, nextCursor });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
   }
 });
 
 // -------------------- Action Base CRUD --------------------
-app.post('/actionBase/createItem', async (req, res) => {
+const CREATE_ITEM_SCHEMA = {
+  properties: {
+    name: { type: 'string', required: true, max: 2000 },
+    ...ACTION_BASE_FIELDS
+  }
+};
+const UPDATE_ITEM_SCHEMA = {
+  properties: {
+    ...PAGE_REF,
+    name: { type: 'string', max: 2000 },
+    ...ACTION_BASE_FIELDS
+  },
+  requireOne: [['pageId', 'pageTitle']]
+};
+const CLEAR_PROPERTIES_SCHEMA = {
+  properties: {
+    ...PAGE_REF,
+    properties: { type: 'array', required: true, min: 1, items: { type: 'string' } }
+  },
+  requireOne: [['pageId', 'pageTitle']]
+};
+const ITEM_REF_SCHEMA = { properties: PAGE_REF, requireOne: [['pageId', 'pageTitle']] };
+
+async function resolveActionItemId(db, { pageId, pageTitle }) {
+  if (pageId) return pageId;
+  if (!pageTitle) throw new ApiError(400, 'REQUIRED', 'Provide pageId or pageTitle', { field: 'pageId|pageTitle' });
+  const page = await findPageInDbByTitle(db.id, pageTitle);
+  if (!page) throw new ApiError(404, 'NOT_FOUND', `Page "${pageTitle}" not found in Action Base`, { field: 'pageTitle' });
+  return page.id;
+}
+
+function assertRecurrenceAllowed(db, recurrence) {
+  if (!recurrence) return;
+  const invalid = recurrenceError(recurrence) || recurrenceUnsupported(db);
+  if (invalid) throw new ApiError(400, 'INVALID_REQUEST', invalid, { field: 'recurrence' });
+}
+
+function assertOptionalPropertiesAllowed(db, fields) {
+  for (const field of Object.keys(OPTIONAL_PROPERTIES)) {
+    if (fields[field] == null) continue;
+    const invalid = optionalPropertyUnsupported(db, field);
+    if (invalid) throw new ApiError(400, 'INVALID_REQUEST', invalid, { field });
+  }
+}
+
+// `extra` adds raw Notion properties and body blocks to the new page.
+async function createActionItem(db, fields, zone, extra = {}) {
+  const { name, status, type, priorityLevel, alignment, doDate, dueDate, projectAttributePageId, recurrence, durationMinutes, reminder } = fields;
+  assertRecurrenceAllowed(db, recurrence);
+  assertOptionalPropertiesAllowed(db, { durationMinutes, reminder });
+  const props = buildActionBaseProperties({ name, status, type, priorityLevel, alignment, doDate, dueDate, projectAttributePageId, recurrence, durationMinutes, reminder }, zone);
+  if (!props.Name) throw new ApiError(400, 'REQUIRED', 'name is required to create an item', { field: 'name' });
+
+  const page = await notion('/pages', {
+    method: 'POST',
+    body: {
+      parent: { database_id: db.id },
+      icon: iconForActionBase({ type, alignment, priorityLevel }),
+      properties: { ...props, ...extra.properties },
+      ...(extra.children?.length ? { children: extra.children } : {})
+    }
+  });
+  emitEvent('actionBase.created', actionBaseEventData(page));
+  return page;
+}
+
+// Returns the PATCH it sent, so callers can tell which properties changed.
+async function updateActionItem(db, pid, fields, zone) {
+  assertRecurrenceAllowed(db, fields.recurrence);
+  assertOptionalPropertiesAllowed(db, fields);
+  const patch = { properties: buildActionBaseProperties(fields, zone) };
+  if (fields.type || fields.alignment || fields.priorityLevel) patch.icon = iconForActionBase(fields);
+
+  const page = await notion(`/pages/${pid}`, { method: 'PATCH', body: patch });
+  emitActionBaseUpdated(page, Object.keys(patch.properties));
+  // The update has already gone through, so a failed spawn is reported, not thrown.
+  let nextOccurrence = null;
+  if (fields.status === 'Done' && db.schema.Recurrence) {
+    try {
+      nextOccurrence = await spawnNextOccurrence(db, page, zone);
+    } catch (e) {
+      nextOccurrence = { error: e.message };
+    }
+  }
+  return { page, patch, nextOccurrence };
+}
+
+async function archiveActionItem(pid) {
+  const page = await notion(`/pages/${pid}`, { method: 'PATCH', body: { archived: true } });
+  emitEvent('actionBase.archived', actionBaseEventData(page, { archived: true }));
+  return page;
+}
+
+function clearedProperties(properties) {
+  const empties = {};
+  for (const prop of properties) {
+    if (prop === 'Name') empties['Name'] = { title: [] };
+    else if (prop === 'Status') empties['Status'] = { status: null };
+    else if (prop === 'Type') empties['Type'] = { select: null };
+    else if (prop === 'Priority Level') empties['Priority Level'] = { select: null };
+    else if (prop === 'Alignment') empties['Alignment'] = { select: null };
+    else if (prop === 'Do Date') empties['Do Date'] = { date: null };
+    else if (prop === 'Due Date') empties['Due Date'] = { date: null };
+    else if (prop === 'Project Attribute') empties['Project Attribute'] = { relation: [] };
+    else if (prop === 'Recurrence') empties['Recurrence'] = { rich_text: [] };
+    else if (prop === DURATION_PROPERTY) empties[DURATION_PROPERTY] = { number: null };
+    else if (prop === REMINDER_PROPERTY) empties[REMINDER_PROPERTY] = { rich_text: [] };
+    else empties[prop] = null;
+  }
+  return empties;
+}
+
+app.post('/actionBase/createItem', requireScope('actionBase:write'), validateBody(CREATE_ITEM_SCHEMA), async (req, res) => {
   try {
-    const { name, status, type, priorityLevel, alignment, doDate, dueDate, projectAttributePageId } = req.body || {};
+    const zone = requestZone(req);
     const db = await findDatabaseByName('Action Base');
-    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.' });
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
 
-    const props = buildActionBaseProperties({ name, status, type, priorityLevel, alignment, doDate, dueDate, projectAttributePageId });
-    if (!props.Name) return res.status(400).json({ error: 'name is required to create an item' });
-
-    const created = await notion('/pages', {
-      method: 'POST',
-      body: { parent: { database_id: db.id }, icon: iconForActionBase({ type, alignment, priorityLevel }), properties: props }
-    });
+    const created = await createActionItem(db, req.body || {}, zone);
     res.json({ ok: true, pageId: created.id });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
-app.post('/actionBase/updateItem', async (req, res) => {
+app.post('/actionBase/updateItem', requireScope('actionBase:write'), validateBody(UPDATE_ITEM_SCHEMA), async (req, res) => {
   try {
-    const { pageId, pageTitle, ...rest } = req.body || {};
+    const { pageId, pageTitle, timeZone, ...rest } = req.body || {};
+    const zone = requestZone(req);
     const db = await findDatabaseByName('Action Base');
-    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.' });
-
-    let pid = pageId;
-    if (!pid) {
-      if (!pageTitle) return res.status(400).json({ error: 'Provide pageId or pageTitle' });
-      const page = await findPageInDbByTitle(db.id, pageTitle);
-      if (!page) return res.status(404).json({ error: `Page "${pageTitle}" not found in Action Base` });
-      pid = page.id;
-    }
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
 
-    const props = buildActionBaseProperties(rest);
-    const patch = { properties: props };
-    if (rest.type || rest.alignment || rest.priorityLevel) patch.icon = iconForActionBase(rest);
-
-    const updated = await notion(`/pages/${pid}`, { method: 'PATCH', body: patch });
-    res.json({ ok: true, pageId: updated.id });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+    const pid = await resolveActionItemId(db, { pageId, pageTitle });
+    const { page, nextOccurrence } = await updateActionItem(db, pid, rest, zone);
+    res.json({ ok: true, pageId: page.id, ...(nextOccurrence ? { nextOccurrence } : {}) });
+  } catch (e) { sendError(res, e); }
 });
 
-app.post('/actionBase/clearProperties', async (req, res) => {
+app.post('/actionBase/clearProperties', requireScope('actionBase:write'), validateBody(CLEAR_PROPERTIES_SCHEMA), async (req, res) => {
   try {
     const { pageId, pageTitle, properties } = req.body || {};
-    if (!Array.isArray(properties) || properties.length === 0) {
-      return res.status(400).json({ error: 'properties must be a non-empty array of property names to clear' });
-    }
     const db = await findDatabaseByName('Action Base');
-    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.' });
-
-    let pid = pageId;
-    if (!pid) {
-      if (!pageTitle) return res.status(400).json({ error: 'Provide pageId or pageTitle' });
-      const page = await findPageInDbByTitle(db.id, pageTitle);
-      if (!page) return res.status(404).json({ error: `Page "${pageTitle}" not found in Action Base` });
-      pid = page.id;
-    }
-
-    const empties = {};
-    for (const prop of properties) {
-      if (prop === 'Name') empties['Name'] = { title: [] };
-      else if (prop === 'Status') empties['Status'] = { status: null };
-      else if (prop === 'Type') empties['Type'] = { select: null };
-      else if (prop === 'Priority Level') empties['Priority Level'] = { select: null };
-      else if (prop === 'Alignment') empties['Alignment'] = { select: null };
-      else if (prop === 'Do Date') empties['Do Date'] = { date: null };
-      else if (prop === 'Due Date') empties['Due Date'] = { date: null };
-      else if (prop === 'Project Attribute') empties['Project Attribute'] = { relation: [] };
-      else empties[prop] = null;
-    }
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
 
+    const pid = await resolveActionItemId(db, { pageId, pageTitle });
+    const empties = clearedProperties(properties);
     const updated = await notion(`/pages/${pid}`, { method: 'PATCH', body: { properties: empties } });
+    emitActionBaseUpdated(updated, Object.keys(empties));
     res.json({ ok: true, pageId: updated.id });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
-app.post('/actionBase/deleteItem', async (req, res) => {
+app.post('/actionBase/deleteItem', requireScope('actionBase:write'), validateBody(ITEM_REF_SCHEMA), async (req, res) => {
   try {
     const { pageId, pageTitle } = req.body || {};
     const db = await findDatabaseByName('Action Base');
-    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.' });
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
 
-    let pid = pageId;
-    if (!pid) {
-      if (!pageTitle) return res.status(400).json({ error: 'Provide pageId or pageTitle' });
-      const page = await findPageInDbByTitle(db.id, pageTitle);
-      if (!page) return res.status(404).json({ error: `Page "${pageTitle}" not found in Action Base` });
-      pid = page.id;
+    const pid = await resolveActionItemId(db, { pageId, pageTitle });
+    const updated = await archiveActionItem(pid);
+    res.json({ ok: true, pageId: updated.id, archived: true });
+  } catch (e) { sendError(res, e); }
+});
+
+// -------------------- Batch mutations --------------------
+// Operations run in order through the Notion gate, so a batch obeys the same
+// rate limit as single calls and resolves the database once. With atomic=true
+// the first failure stops the batch and the operations already applied are
+// undone in reverse order. Notion has no transactions, so this is best effort:
+// creates are archived, archives restored, and changed properties written
+// back from a snapshot taken just before each update/clear. Webhook events
+// for applied operations have already gone out, so each undo emits a
+// compensating event marked `rolledBack: true`.
+const BATCH_MAX_OPERATIONS = 50;
+const BATCH_OPERATION_SCHEMAS = {
+  create: CREATE_ITEM_SCHEMA,
+  update: UPDATE_ITEM_SCHEMA,
+  clear: CLEAR_PROPERTIES_SCHEMA,
+  archive: ITEM_REF_SCHEMA
+};
+
+// Read-shape property -> write payload, for restoring snapshots.
+function propertyWriteValue(prop) {
+  const text = (items) => (items || []).map(t => ({ type: 'text', text: { content: t.plain_text ?? t.text?.content ?? '' } }));
+  switch (prop?.type) {
+    case 'title': return { title: text(prop.title) };
+    case 'rich_text': return { rich_text: text(prop.rich_text) };
+    case 'select': case 'status': return { [prop.type]: prop[prop.type] ? { name: prop[prop.type].name } : null };
+    case 'multi_select': return { multi_select: (prop.multi_select || []).map(o => ({ name: o.name })) };
+    case 'date': return { date: prop.date };
+    case 'relation': return { relation: (prop.relation || []).map(r => ({ id: r.id })) };
+    case 'number': case 'checkbox': case 'url': case 'email': case 'phone_number': return { [prop.type]: prop[prop.type] };
+    default: return undefined;
+  }
+}
+
+async function snapshotPage(pid, propertyNames) {
+  const page = await notion(`/pages/${pid}`);
+  const properties = {};
+  for (const name of propertyNames) {
+    const value = propertyWriteValue(page.properties?.[name]);
+    if (value !== undefined) properties[name] = value;
+  }
+  return { properties, icon: page.icon || null };
+}
+
+// Applies one operation; returns the report entry plus an undo() for atomic mode.
+async function runBatchOperation(db, op, zone) {
+  const { op: kind, pageId, pageTitle, timeZone, ...fields } = op;
+  const opZone = timeZone || zone;
+  if (kind === 'create') {
+    const created = await createActionItem(db, fields, opZone);
+    return {
+      result: { pageId: created.id },
+      undo: async () => {
+        const page = await notion(`/pages/${created.id}`, { method: 'PATCH', body: { archived: true } });
+        emitEvent('actionBase.archived', actionBaseEventData(page, { archived: true, rolledBack: true }));
+      }
+    };
+  }
+
+  const pid = await resolveActionItemId(db, { pageId, pageTitle });
+  if (kind === 'archive') {
+    await archiveActionItem(pid);
+    return {
+      result: { pageId: pid, archived: true },
+      undo: async () => {
+        const page = await notion(`/pages/${pid}`, { method: 'PATCH', body: { archived: false } });
+        emitEvent('actionBase.updated', actionBaseEventData(page, { changed: ['archived'], archived: false, rolledBack: true }));
+      }
+    };
+  }
+
+  if (kind === 'clear') {
+    const empties = clearedProperties(fields.properties);
+    const before = await snapshotPage(pid, Object.keys(empties));
+    const page = await notion(`/pages/${pid}`, { method: 'PATCH', body: { properties: empties } });
+    emitActionBaseUpdated(page, Object.keys(empties));
+    return {
+      result: { pageId: pid, cleared: Object.keys(empties) },
+      undo: async () => {
+        const restored = await notion(`/pages/${pid}`, { method: 'PATCH', body: { properties: before.properties } });
+        emitEvent('actionBase.updated', actionBaseEventData(restored, { changed: Object.keys(empties), rolledBack: true }));
+      }
+    };
+  }
+
+  // update: the snapshot also covers Recurrence, which a spawned next occurrence clears.
+  const touched = Object.keys(buildActionBaseProperties(fields, opZone));
+  const before = await snapshotPage(pid, [...touched, 'Recurrence']);
+  const { patch, nextOccurrence } = await updateActionItem(db, pid, fields, opZone);
+  return {
+    result: { pageId: pid, ...(nextOccurrence ? { nextOccurrence } : {}) },
+    undo: async () => {
+      if (nextOccurrence?.pageId) {
+        const spawned = await notion(`/pages/${nextOccurrence.pageId}`, { method: 'PATCH', body: { archived: true } });
+        emitEvent('actionBase.archived', actionBaseEventData(spawned, { archived: true, rolledBack: true }));
+      }
+      const restored = await notion(`/pages/${pid}`, {
+        method: 'PATCH',
+        body: { properties: before.properties, ...(patch.icon && before.icon ? { icon: before.icon } : {}) }
+      });
+      emitEvent('actionBase.updated', actionBaseEventData(restored, { changed: Object.keys(patch.properties), rolledBack: true }));
     }
+  };
+}
 
-    const updated = await notion(`/pages/${pid}`, { method: 'PATCH', body: { archived: true } });
-    res.json({ ok: true, pageId: updated.id, archived: true });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+const BATCH_OPERATION_FIELD = {
+  type: 'object',
+  properties: {
+    op: { type: 'string', required: true, enum: Object.keys(BATCH_OPERATION_SCHEMAS) },
+    ...PAGE_REF,
+    name: { type: 'string', max: 2000 },
+    ...ACTION_BASE_FIELDS,
+    properties: { type: 'array', items: { type: 'string' }, description: 'clear: property names to empty' }
+  }
+};
+
+app.post('/actionBase/batch', requireScope('actionBase:write'), validateBody({
+  properties: {
+    operations: { type: 'array', required: true, min: 1, max: BATCH_MAX_OPERATIONS, items: BATCH_OPERATION_FIELD },
+    atomic: { type: 'boolean' },
+    timeZone: TIME_ZONE_FIELD
+  }
+}), async (req, res) => {
+  try {
+    const { operations, atomic = false } = req.body || {};
+    const zone = requestZone(req);
+    const db = await findDatabaseByName('Action Base');
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
+
+    // Each operation is checked against the schema of its single-item route first.
+    const ctx = validationContext();
+    const results = [];
+    for (let i = 0; i < operations.length; i++) {
+      const errors = [];
+      await validateObject(BATCH_OPERATION_SCHEMAS[operations[i].op], operations[i], `operations[${i}].`, ctx, errors);
+      const [first] = errors;
+      results.push(first
+        ? { index: i, op: operations[i].op, status: 'invalid', error: first.message, code: first.code, field: first.field, errors }
+        : { index: i, op: operations[i].op, status: 'pending' });
+    }
+    const invalid = results.some(r => r.status === 'invalid');
+
+    const applied = [];
+    let failed = false;
+    for (const [i, op] of operations.entries()) {
+      const entry = results[i];
+      if (entry.status === 'invalid') continue;
+      if (atomic && (invalid || failed)) { entry.status = 'skipped'; continue; }
+      try {
+        const { result, undo } = await runBatchOperation(db, op, zone);
+        Object.assign(entry, { status: 'ok', ...result });
+        applied.push({ entry, undo });
+      } catch (e) {
+        console.error(e);
+        Object.assign(entry, { status: 'failed', ...errorResponse(e).body });
+        failed = true;
+      }
+    }
+
+    if (atomic && failed) {
+      for (const { entry, undo } of [...applied].reverse()) {
+        try {
+          await undo();
+          entry.status = 'rolledBack';
+        } catch (e) {
+          console.error(e);
+          entry.rollbackError = errorResponse(e).body.error;
+        }
+      }
+    }
+
+    const count = (status) => results.filter(r => r.status === status).length;
+    res.json({
+      ok: results.every(r => r.status === 'ok'),
+      atomic,
+      summary: { total: results.length, ok: count('ok'), failed: count('failed'), invalid: count('invalid'), skipped: count('skipped'), rolledBack: count('rolledBack') },
+      results
+    });
+  } catch (e) { sendError(res, e); }
 });
 
 // -------------------- Page content helpers --------------------
-app.post('/actionBase/pageAppend', async (req, res) => {
+app.post('/actionBase/pageAppend', requireScope('actionBase:write'), validateBody({
+  properties: {
+    ...PAGE_REF,
+    text: { type: 'string', required: true, max: 2000 }
+  },
+  requireOne: [['pageId', 'pageTitle']]
+}), async (req, res) => {
   try {
     const { pageId, pageTitle, text } = req.body || {};
-    if (!text) return res.status(400).json({ error: 'text is required' });
 
     const db = await findDatabaseByName('Action Base');
-    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.' });
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
 
     let pid = pageId;
     if (!pid) {
-      if (!pageTitle) return res.status(400).json({ error: 'Provide pageId or pageTitle' });
       const page = await findPageInDbByTitle(db.id, pageTitle);
-      if (!page) return res.status(404).json({ error: `Page "${pageTitle}" not found in Action Base` });
+      if (!page) return res.status(404).json({ error: `Page "${pageTitle}" not found in Action Base`, code: 'NOT_FOUND' });
       pid = page.id;
     }
 
@@ -347,27 +1437,34 @@ app.post('/actionBase/pageAppend', async (req, res) => {
 
     const appended = await notion(`/blocks/${pid}/children`, { method: 'PATCH', body: { children } });
     res.json({ ok: true, pageId: pid, appendedBlocks: appended?.results?.length ?? 0 });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
-app.post('/actionBase/addDateMention', async (req, res) => {
+app.post('/actionBase/addDateMention', requireScope('actionBase:write'), validateBody({
+  properties: {
+    ...PAGE_REF,
+    which: { type: 'string', required: true, enum: ['do', 'due'] },
+    date: { type: 'date', required: true },
+    time: { type: 'time' },
+    timeZone: TIME_ZONE_FIELD
+  },
+  requireOne: [['pageId', 'pageTitle']]
+}), async (req, res) => {
   try {
     const { pageId, pageTitle, which, date, time } = req.body || {};
-    if (!which || !['do','due'].includes(which)) return res.status(400).json({ error: 'which must be "do" or "due"' });
-    if (!date) return res.status(400).json({ error: 'date is required' });
+    const zone = requestZone(req);
 
     const db = await findDatabaseByName('Action Base');
-    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.' });
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
 
     let pid = pageId;
     if (!pid) {
-      if (!pageTitle) return res.status(400).json({ error: 'Provide pageId or pageTitle' });
       const page = await findPageInDbByTitle(db.id, pageTitle);
-      if (!page) return res.status(404).json({ error: `Page "${pageTitle}" not found in Action Base` });
+      if (!page) return res.status(404).json({ error: `Page "${pageTitle}" not found in Action Base`, code: 'NOT_FOUND' });
       pid = page.id;
     }
 
-    const iso = toISOLocal(date, time);
+    const iso = toISOLocal(date, time, zone);
     const children = [{
       object: 'block',
       type: 'paragraph',
@@ -381,7 +1478,782 @@ app.post('/actionBase/addDateMention', async (req, res) => {
 
     const appended = await notion(`/blocks/${pid}/children`, { method: 'PATCH', body: { children } });
     res.json({ ok: true, pageId: pid, appendedBlocks: appended?.results?.length ?? 0 });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
+});
+
+// -------------------- Recurring items --------------------
+app.post('/actionBase/recurrence/preview', requireScope('actionBase:read'), validateBody({
+  properties: {
+    ...PAGE_REF,
+    recurrence: RECURRENCE_FIELD,
+    startDate: { type: 'date' },
+    count: { type: 'integer', min: 1, max: 50 },
+    timeZone: TIME_ZONE_FIELD
+  },
+  requireOne: [['pageId', 'pageTitle', 'recurrence']]
+}), async (req, res) => {
+  try {
+    const { pageId, pageTitle, recurrence, startDate, count = 5 } = req.body || {};
+    const zone = requestZone(req);
+    const n = Math.min(Math.max(Number(count) || 5, 1), 50);
+
+    // Ad-hoc preview of a rule that isn't saved on an item yet.
+    if (recurrence && !pageId && !pageTitle) {
+      const anchor = startDate ? toISOLocal(startDate).slice(0, 10) : todayInZone(zone);
+      const rule = parseRecurrence(recurrence);
+      return res.json({ ok: true, recurrence: formatRecurrence(rule), from: anchor, occurrences: previewOccurrences(rule, anchor, anchor, n) });
+    }
+
+    const db = await findDatabaseByName('Action Base');
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
+
+    let pid = pageId;
+    if (!pid) {
+      const page = await findPageInDbByTitle(db.id, pageTitle);
+      if (!page) return res.status(404).json({ error: `Page "${pageTitle}" not found in Action Base`, code: 'NOT_FOUND' });
+      pid = page.id;
+    }
+
+    const page = await notion(`/pages/${pid}`);
+    const raw = readProp(page, 'Recurrence');
+    if (!raw) return res.status(400).json({ error: 'Item has no recurrence rule', code: 'INVALID_REQUEST' });
+    const rule = parseStoredRecurrence(raw);
+    const doParts = dateValueParts(readProp(page, 'Do Date'), zone);
+    const dueParts = dateValueParts(readProp(page, 'Due Date'), zone);
+    const anchor = doParts || dueParts;
+    if (!anchor) return res.status(400).json({ error: 'Item needs a Do Date or Due Date to recur from', code: 'INVALID_REQUEST' });
+
+    const occurrences = previewOccurrences(rule, anchor.date, anchor.date, n).map(ymd => {
+      const shift = daysBetweenYmd(anchor.date, ymd);
+      const shifted = (parts) => parts ? { date: addDaysYmd(parts.date, shift), time: parts.time } : null;
+      return { doDate: shifted(doParts), dueDate: shifted(dueParts) };
+    });
+    res.json({ ok: true, pageId: pid, recurrence: raw, paused: rule.paused, occurrences });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/actionBase/recurrence/pause', requireScope('actionBase:write'), validateBody({
+  properties: {
+    ...PAGE_REF,
+    paused: { type: 'boolean' }
+  },
+  requireOne: [['pageId', 'pageTitle']]
+}), async (req, res) => {
+  try {
+    const { pageId, pageTitle, paused = true } = req.body || {};
+    const db = await findDatabaseByName('Action Base');
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
+
+    let pid = pageId;
+    if (!pid) {
+      const page = await findPageInDbByTitle(db.id, pageTitle);
+      if (!page) return res.status(404).json({ error: `Page "${pageTitle}" not found in Action Base`, code: 'NOT_FOUND' });
+      pid = page.id;
+    }
+
+    const page = await notion(`/pages/${pid}`);
+    const raw = readProp(page, 'Recurrence');
+    if (!raw) return res.status(400).json({ error: 'Item has no recurrence rule', code: 'INVALID_REQUEST' });
+    const recurrence = formatRecurrence({ ...parseStoredRecurrence(raw), paused: !!paused });
+    const updated = await notion(`/pages/${pid}`, { method: 'PATCH', body: { properties: buildActionBaseProperties({ recurrence }) } });
+    emitActionBaseUpdated(updated, ['Recurrence']);
+    res.json({ ok: true, pageId: pid, recurrence, paused: !!paused });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/actionBase/recurrence/end', requireScope('actionBase:write'), validateBody({
+  properties: PAGE_REF,
+  requireOne: [['pageId', 'pageTitle']]
+}), async (req, res) => {
+  try {
+    const { pageId, pageTitle } = req.body || {};
+    const db = await findDatabaseByName('Action Base');
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
+
+    let pid = pageId;
+    if (!pid) {
+      const page = await findPageInDbByTitle(db.id, pageTitle);
+      if (!page) return res.status(404).json({ error: `Page "${pageTitle}" not found in Action Base`, code: 'NOT_FOUND' });
+      pid = page.id;
+    }
+
+    const updated = await notion(`/pages/${pid}`, { method: 'PATCH', body: { properties: buildActionBaseProperties({ recurrence: null }) } });
+    emitActionBaseUpdated(updated, ['Recurrence']);
+    res.json({ ok: true, pageId: pid, ended: true });
+  } catch (e) { sendError(res, e); }
+});
+
+// -------------------- Calendar feed (iCalendar) --------------------
+// Subscribe URL: /actionBase/calendar.ics?token=CALENDAR_FEED_TOKEN[&alignment=..&type=..&status=..]
+// Filters take comma-separated values. Do Dates become VEVENTs; Due Dates become
+// all-day VEVENTs, or VTODOs with dueAs=todo (many phone calendars hide VTODOs).
+const CALENDAR_FEED_TOKEN = process.env.CALENDAR_FEED_TOKEN || '';
+const CALENDAR_EVENT_MINUTES = Number(process.env.CALENDAR_EVENT_MINUTES) || 30;
+const ICS_PRODID = '-//NOLA Buddy//Action Base//EN';
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a)), bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+function icsEscape(text) {
+  return String(text || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 §3.1: fold lines longer than 75 octets without splitting UTF-8 sequences.
+function icsFold(line) {
+  const bytes = Buffer.from(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let chunk = '';
+  let size = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    const max = out.length ? 74 : 75;
+    if (size + n > max) { out.push(chunk); chunk = ''; size = 0; }
+    chunk += ch;
+    size += n;
+  }
+  out.push(chunk);
+  return out.join('\r\n ');
+}
+
+const icsUtc = (ms) => new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const icsDate = (ymd) => ymd.replace(/-/g, '');
+const icsLocal = (ms, zone) => {
+  const { date, time } = localDateTimeParts(ms, zone);
+  return `${icsDate(date)}T${time.replace(':', '')}00`;
+};
+const icsOffset = (ms) => {
+  const mins = Math.round(ms / 60000);
+  const sign = mins < 0 ? '-' : '+';
+  const abs = Math.abs(mins);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+};
+
+// UTC offset changes for `zone` between two instants, found by daily scan + binary search.
+function zoneTransitions(zone, fromMs, toMs) {
+  const out = [];
+  const day = 86400000;
+  for (let t = fromMs; t < toMs; t += day) {
+    const a = zoneOffsetMs(t, zone), b = zoneOffsetMs(t + day, zone);
+    if (a === b) continue;
+    let lo = t, hi = t + day;
+    while (hi - lo > 60000) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (zoneOffsetMs(mid, zone) === a) lo = mid; else hi = mid;
+    }
+    out.push({ at: hi - (hi % 60000), from: a, to: b });
+  }
+  return out;
+}
+
+// VTIMEZONE listing each explicit transition from last year through next year.
+function buildVTimezone(zone) {
+  const year = new Date().getUTCFullYear();
+  const from = Date.UTC(year - 1, 0, 1), to = Date.UTC(year + 2, 0, 1);
+  const transitions = zoneTransitions(zone, from, to);
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${zone}`];
+  if (!transitions.length) {
+    const off = icsOffset(zoneOffsetMs(from, zone));
+    lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${off}`, `TZOFFSETTO:${off}`, 'END:STANDARD');
+  }
+  for (const tr of transitions) {
+    const kind = tr.to > tr.from ? 'DAYLIGHT' : 'STANDARD';
+    const wall = new Date(tr.at + tr.from).toISOString().replace(/[-:]/g, '').slice(0, 15);
+    lines.push(`BEGIN:${kind}`, `DTSTART:${wall}`, `TZOFFSETFROM:${icsOffset(tr.from)}`, `TZOFFSETTO:${icsOffset(tr.to)}`, `END:${kind}`);
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+function icsDescription(page) {
+  const bits = [
+    ['Type', readProp(page, 'Type')],
+    ['Priority', readProp(page, 'Priority Level')],
+    ['Alignment', readProp(page, 'Alignment')],
+    ['Status', readProp(page, 'Status')]
+  ].filter(([, v]) => v).map(([k, v]) => `${k}: ${v}`);
+  if (page.url) bits.push(page.url);
+  return bits.join('\n');
+}
+
+function icsDateLines(key, value, zone) {
+  if (value.start.length === 10) return [`${key};VALUE=DATE:${icsDate(value.start)}`];
+  return [`${key};TZID=${zone}:${icsLocal(dateValueToMs(value, { zone }), zone)}`];
+}
+
+function pageToIcsComponents(page, { zone, dueAs, stamp }) {
+  const name = readProp(page, 'Name') || '(Untitled)';
+  const status = readProp(page, 'Status');
+  const common = [
+    `DTSTAMP:${stamp}`,
+    ...(page.last_edited_time ? [`LAST-MODIFIED:${icsUtc(Date.parse(page.last_edited_time))}`] : []),
+    `DESCRIPTION:${icsEscape(icsDescription(page))}`,
+    ...(page.url ? [`URL:${page.url}`] : [])
+  ];
+  const out = [];
+
+  const doDate = readProp(page, 'Do Date');
+  if (doDate?.start) {
+    const allDay = doDate.start.length === 10;
+    let end;
+    // An all-day DTEND is exclusive: the day after the last one.
+    if (allDay) end = [`DTEND;VALUE=DATE:${icsDate(addDaysYmd((doDate.end || doDate.start).slice(0, 10), 1))}`];
+    else if (doDate.end) end = icsDateLines('DTEND', { ...doDate, start: doDate.end }, zone);
+    else end = [`DTEND;TZID=${zone}:${icsLocal(dateValueToMs(doDate, { zone }) + CALENDAR_EVENT_MINUTES * 60000, zone)}`];
+    out.push('BEGIN:VEVENT', `UID:${page.id}-do@nola-buddy`, ...common,
+      `SUMMARY:${icsEscape(status === 'Done' ? `✓ ${name}` : name)}`, ...icsDateLines('DTSTART', doDate, zone), ...end,
+      'STATUS:CONFIRMED', 'END:VEVENT');
+  }
+
+  const dueDate = readProp(page, 'Due Date');
+  if (dueDate?.start) {
+    const dueYmd = dueDate.start.length === 10 ? dueDate.start : localDateTimeParts(dateValueToMs(dueDate, { zone }), zone).date;
+    if (dueAs === 'todo') {
+      const todoStatus = status === 'Done' ? 'COMPLETED' : status === 'In progress' ? 'IN-PROCESS' : 'NEEDS-ACTION';
+      out.push('BEGIN:VTODO', `UID:${page.id}-due@nola-buddy`, ...common,
+        `SUMMARY:${icsEscape(name)}`, ...icsDateLines('DUE', dueDate, zone), `STATUS:${todoStatus}`, 'END:VTODO');
+    } else {
+      out.push('BEGIN:VEVENT', `UID:${page.id}-due@nola-buddy`, ...common,
+        `SUMMARY:${icsEscape(`Due: ${name}`)}`, `DTSTART;VALUE=DATE:${icsDate(dueYmd)}`,
+        `DTEND;VALUE=DATE:${icsDate(addDaysYmd(dueYmd, 1))}`, 'TRANSP:TRANSPARENT', 'END:VEVENT');
+    }
+  }
+  return out;
+}
+
+function csvParam(v) {
+  return String(v || '').split(',').map(x => x.trim()).filter(Boolean);
+}
+
+app.get('/actionBase/calendar.ics', async (req, res) => {
+  try {
+    if (!CALENDAR_FEED_TOKEN) return res.status(404).json({ error: 'Calendar feed is disabled; set CALENDAR_FEED_TOKEN', code: 'NOT_FOUND' });
+    if (!safeEqual(req.query.token || '', CALENDAR_FEED_TOKEN)) return res.status(401).json({ error: 'Invalid calendar token', code: 'UNAUTHORIZED' });
+    const zone = requestZone(req);
+
+    const db = await findDatabaseByName('Action Base');
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
+
+    const dueAs = req.query.dueAs === 'todo' ? 'todo' : 'event';
+    const and = [{ or: [
+      { property: 'Do Date', date: { is_not_empty: true } },
+      { property: 'Due Date', date: { is_not_empty: true } }
+    ] }];
+    const facets = [['alignment', 'Alignment', 'select'], ['type', 'Type', 'select'], ['status', 'Status', 'status']];
+    for (const [param, property, kind] of facets) {
+      const values = csvParam(req.query[param]);
+      if (values.length) and.push({ or: values.map(v => ({ property, [kind]: { equals: v } })) });
+    }
+    const pages = await queryAll(db.id, { filter: { and } });
+
+    const stamp = icsUtc(Date.now());
+    const lines = [
+      'BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS_PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH',
+      'X-WR-CALNAME:Action Base', `X-WR-TIMEZONE:${zone}`,
+      ...buildVTimezone(zone),
+      ...pages.flatMap(p => pageToIcsComponents(p, { zone, dueAs, stamp })),
+      'END:VCALENDAR'
+    ];
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="action-base.ics"');
+    res.send(lines.map(icsFold).join('\r\n') + '\r\n');
+  } catch (e) { sendError(res, e); }
+});
+
+// -------------------- Calendar import (iCalendar) --------------------
+// POST /actionBase/importIcs with either a text/calendar body (options in the
+// query string) or JSON { ics, commit, window, alignment, alignmentRules }.
+// Without commit=true it only returns the diff. Imported instances are tracked
+// in the Action Base "iCal UID" text property so re-imports skip them.
+const ICS_UID_PROPERTY = 'iCal UID';
+const ICS_DEFAULT_WINDOW_DAYS = 90;
+// Bounds on one import: the window span and the instances it may expand to.
+const ICS_MAX_WINDOW_DAYS = 366;
+const ICS_MAX_INSTANCES = 2000;
+// JSON list of { match, alignment }; `match` is a case-insensitive substring
+// looked for in SUMMARY, DESCRIPTION, LOCATION and CATEGORIES.
+const ICS_ALIGNMENT_RULES = (() => {
+  try { return JSON.parse(process.env.ICS_ALIGNMENT_RULES || '[]'); } catch { return []; }
+})();
+
+function icsUnescape(v) {
+  return v.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+function parseIcsLine(line) {
+  let i = 0, inQuote = false;
+  for (; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') inQuote = !inQuote;
+    else if (ch === ':' && !inQuote) break;
+  }
+  const head = line.slice(0, i), value = line.slice(i + 1);
+  const [name, ...paramParts] = head.split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const eq = part.indexOf('=');
+    if (eq > 0) params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value };
+}
+
+// Returns VEVENTs as { NAME: [{ params, value }] } maps plus the calendar's X-WR-TIMEZONE.
+function parseIcs(text) {
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(Boolean);
+  if (!/^BEGIN:VCALENDAR/i.test(lines[0] || '')) throw new Error('Body is not an iCalendar document (missing BEGIN:VCALENDAR)');
+  const events = [];
+  const stack = [];
+  let calendarTz = null;
+  let current = null;
+  for (const raw of lines) {
+    const { name, params, value } = parseIcsLine(raw);
+    if (name === 'BEGIN') {
+      stack.push(value.toUpperCase());
+      if (value.toUpperCase() === 'VEVENT') current = {};
+    } else if (name === 'END') {
+      if (stack.pop() === 'VEVENT' && current) { events.push(current); current = null; }
+    } else if (current && stack[stack.length - 1] === 'VEVENT') {
+      (current[name] = current[name] || []).push({ params, value });
+    } else if (name === 'X-WR-TIMEZONE' && stack.length === 1) {
+      calendarTz = value.trim();
+    }
+  }
+  return { events, calendarTz };
+}
+
+// { allDay, date, time, zone, ms } for a DTSTART-like property.
+function parseIcsDate(prop, fallbackZone) {
+  if (!prop) return null;
+  const v = prop.value.trim();
+  const m = v.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  const date = `${m[1]}-${m[2]}-${m[3]}`;
+  if (prop.params.VALUE === 'DATE' || !m[4]) return { allDay: true, date, time: null, zone: fallbackZone, ms: null };
+  const time = `${m[4]}:${m[5]}`;
+  if (m[7]) {
+    const ms = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]);
+    // UTC DTSTARTs recur on UTC wall time (RFC 5545 §3.3.10).
+    return { allDay: false, ...localDateTimeParts(ms, fallbackZone), zone: 'UTC', ms };
+  }
+  const zone = prop.params.TZID && isIanaZone(prop.params.TZID) ? prop.params.TZID : fallbackZone;
+  return { allDay: false, date, time, zone, ms: zonedTimeToUtcMs(`${date}T${time}:${m[6]}`, zone) };
+}
+
+const icsText = (ev, key) => ev[key]?.[0] ? icsUnescape(ev[key][0].value) : '';
+
+function alignmentForEvent(ev, { alignment, alignmentRules }) {
+  if (alignment) return alignment;
+  const haystack = ['SUMMARY', 'DESCRIPTION', 'LOCATION', 'CATEGORIES'].map(k => icsText(ev, k)).join('\n').toLowerCase();
+  for (const rule of [...(alignmentRules || []), ...ICS_ALIGNMENT_RULES]) {
+    if (typeof rule?.match === 'string' && rule.match && rule.alignment && haystack.includes(rule.match.toLowerCase())) return rule.alignment;
+  }
+  return null;
+}
+
+// Expands one VEVENT into dated instances inside [windowStart, windowEnd].
+function expandIcsEvent(ev, { fallbackZone, windowStart, windowEnd, overrides, warnings }) {
+  const uid = icsText(ev, 'UID');
+  const start = parseIcsDate(ev.DTSTART?.[0], fallbackZone);
+  if (!start) {
+    warnings.push(`Skipped "${icsText(ev, 'SUMMARY')}" (${uid || 'no UID'}): missing or unreadable DTSTART`);
+    return [];
+  }
+  const instanceKey = (s) => s.allDay ? `${uid}#${icsDate(s.date)}` : `${uid}#${icsUtc(s.ms)}`;
+  // Instances are written in fallbackZone; a TZID start carries its own wall time.
+  const single = start.allDay ? start : { ...start, ...localDateTimeParts(start.ms, fallbackZone) };
+  const inWindow = single.date >= windowStart && single.date <= windowEnd;
+
+  if (ev['RECURRENCE-ID']) {
+    const rid = parseIcsDate(ev['RECURRENCE-ID'][0], fallbackZone);
+    return inWindow ? [{ key: rid ? instanceKey(rid) : uid, start: single }] : [];
+  }
+  if (!ev.RRULE) return inWindow ? [{ key: uid, start: single }] : [];
+
+  let rule;
+  try {
+    rule = parseRecurrence(ev.RRULE[0].value.split(';').filter(p => !/^WKST=/i.test(p)).join(';'));
+  } catch (e) {
+    warnings.push(`"${icsText(ev, 'SUMMARY')}" (${uid}): ${e.message}; imported the first occurrence only`);
+    return inWindow ? [{ key: uid, start: single }] : [];
+  }
+
+  const exdates = new Set();
+  for (const ex of ev.EXDATE || []) {
+    for (const part of ex.value.split(',')) {
+      const d = parseIcsDate({ params: ex.params, value: part }, start.zone);
+      if (d) exdates.add(instanceKey(d));
+    }
+  }
+
+  const out = [];
+  const anchor = start.allDay ? start.date : localDateTimeParts(start.ms, start.zone).date;
+  const wallTime = start.allDay ? null : localDateTimeParts(start.ms, start.zone).time;
+  let ymd = anchor;
+  let remaining = rule.count ?? Infinity;
+  while (ymd && remaining > 0 && ymd <= windowEnd) {
+    if (ymd < windowStart) {
+      remaining--;
+      ymd = nextOccurrenceYmd(rule, anchor, ymd);
+      continue;
+    }
+    const inst = start.allDay
+      ? { ...start, date: ymd }
+      : (() => {
+          const ms = zonedTimeToUtcMs(`${ymd}T${wallTime}:00`, start.zone);
+          return { ...start, ms, ...localDateTimeParts(ms, fallbackZone) };
+        })();
+    const key = instanceKey(inst);
+    if (!exdates.has(key) && !overrides.has(key)) out.push({ key, start: inst });
+    remaining--;
+    ymd = nextOccurrenceYmd(rule, anchor, ymd);
+  }
+  return out;
+}
+
+async function existingIcsKeys(db) {
+  const pages = await queryAll(db.id, { filter: { property: ICS_UID_PROPERTY, rich_text: { is_not_empty: true } } });
+  return new Map(pages.map(p => [readProp(p, ICS_UID_PROPERTY), p.id]));
+}
+
+app.post('/actionBase/importIcs', requireScope('actionBase:write'), express.text({ type: ['text/calendar', 'text/plain'], limit: '5mb' }), validateBody({
+  properties: {
+    ics: { type: 'string', required: true },
+    commit: { type: 'boolean' },
+    window: { type: 'object', properties: { start: { type: 'ymd' }, end: { type: 'ymd' } } },
+    alignment: abOption('Alignment'),
+    alignmentRules: { type: 'array', items: { type: 'object', properties: { match: { type: 'string', required: true, max: 200, description: 'Case-insensitive text to look for in the event' }, alignment: abOption('Alignment') } } },
+    timeZone: TIME_ZONE_FIELD
+  }
+}), async (req, res) => {
+  try {
+    const isRaw = typeof req.body === 'string';
+    const opts = isRaw ? { ...req.query, ics: req.body } : (req.body || {});
+    const zone = requestZone(req);
+    const commit = opts.commit === true || opts.commit === 'true';
+    if (!opts.ics || typeof opts.ics !== 'string') return res.status(400).json({ error: 'Provide an iCalendar body (text/calendar) or JSON { ics }', code: 'INVALID_REQUEST' });
+
+    let parsed;
+    try { parsed = parseIcs(opts.ics); } catch (e) { return res.status(400).json({ error: e.message, code: 'INVALID_REQUEST' }); }
+
+    // Raw text/calendar bodies skip validateBody, so the query window is checked here.
+    const today = todayInZone(zone);
+    const [startField, endField] = isRaw ? ['windowStart', 'windowEnd'] : ['window.start', 'window.end'];
+    const windowStart = (isRaw ? opts.windowStart : opts.window?.start) || today;
+    const windowEnd = (isRaw ? opts.windowEnd : opts.window?.end) || addDaysYmd(windowStart, ICS_DEFAULT_WINDOW_DAYS);
+    for (const [field, value] of [[startField, windowStart], [endField, windowEnd]]) {
+      if (typeof value !== 'string' || !checkFormat('ymd', value)) {
+        throw new ApiError(400, 'INVALID_FORMAT', `${field} has an invalid date format`, { field, hint: FORMAT_HINTS.ymd });
+      }
+    }
+    if (windowEnd < windowStart) throw new ApiError(400, 'INVALID_VALUE', `${endField} must not be before ${startField}`, { field: endField });
+    if (daysBetweenYmd(windowStart, windowEnd) > ICS_MAX_WINDOW_DAYS) {
+      throw new ApiError(400, 'OUT_OF_RANGE', `The import window must span at most ${ICS_MAX_WINDOW_DAYS} days`, { field: endField });
+    }
+
+    const db = await findDatabaseByName('Action Base');
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
+    if (db.schema[ICS_UID_PROPERTY]?.type !== 'rich_text') {
+      return res.status(400).json({ error: `Action Base needs an "${ICS_UID_PROPERTY}" text property to track imported events`, code: 'INVALID_REQUEST' });
+    }
+
+    const fallbackZone = parsed.calendarTz && isIanaZone(parsed.calendarTz) ? parsed.calendarTz : zone;
+    const alignmentOpts = {
+      alignment: opts.alignment,
+      alignmentRules: Array.isArray(opts.alignmentRules) ? opts.alignmentRules : []
+    };
+
+    const warnings = [];
+    const overrides = new Set();
+    for (const ev of parsed.events) {
+      if (!ev['RECURRENCE-ID']) continue;
+      const rid = parseIcsDate(ev['RECURRENCE-ID'][0], fallbackZone);
+      const uid = icsText(ev, 'UID');
+      if (rid) overrides.add(rid.allDay ? `${uid}#${icsDate(rid.date)}` : `${uid}#${icsUtc(rid.ms)}`);
+    }
+
+    const existing = await existingIcsKeys(db);
+    const create = [];
+    const skipped = [];
+    let instances = 0;
+    for (const ev of parsed.events) {
+      if (icsText(ev, 'STATUS').toUpperCase() === 'CANCELLED') {
+        skipped.push({ uid: icsText(ev, 'UID'), name: icsText(ev, 'SUMMARY'), reason: 'cancelled' });
+        continue;
+      }
+      const alignment = alignmentForEvent(ev, alignmentOpts);
+      const expanded = expandIcsEvent(ev, { fallbackZone, windowStart, windowEnd, overrides, warnings });
+      instances += expanded.length;
+      if (instances > ICS_MAX_INSTANCES) {
+        throw new ApiError(400, 'OUT_OF_RANGE', `The calendar expands to more than ${ICS_MAX_INSTANCES} events in the window`, {
+          field: endField, hint: 'Import a shorter window'
+        });
+      }
+      for (const inst of expanded) {
+        const item = {
+          uid: inst.key,
+          name: icsText(ev, 'SUMMARY') || '(Untitled event)',
+          doDate: { date: inst.start.date, ...(inst.start.allDay ? {} : { time: inst.start.time }) },
+          alignment,
+          location: icsText(ev, 'LOCATION') || null,
+          description: icsText(ev, 'DESCRIPTION') || null
+        };
+        if (existing.has(inst.key)) skipped.push({ uid: inst.key, name: item.name, reason: 'already imported', pageId: existing.get(inst.key) });
+        else if (create.some(c => c.uid === inst.key)) skipped.push({ uid: inst.key, name: item.name, reason: 'duplicate in file' });
+        else create.push(item);
+      }
+    }
+
+    const created = [];
+    const failed = [];
+    if (commit) {
+      for (const item of create) {
+        try {
+          const props = buildActionBaseProperties({ name: item.name, type: 'Event', status: 'Not started', alignment: item.alignment, doDate: item.doDate }, fallbackZone);
+          props[ICS_UID_PROPERTY] = { rich_text: [{ text: { content: item.uid } }] };
+          const details = [item.location && `Location: ${item.location}`, item.description].filter(Boolean).join('\n\n');
+          const page = await notion('/pages', {
+            method: 'POST',
+            body: {
+              parent: { database_id: db.id },
+              icon: iconForActionBase({ type: 'Event', alignment: item.alignment }),
+              properties: props,
+              ...(details ? { children: [{ object: 'block', type: 'paragraph', paragraph: { rich_text: [{ type: 'text', text: { content: details.slice(0, 2000) } }] } }] } : {})
+            }
+          });
+          emitEvent('actionBase.created', actionBaseEventData(page));
+          created.push({ uid: item.uid, pageId: page.id });
+        } catch (e) {
+          failed.push({ uid: item.uid, name: item.name, error: e.message });
+        }
+      }
+    }
+
+    res.json({
+      ok: failed.length === 0,
+      dryRun: !commit,
+      window: { start: windowStart, end: windowEnd },
+      summary: { events: parsed.events.length, toCreate: create.length, skipped: skipped.length, created: created.length, failed: failed.length },
+      create: create.map(({ description, ...rest }) => rest),
+      skipped,
+      ...(commit ? { created, failed } : {}),
+      warnings
+    });
+  } catch (e) { sendError(res, e); }
+});
+
+// -------------------- Quick add (natural language) --------------------
+// "call Dave tomorrow at 3 high priority for Krazy Monkee" -> createItem payload.
+// Dates resolve against today in TZ; "by/due/before <date>" sets the Due Date,
+// any other date the Do Date. Bare hours 1–7 are read as PM, 8–11 as AM.
+const WEEKDAYS = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const PART_OF_DAY = { morning: '09:00', afternoon: '14:00', evening: '18:00', tonight: '20:00', noon: '12:00', midnight: '00:00' };
+
+const ALIGNMENT_ALIASES = {
+  'KRAZY MONKEE': ['krazy monkee', 'crazy monkey', 'km', 'work'],
+  'DEV ED': ['dev ed', 'dev & design education', 'dev and design', 'education', 'study'],
+  'HANUMAN LIFE': ['hanuman life', 'hanuman', 'family', 'personal']
+};
+
+const WEEKDAY_RE = '(mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:r|rs|rsday)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)';
+// Short forms ("sun", "wed", "sat") are common words, so a bare weekday must be
+// spelled out unless it follows on/by/due/before or comes right before a time.
+const WEEKDAY_FULL_RE = '(monday|tuesday|wednesday|thursday|friday|saturday|sunday)';
+const TIME_AHEAD_RE = '(?=\\s+(?:at\\s+\\d|\\d{1,2}(?::\\d{2})?\\s*[ap]\\.?m\\b|\\d{1,2}:\\d{2}|noon\\b|midnight\\b|morning\\b|afternoon\\b|evening\\b))';
+const MONTH_RE = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DATE_PHRASE_RE = new RegExp(
+  '\\b(?:(by|due(?:\\s+on|\\s+by)?|before|on)\\s+)?(' +
+    'today|tonight|tomorrow|tmrw|tmr|' +
+    `(?:${WEEKDAY_RE},?\\s+)?(?:` +
+      '\\d{4}-\\d{2}-\\d{2}|\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?|' +
+      `${MONTH_RE}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?` +
+    ')|' +
+    `(?:next|this)\\s+${WEEKDAY_RE}|${WEEKDAY_FULL_RE}|` +
+    `(?<=\\b(?:by|due|before|on)\\s+)${WEEKDAY_RE}|${WEEKDAY_RE}${TIME_AHEAD_RE}|` +
+    'next\\s+(?:week|month)|' +
+    'in\\s+(?:\\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten)\\s+(?:min(?:ute)?s?|h(?:ou)?rs?|days?|weeks?|months?)' +
+  ')\\b', 'i');
+const TIME_RE = /\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)(?=\s|$|[,.!?])|\bat\s+(\d{1,2})(?::(\d{2}))?\b|\b(\d{1,2}):(\d{2})\b|\b(?:at\s+)?(noon|midnight)\b|\b(?:in\s+the\s+|this\s+)?(morning|afternoon|evening)\b/i;
+const PRIORITY_RE = /\b(?:(high|hi|top|urgent|mid|medium|normal|low)(?:\s+|-)?(?:priority|pri|prio)|(urgent|asap)|priority\s+(high|mid|medium|low))\b|(!!!?)/i;
+
+function nextWeekdayYmd(today, dow, { nextWeek = false } = {}) {
+  const cur = ymdToDate(today).getUTCDay();
+  let delta = (dow - cur + 7) % 7 || 7;
+  if (nextWeek) {
+    // "next Friday" = the Friday of the following Monday-based week.
+    const daysToNextMonday = ((8 - cur) % 7) || 7;
+    delta = daysToNextMonday + ((dow + 6) % 7);
+  }
+  return addDaysYmd(today, delta);
+}
+
+function addMonthsYmd(ymd, n) {
+  const d = ymdToDate(ymd);
+  const target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + n, 1));
+  const last = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(d.getUTCDate(), last));
+  return dateToYmd(target);
+}
+
+// Resolves one date phrase to { date, time? } relative to `now` in `zone`.
+function resolveDatePhrase(phrase, now, zone) {
+  const p = phrase.toLowerCase().replace(/\s+/g, ' ').trim();
+  const { date: today } = localDateTimeParts(now, zone);
+  if (p === 'today') return { date: today };
+  if (p === 'tonight') return { date: today, time: PART_OF_DAY.tonight };
+  if (['tomorrow', 'tmrw', 'tmr'].includes(p)) return { date: addDaysYmd(today, 1) };
+  if (p === 'next week') return { date: nextWeekdayYmd(today, 1) };
+  if (p === 'next month') return { date: addMonthsYmd(today, 1) };
+
+  // "fri 10/30", "Friday, Oct 30": the date wins over the weekday.
+  let m = p.match(new RegExp(`^${WEEKDAY_RE},? (\\d.*|[a-z]+\\.? \\d.*)$`));
+  if (m) return resolveDatePhrase(m[2], now, zone);
+  m = p.match(new RegExp(`^(?:(next|this) )?${WEEKDAY_RE}$`));
+  if (m) {
+    return { date: nextWeekdayYmd(today, WEEKDAYS[m[2].slice(0, 3)], { nextWeek: m[1] === 'next' }) };
+  }
+  m = p.match(/^in (\S+) (\w+)$/);
+  if (m) {
+    const n = NUMBER_WORDS[m[1]] ?? Number(m[1]);
+    const unit = m[2];
+    if (/^min|^h/.test(unit)) {
+      const ms = now + n * (unit.startsWith('h') ? 3600000 : 60000);
+      return localDateTimeParts(ms, zone);
+    }
+    if (unit.startsWith('day')) return { date: addDaysYmd(today, n) };
+    if (unit.startsWith('week')) return { date: addDaysYmd(today, 7 * n) };
+    return { date: addMonthsYmd(today, n) };
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(p)) return { date: p };
+  m = p.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+  const year = Number(today.slice(0, 4));
+  const ymd = (y, mo, d) => `${y}-${String(mo).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+  // Month/day without a year means the next one on or after today.
+  const upcoming = (mo, d) => ymd(year, mo, d) >= today ? ymd(year, mo, d) : ymd(year + 1, mo, d);
+  if (m) {
+    if (!m[3]) return { date: upcoming(+m[1], +m[2]) };
+    const y = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+    return { date: ymd(y, +m[1], +m[2]) };
+  }
+  m = p.match(/^([a-z]+)\.? (\d{1,2})(?:st|nd|rd|th)?(?:,? (\d{4}))?$/);
+  if (m && MONTHS[m[1].slice(0, 3)]) {
+    const mo = MONTHS[m[1].slice(0, 3)];
+    return { date: m[3] ? ymd(+m[3], mo, +m[2]) : upcoming(mo, +m[2]) };
+  }
+  return null;
+}
+
+function parseTimeMatch(m) {
+  if (m[1]) {
+    let h = Number(m[1]) % 12;
+    if (/^p/i.test(m[3])) h += 12;
+    return `${String(h).padStart(2, '0')}:${m[2] || '00'}`;
+  }
+  if (m[4]) {
+    let h = Number(m[4]);
+    if (h >= 1 && h <= 7) h += 12;
+    return h > 23 ? null : `${String(h).padStart(2, '0')}:${m[5] || '00'}`;
+  }
+  if (m[6]) return Number(m[6]) > 23 ? null : `${m[6].padStart(2, '0')}:${m[7]}`;
+  return PART_OF_DAY[(m[8] || m[9]).toLowerCase()];
+}
+
+function parseQuickAdd(text, { schema = {}, now = Date.now(), zone = TZ } = {}) {
+  let rest = ` ${String(text || '').trim()} `;
+  const matched = [];
+  const take = (m, as) => {
+    matched.push({ text: m[0].trim(), as });
+    rest = rest.replace(m[0], ' ');
+  };
+  const out = { name: null, type: null, priorityLevel: null, alignment: null, doDate: null, dueDate: null };
+
+  // Priority
+  let m = rest.match(PRIORITY_RE);
+  if (m) {
+    const word = (m[1] || m[2] || m[3] || '').toLowerCase();
+    out.priorityLevel = m[4] || ['high', 'hi', 'top', 'urgent', 'asap'].includes(word) ? 'HIGH'
+      : ['mid', 'medium', 'normal'].includes(word) ? 'MID' : 'LOW';
+    take(m, 'priorityLevel');
+  }
+
+  // Alignment: "for <option>" / "#<option>" or a known alias.
+  const alignOptions = schema.Alignment?.options || Object.keys(ALIGNMENT_ALIASES);
+  for (const option of alignOptions) {
+    const names = [option.toLowerCase(), ...(ALIGNMENT_ALIASES[option] || [])];
+    const re = new RegExp(`(?:\\bfor\\s+|#)(?:the\\s+)?(${names.map(n => n.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})\\b`, 'i');
+    m = rest.match(re);
+    if (m) { out.alignment = option; take(m, 'alignment'); break; }
+  }
+
+  // Dates (up to two: one Do, one Due) and a time that attaches to the first one found.
+  for (let i = 0; i < 2; i++) {
+    m = rest.match(DATE_PHRASE_RE);
+    if (!m) break;
+    const resolved = resolveDatePhrase(m[2], now, zone);
+    if (!resolved) break;
+    const isDue = !!m[1] && m[1].toLowerCase() !== 'on';
+    const key = isDue ? 'dueDate' : 'doDate';
+    if (out[key]) break;
+    out[key] = resolved;
+    take(m, key);
+  }
+  m = rest.match(TIME_RE);
+  if (m) {
+    const time = parseTimeMatch(m);
+    if (time) {
+      const target = out.doDate ? 'doDate' : out.dueDate ? 'dueDate' : 'doDate';
+      if (!out[target]) out[target] = { date: localDateTimeParts(now, zone).date };
+      out[target] = { ...out[target], time };
+      take(m, `${target}.time`);
+    }
+  }
+
+  // Type from leading verbs and keywords (kept in the name).
+  const typeOptions = schema.Type?.options || ['Task', 'Call', 'Event', 'Errand'];
+  const lower = rest.toLowerCase();
+  const guess = /^\s*(call|phone|ring|facetime)\b/.test(lower) || /\bcall with\b/.test(lower) ? 'Call'
+    : /\b(meeting|appointment|appt|event|conference|party|game|recital|service)\b/.test(lower) ? 'Event'
+    : /\b(pick ?up|drop ?off|buy|grab|return|errand|groceries|mail|bank)\b/.test(lower) ? 'Errand'
+    : 'Task';
+  out.type = typeOptions.includes(guess) ? guess : null;
+
+  const name = rest.replace(/\s+/g, ' ').replace(/\s+([,.;:!?])/g, '$1')
+    .replace(/^[\s,.;:-]+|[\s,.;:-]+$/g, '').replace(/\s+(at|on|by|for)$/i, '');
+  out.name = name ? name[0].toUpperCase() + name.slice(1) : null;
+  return { parsed: out, matched };
+}
+
+app.post('/actionBase/quickAdd', requireScope('actionBase:write'), validateBody({
+  properties: {
+    text: { type: 'string', required: true, max: 500, validate: v => v.trim() ? null : 'must not be blank' },
+    confirm: { type: 'boolean' },
+    status: abOption('Status'),
+    timeZone: TIME_ZONE_FIELD
+  }
+}), async (req, res) => {
+  try {
+    const { text, confirm = true, status = 'Not started' } = req.body || {};
+    const zone = requestZone(req);
+
+    const db = await findDatabaseByName('Action Base');
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
+
+    const { parsed, matched } = parseQuickAdd(text, { schema: db.schema, zone });
+    if (!parsed.name) return res.status(400).json({ error: 'Could not find an item name in text', parsed, matched, code: 'INVALID_REQUEST' });
+
+    const payload = { ...parsed, status, doDate: parsed.doDate || undefined, dueDate: parsed.dueDate || undefined };
+    if (!confirm) return res.json({ ok: true, confirmed: false, parsed: payload, matched });
+
+    const created = await notion('/pages', {
+      method: 'POST',
+      body: { parent: { database_id: db.id }, icon: iconForActionBase(payload), properties: buildActionBaseProperties(payload, zone) }
+    });
+    emitEvent('actionBase.created', actionBaseEventData(created));
+    res.json({ ok: true, confirmed: true, pageId: created.id, parsed: payload, matched });
+  } catch (e) { sendError(res, e); }
 });
 
 // -------------------- Coach/Analysis helpers --------------------
@@ -400,25 +2272,21 @@ function coachNextMove(page) {
   return 'Define the first 10-minute action and start it.';
 }
 function coachFixNow() { return 'Do the smallest unblocked step right now and log it in the page.'; }
-function tsLocal(iso) { return iso ? new Date(iso) : null; }
-function getPrimaryWhen(page) {
-  const dd = readProp(page, 'Do Date')?.start || null;
-  const due = readProp(page, 'Due Date')?.start || null;
-  const which = dd ? 'do' : 'due';
-  const pick = dd || due;
-  return { which, iso: pick, date: tsLocal(pick) };
-}
-function asCoachLine(page, which, now = new Date()) {
+function getPrimaryWhen(page, zone = TZ) {
+  const dd = readProp(page, 'Do Date');
+  const due = readProp(page, 'Due Date');
+  const which = dd?.start ? 'do' : 'due';
+  const pick = dd?.start ? dd : due;
+  return { which, iso: pick?.start || null, date: dateValueToDate(pick, zone) };
+}
+function asCoachLine(page, which, now = new Date(), zone = TZ) {
   const name = readProp(page, 'Name') || '(Untitled)';
   const type = readProp(page, 'Type') || '';
   const alignment = readProp(page, 'Alignment') || '';
   const status = readProp(page, 'Status') || '';
-  const dd = readProp(page, 'Do Date')?.start || null;
-  const due = readProp(page, 'Due Date')?.start || null;
   const label = which === 'do' ? 'Do' : 'Due';
-  const dtISO = which === 'do' ? dd : due;
-  const dt = dtISO ? new Date(dtISO) : null;
-  const timeLabel = dt ? dt.toLocaleString('en-US', { timeZone: TZ, hour: 'numeric', minute: '2-digit' }) : 'no time';
+  const dt = dateValueToDate(readProp(page, which === 'do' ? 'Do Date' : 'Due Date'), zone);
+  const timeLabel = dt ? formatTimeLabel(dt.getTime(), zone) : 'no time';
   return {
     id: page.id,
     line: `**${name}** — ${label} • ${timeLabel}${type ? ` — ${type}` : ''}${alignment ? ` — ${alignment}` : ''} — Status: ${status || 'N/A'}`,
@@ -430,33 +2298,33 @@ function asCoachLine(page, which, now = new Date()) {
 }
 
 // -------------------- Analyses --------------------
-app.post('/analysis/today', async (req, res) => {
+app.post('/analysis/today', requireScope('actionBase:read'), validateBody({
+  properties: {
+    timeZone: TIME_ZONE_FIELD
+  }
+}), async (req, res) => {
   try {
+    const zone = requestZone(req);
     const db = await findDatabaseByName('Action Base');
-    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.' });
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
 
-    const { startISO, endISO, y, m, d } = startEndOfToday();
-    const q = await notion(`/databases/${db.id}/query`, {
-      method: 'POST',
-      body: {
-        filter: {
-          or: [
-            { property: 'Do Date', date: { on_or_after: startISO, on_or_before: endISO } },
-            { property: 'Due Date', date: { on_or_after: startISO, on_or_before: endISO } }
-          ]
-        },
-        page_size: 100
+    const { startISO, endISO, y, m, d } = startEndOfToday(zone);
+    const items = await queryAll(db.id, {
+      filter: {
+        or: [
+          { property: 'Do Date', date: { on_or_after: startISO, on_or_before: endISO } },
+          { property: 'Due Date', date: { on_or_after: startISO, on_or_before: endISO } }
+        ]
       }
     });
 
     const now = new Date();
-    const items = q.results || [];
 
     // Sort: Priority -> time -> Status
     const prioRank = { HIGH: 1, MID: 2, LOW: 3, '': 4 };
     const statusRank = { 'Not started': 1, 'In progress': 2, 'Done': 3, '': 4 };
     const getTime = (p) => {
-      const w = getPrimaryWhen(p).date;
+      const w = getPrimaryWhen(p, zone).date;
       return w ? w.getTime() : Number.MAX_SAFE_INTEGER;
     };
     items.sort((a,b) => {
@@ -477,16 +2345,16 @@ app.post('/analysis/today', async (req, res) => {
     const scheduledTimed = [];
 
     for (const page of items) {
-      const { which, date } = getPrimaryWhen(page);
+      const { which, date } = getPrimaryWhen(page, zone);
       if (date) {
-        if (date < now) overdue.push(asCoachLine(page, which, now));
+        if (date < now) overdue.push(asCoachLine(page, which, now, zone));
         else {
-          const line = asCoachLine(page, which, now);
+          const line = asCoachLine(page, which, now, zone);
           scheduled.push(line);
           scheduledTimed.push({ date, line });
         }
       } else {
-        scheduled.push(asCoachLine(page, 'do', now));
+        scheduled.push(asCoachLine(page, 'do', now, zone));
       }
     }
 
@@ -498,7 +2366,7 @@ app.post('/analysis/today', async (req, res) => {
       const diffMin = (b - a) / 60000;
       if (diffMin >= 60) {
         gaps.push({
-          window: `${a.toLocaleTimeString('en-US', { timeZone: TZ, hour: 'numeric', minute: '2-digit' })}–${b.toLocaleTimeString('en-US', { timeZone: TZ, hour: 'numeric', minute: '2-digit' })}`,
+          window: `${formatTimeLabel(a.getTime(), zone)}–${formatTimeLabel(b.getTime(), zone)}`,
           suggestions: (items.filter(p => (readProp(p,'Priority Level') || '') !== 'HIGH').slice(0,2).map(p => readProp(p,'Name')) || [])
         });
       }
@@ -521,29 +2389,29 @@ app.post('/analysis/today', async (req, res) => {
       quickTally: { total, high, dueHard, doCount, statusMix: { notStarted: ns, inProgress: ip, done: dn } },
       coachNudge: 'Win the morning, win the day. Knock out the 🔥 HIGHs first, slide a 💡 Strategic Win into your biggest gap, and keep momentum rolling — bet!'
     });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
-app.post('/analysis/7day', async (req, res) => {
+app.post('/analysis/7day', requireScope('actionBase:read'), validateBody({
+  properties: {
+    timeZone: TIME_ZONE_FIELD
+  }
+}), async (req, res) => {
   try {
+    const zone = requestZone(req);
     const db = await findDatabaseByName('Action Base');
-    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.' });
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
 
-    const { startISO, endISO } = next7Window();
-    const q = await notion(`/databases/${db.id}/query`, {
-      method: 'POST',
-      body: {
-        filter: {
-          or: [
-            { property: 'Do Date', date: { on_or_after: startISO, on_or_before: endISO } },
-            { property: 'Due Date', date: { on_or_after: startISO, on_or_before: endISO } }
-          ]
-        },
-        page_size: 200
+    const { startISO, endISO } = next7Window(zone);
+    const items = await queryAll(db.id, {
+      filter: {
+        or: [
+          { property: 'Do Date', date: { on_or_after: startISO, on_or_before: endISO } },
+          { property: 'Due Date', date: { on_or_after: startISO, on_or_before: endISO } }
+        ]
       }
     });
 
-    const items = q.results || [];
     const getPriority = p => readProp(p, 'Priority Level') || '';
     const getStatus = p => readProp(p, 'Status') || '';
     const getType = p => readProp(p, 'Type') || '';
@@ -557,10 +2425,9 @@ app.post('/analysis/7day', async (req, res) => {
     const soon = Date.now() + 48 * 3600 * 1000;
     const riskWatch = items.filter(p => {
       const st = getStatus(p);
-      const doStart = readProp(p, 'Do Date')?.start;
-      const dueStart = readProp(p, 'Due Date')?.start;
-      const first = doStart || dueStart;
-      const t = first ? new Date(first).getTime() : Infinity;
+      const doDate = readProp(p, 'Do Date');
+      const first = doDate?.start ? doDate : readProp(p, 'Due Date');
+      const t = dateValueToMs(first, { zone }) ?? Infinity;
       return st === 'Not started' && t < soon;
     });
 
@@ -577,12 +2444,10 @@ app.post('/analysis/7day', async (req, res) => {
       const alignment = getAlign(page);
       const status = getStatus(page) || 'N/A';
       const pr = getPriority(page) || 'N/A';
-      const dd = readProp(page, 'Do Date')?.start || null;
-      const due = readProp(page, 'Due Date')?.start || null;
-      const which = dd ? 'Do' : 'Due';
-      const pick = dd || due;
-      const dt = pick ? new Date(pick).toLocaleString('en-US', { timeZone: TZ, month:'2-digit', day:'2-digit', hour:'numeric', minute:'2-digit' }) : 'no time';
-      return `**${name}** — ${which} • ${dt}${type ? ` — ${type}` : ''}${alignment ? ` — ${alignment}` : ''} — Priority: ${pr} — Status: ${status}`;
+      const { which, date } = getPrimaryWhen(page, zone);
+      const label = which === 'do' ? 'Do' : 'Due';
+      const dt = date ? formatDateTimeLabel(date.getTime(), zone) : 'no time';
+      return `**${name}** — ${label} • ${dt}${type ? ` — ${type}` : ''}${alignment ? ` — ${alignment}` : ''} — Priority: ${pr} — Status: ${status}`;
     }
 
     res.json({
@@ -595,32 +2460,33 @@ app.post('/analysis/7day', async (req, res) => {
       },
       wrapUp: 'J-Maal, the next 7 days ain’t about doing everything, it’s about doing the right things. Hit the 🔥 Critical Moves first, sprinkle in 💡 Strategic Wins, and watch the ⚠ risks.'
     });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
-app.post('/analysis/period', async (req, res) => {
+app.post('/analysis/period', requireScope('actionBase:read'), validateBody({
+  properties: {
+    startDate: { type: 'ymd', required: true },
+    endDate: { type: 'ymd', required: true },
+    timeZone: TIME_ZONE_FIELD
+  }
+}), async (req, res) => {
   try {
     const { startDate, endDate } = req.body || {}; // 'YYYY-MM-DD'
-    if (!startDate || !endDate) return res.status(400).json({ error: 'startDate and endDate are required (YYYY-MM-DD)' });
+    const zone = requestZone(req);
     const db = await findDatabaseByName('Action Base');
-    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.' });
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
 
-    const startISO = `${startDate}T00:00:00Z`;
-    const endISO = `${endDate}T23:59:59Z`;
+    const { startISO, endISO } = localRange(startDate, endDate, zone);
 
-    const q = await notion(`/databases/${db.id}/query`, {
-      method: 'POST',
-      body: {
-        filter: {
-          or: [
-            { property: 'Do Date', date: { on_or_after: startISO, on_or_before: endISO } },
-            { property: 'Due Date', date: { on_or_after: startISO, on_or_before: endISO } }
-          ]
-        }
+    const items = await queryAll(db.id, {
+      filter: {
+        or: [
+          { property: 'Do Date', date: { on_or_after: startISO, on_or_before: endISO } },
+          { property: 'Due Date', date: { on_or_after: startISO, on_or_before: endISO } }
+        ]
       }
     });
 
-    const items = q.results || [];
     const getPriority = p => readProp(p, 'Priority Level') || '';
     const getStatus = p => readProp(p, 'Status') || '';
     const getType = p => readProp(p, 'Type') || '';
@@ -631,20 +2497,18 @@ app.post('/analysis/period', async (req, res) => {
       const type = getType(page), alignment = getAlign(page);
       const status = getStatus(page) || 'N/A';
       const pr = getPriority(page) || 'N/A';
-      const dd = readProp(page, 'Do Date')?.start || null;
-      const due = readProp(page, 'Due Date')?.start || null;
-      const which = dd ? 'Do' : 'Due';
-      const pick = dd || due;
-      const dt = pick ? new Date(pick).toLocaleString('en-US', { timeZone: TZ, month:'2-digit', day:'2-digit', hour:'numeric', minute:'2-digit' }) : 'no time';
-      return `**${name}** — ${which} • ${dt}${type ? ` — ${type}` : ''}${alignment ? ` — ${alignment}` : ''} — Priority: ${pr} — Status: ${status}`;
+      const { which, date } = getPrimaryWhen(page, zone);
+      const label = which === 'do' ? 'Do' : 'Due';
+      const dt = date ? formatDateTimeLabel(date.getTime(), zone) : 'no time';
+      return `**${name}** — ${label} • ${dt}${type ? ` — ${type}` : ''}${alignment ? ` — ${alignment}` : ''} — Priority: ${pr} — Status: ${status}`;
     };
 
     const highPriority = items.filter(p => getPriority(p) === 'HIGH').map(line);
     const strategicWins = items.filter(p => ['MID','LOW',''].includes(getPriority(p))).map(line);
     const soon = Date.now() + 48*3600*1000;
     const riskWatch = items.filter(p => getStatus(p) === 'Not started' && (() => {
-      const dd = readProp(p, 'Do Date')?.start || readProp(p, 'Due Date')?.start || null;
-      return dd ? new Date(dd).getTime() < soon : false;
+      const t = getPrimaryWhen(p, zone).date;
+      return t ? t.getTime() < soon : false;
     })()).map(line);
 
     const groups = items.reduce((m,p) => {
@@ -655,41 +2519,40 @@ app.post('/analysis/period', async (req, res) => {
     const alignmentCheck = Object.entries(groups).map(([alignment, count]) => ({ alignment, count }));
 
     res.json({ ok:true, sections: { highPriority, strategicWins, riskWatch, alignmentCheck }});
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
-app.post('/analysis/productivity', async (req, res) => {
+app.post('/analysis/productivity', requireScope('actionBase:read'), validateBody({
+  properties: {
+    days: { type: 'integer', min: 1, max: 366 },
+    timeZone: TIME_ZONE_FIELD
+  }
+}), async (req, res) => {
   try {
     const { days = 14 } = req.body || {};
+    const zone = requestZone(req);
     const db = await findDatabaseByName('Action Base');
-    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.' });
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
 
-    const end = new Date();
-    const start = new Date();
-    start.setDate(end.getDate() - (days - 1));
-    const startISO = start.toISOString();
-    const endISO = end.toISOString();
+    const today = todayInZone(zone);
+    const { startISO } = localRange(addDaysYmd(today, -(days - 1)), today, zone);
+    const endISO = new Date().toISOString();
 
-    const q = await notion(`/databases/${db.id}/query`, {
-      method: 'POST',
-      body: {
-        filter: {
-          or: [
-            { property: 'Do Date', date: { on_or_after: startISO, on_or_before: endISO } },
-            { property: 'Due Date', date: { on_or_after: startISO, on_or_before: endISO } }
-          ]
-        },
-        page_size: 200
+    const items = await queryAll(db.id, {
+      filter: {
+        or: [
+          { property: 'Do Date', date: { on_or_after: startISO, on_or_before: endISO } },
+          { property: 'Due Date', date: { on_or_after: startISO, on_or_before: endISO } }
+        ]
       }
     });
 
-    const items = q.results || [];
     const bucket = {};
     for (const p of items) {
-      const dd = readProp(p, 'Do Date')?.start || readProp(p, 'Due Date')?.start || null;
+      const when = getPrimaryWhen(p, zone).date;
       const status = readProp(p, 'Status') || 'Unknown';
-      if (!dd) continue;
-      const d = new Date(dd).toLocaleDateString('en-US', { timeZone: TZ });
+      if (!when) continue;
+      const d = when.toLocaleDateString('en-US', { timeZone: zone });
       bucket[d] = bucket[d] || { total: 0, done: 0 };
       bucket[d].total += 1;
       if (status === 'Done') bucket[d].done += 1;
@@ -701,424 +2564,4722 @@ app.post('/analysis/productivity', async (req, res) => {
     const overallRate = totals.total ? Math.round((totals.done / totals.total)*100) : 0;
 
     res.json({ ok: true, days, overallRate, series });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
-// Convenience
-app.post('/actionBase/getItem', async (req, res) => {
-  try {
-    const { pageId, pageTitle } = req.body || {};
-    const db = await findDatabaseByName('Action Base');
-    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.' });
+// -------------------- Weekly review --------------------
+// One report for the seven days ending `weekEnding` (default today): what got
+// done, what slipped, older items still open, the Alignment balance, note
+// activity and next week's commitments. The same sections render as Markdown
+// and, with publish, as heading/bulleted/to-do blocks on a new page in the
+// "Weekly Reviews" database (its title and first date property are filled).
+const WEEKLY_REVIEW_DATABASE = process.env.WEEKLY_REVIEW_DATABASE || 'Weekly Reviews';
+const NOTION_MAX_CHILDREN = 100;
 
-    let pid = pageId;
-    if (!pid) {
-      if (!pageTitle) return res.status(400).json({ error: 'Provide pageId or pageTitle' });
-      const page = await findPageInDbByTitle(db.id, pageTitle);
-      if (!page) return res.status(404).json({ error: `Page "${pageTitle}" not found in Action Base` });
-      pid = page.id;
-    }
+// Uses the Do Date unless only the Due Date falls inside `range`.
+function reviewItem(page, zone, range) {
+  let { which, date } = getPrimaryWhen(page, zone);
+  const due = dateValueToDate(readProp(page, 'Due Date'), zone);
+  const inRange = (d) => d && d.getTime() >= range.startMs && d.getTime() <= range.endMs;
+  if (range && which === 'do' && !inRange(date) && inRange(due)) [which, date] = ['due', due];
+  const value = readProp(page, which === 'do' ? 'Do Date' : 'Due Date');
+  return {
+    id: page.id,
+    name: readProp(page, 'Name') || '(Untitled)',
+    which,
+    when: !date ? null : value?.start?.length === 10 ? value.start.slice(5).replace('-', '/') : formatDateTimeLabel(date.getTime(), zone),
+    ms: date ? date.getTime() : null,
+    alignment: readProp(page, 'Alignment') || null,
+    priority: readProp(page, 'Priority Level') || null,
+    status: readProp(page, 'Status') || null
+  };
+}
 
-    const page = await notion(`/pages/${pid}`);
-    const props = page.properties || {};
-    const read = (k) => readProp({ properties: props }, k);
-    res.json({
-      ok: true,
-      pageId: pid,
-      properties: {
-        Name: read('Name'),
-        Status: read('Status'),
-        Type: read('Type'),
-        'Priority Level': read('Priority Level'),
-        Alignment: read('Alignment'),
-        'Do Date': read('Do Date'),
-        'Due Date': read('Due Date'),
-        'Project Attribute': read('Project Attribute')
-      }
-    });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+function reviewItemDetail(item) {
+  return [
+    item.when ? `${item.which === 'do' ? 'Do' : 'Due'} ${item.when}` : null,
+    item.alignment,
+    item.priority === 'HIGH' ? '🔥 HIGH' : null,
+    item.daysOverdue ? `${item.daysOverdue}d overdue` : null
+  ].filter(Boolean).join(' · ');
+}
+
+const inWindowFilter = (range) => ({
+  or: [
+    { property: 'Do Date', date: { on_or_after: range.startISO, on_or_before: range.endISO } },
+    { property: 'Due Date', date: { on_or_after: range.startISO, on_or_before: range.endISO } }
+  ]
 });
 
-app.post('/actionBase/list', async (req, res) => {
-  try {
-    const db = await findDatabaseByName('Action Base');
-    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.' });
+async function buildWeeklyReview({ weekEnding, zone, notebook }) {
+  const db = await findDatabaseByName('Action Base');
+  if (!db) throw new ApiError(404, 'NOT_FOUND', 'Database "Action Base" not found or not shared.');
 
-    const r = await notion(`/databases/${db.id}/query`, { method: 'POST', body: {} });
-    const pages = (r.results || []).map(p => ({
-      id: p.id,
-      name: readProp(p, 'Name'),
-      status: readProp(p, 'Status'),
-      type: readProp(p, 'Type'),
-      priority: readProp(p, 'Priority Level'),
-      alignment: readProp(p, 'Alignment'),
-      doDate: readProp(p, 'Do Date'),
-      dueDate: readProp(p, 'Due Date')
-    }));
-    res.json({ ok: true, count: pages.length, pages });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
-});
+  const end = weekEnding || todayInZone(zone);
+  const start = addDaysYmd(end, -6);
+  const nextStart = addDaysYmd(end, 1);
+  const nextEnd = addDaysYmd(end, 7);
+  const week = localRange(start, end, zone);
+  const next = localRange(nextStart, nextEnd, zone);
+  const now = Date.now();
+  const byWhen = (a, b) => (a.ms ?? Infinity) - (b.ms ?? Infinity);
 
-// Optional DB-level helpers
-app.post('/databases/create', async (req, res) => {
-  try {
-    const { parentPageId, databaseTitle } = req.body || {};
-    if (!parentPageId || !databaseTitle) {
-      return res.status(400).json({ error: 'parentPageId and databaseTitle are required' });
+  const weekPages = await queryAll(db.id, { filter: inWindowFilter(week) });
+  const nextPages = await queryAll(db.id, { filter: inWindowFilter(next) });
+  const olderOpen = await queryAll(db.id, {
+    filter: {
+      and: [
+        { property: 'Status', status: { does_not_equal: 'Done' } },
+        { or: [{ property: 'Do Date', date: { before: week.startISO } }, { property: 'Due Date', date: { before: week.startISO } }] }
+      ]
     }
-    const created = await notion('/databases', {
-      method: 'POST',
-      body: {
-        parent: { type: 'page_id', page_id: parentPageId },
-        title: [{ type: 'text', text: { content: databaseTitle } }],
-        properties: { Name: { title: {} } }
-      }
-    });
-    res.json({ ok: true, databaseId: created.id });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
-});
+  });
 
-app.post('/databases/archiveByName', async (req, res) => {
-  try {
-    const { databaseName } = req.body || {};
-    if (!databaseName) return res.status(400).json({ error: 'databaseName is required' });
-    const db = await findDatabaseByName(databaseName);
-    if (!db) return res.status(404).json({ error: `Database "${databaseName}" not found or not shared.` });
+  const weekItems = weekPages.map(p => reviewItem(p, zone, week)).sort(byWhen);
+  const completed = weekItems.filter(i => i.status === 'Done');
+  const slipped = weekItems.filter(i => i.status !== 'Done' && i.ms != null && i.ms < Math.min(now, week.endMs));
+  const weekIds = new Set(weekItems.map(i => i.id));
+  const carryOver = olderOpen
+    .map(p => reviewItem(p, zone))
+    .filter(i => !weekIds.has(i.id) && i.ms != null && i.ms < week.startMs)
+    .map(i => ({ ...i, daysOverdue: Math.floor((now - i.ms) / 86400000) }))
+    .sort(byWhen);
+  const commitments = nextPages.map(p => reviewItem(p, zone, next)).filter(i => i.status !== 'Done').sort(byWhen);
 
-    const updated = await notion(`/databases/${db.id}`, { method: 'PATCH', body: { archived: true } });
-    res.json({ ok: true, databaseId: updated.id, archived: true });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
-});
+  const balance = new Map();
+  for (const i of weekItems) {
+    const key = i.alignment || 'Unassigned';
+    const b = balance.get(key) || { alignment: key, planned: 0, done: 0 };
+    b.planned += 1;
+    if (i.status === 'Done') b.done += 1;
+    balance.set(key, b);
+  }
+  const alignment = [...balance.values()]
+    .map(b => ({ ...b, share: weekItems.length ? Math.round((b.planned / weekItems.length) * 100) : 0 }))
+    .sort((a, b) => b.planned - a.planned);
 
-// ==========================================================================
-// ===================  GOOGLE SHEETS — NOTES ENGINE  ========================
-// ==========================================================================
-const NOTE_HEADERS = ['TITLE', 'Date & Time', 'Tag', 'Notes'];
-const SPREADSHEET_ID = process.env.SPREADSHEET_ID;
-const GOOGLE_CLIENT_EMAIL = process.env.GOOGLE_CLIENT_EMAIL;
-const GOOGLE_PRIVATE_KEY = (process.env.GOOGLE_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+  const { rows } = await listAllNotes({ notebook });
+  const weekNotes = rows.filter(r => r.dateTime >= `${start} 00:00` && r.dateTime <= `${end} 23:59`);
+  const tags = new Map();
+  for (const r of weekNotes) {
+    const key = r.tag || 'Untagged';
+    if (!tags.has(key)) tags.set(key, { tag: key, count: 0, vocab: new Map() });
+    const t = tags.get(key);
+    t.count += 1;
+    tokenize(`${r.title} ${r.notes}`).forEach(w => t.vocab.set(w, (t.vocab.get(w) || 0) + 1));
+  }
+  const notes = {
+    total: weekNotes.length,
+    byTag: [...tags.values()].sort((a, b) => b.count - a.count)
+      .map(({ tag, count, vocab }) => ({ tag, count, topTerms: topN(vocab, 5).map(x => x.term) })),
+    topTerms: analyzeRows(weekNotes).topTerms.slice(0, 10)
+  };
 
-let sheetsClient = null;
+  const decided = completed.length + slipped.length;
+  const strip = ({ ms, ...item }) => item;
+  return {
+    week: { start, end },
+    nextWeek: { start: nextStart, end: nextEnd },
+    summary: {
+      planned: weekItems.length,
+      completed: completed.length,
+      slipped: slipped.length,
+      completionRate: decided ? Math.round((completed.length / decided) * 100) : 0,
+      carryOver: carryOver.length,
+      notes: weekNotes.length,
+      commitments: commitments.length
+    },
+    completed: completed.map(strip),
+    slipped: slipped.map(strip),
+    carryOver: carryOver.map(strip),
+    alignment,
+    notes,
+    commitments: commitments.map(strip)
+  };
+}
 
-async function getSheetsClient() {
-  if (sheetsClient) return sheetsClient;
-  if (!GOOGLE_CLIENT_EMAIL || !GOOGLE_PRIVATE_KEY || !SPREADSHEET_ID) {
-    console.warn('WARNING: Google Sheets env vars missing. Set GOOGLE_CLIENT_EMAIL, GOOGLE_PRIVATE_KEY, SPREADSHEET_ID.');
+// Sections shared by the Markdown and Notion renderings. Entries are
+// { text, detail?, checked? }; `checked` makes them to-dos.
+function weeklyReviewSections(review) {
+  const items = (list, checked) => list.map(i => ({ text: i.name, detail: reviewItemDetail(i), checked }));
+  return [
+    { heading: `✅ Completed (${review.completed.length})`, entries: items(review.completed, true) },
+    { heading: `↪️ Slipped (${review.slipped.length})`, entries: items(review.slipped, false) },
+    { heading: `⏳ Overdue carry-over (${review.carryOver.length})`, entries: items(review.carryOver, false) },
+    {
+      heading: '⚖️ Alignment balance',
+      entries: review.alignment.map(a => ({ text: a.alignment, detail: `${a.done}/${a.planned} done · ${a.share}% of the week` }))
+    },
+    {
+      heading: `📝 Notes (${review.notes.total})`,
+      entries: review.notes.byTag.map(t => ({ text: t.tag, detail: `${t.count} note(s)${t.topTerms.length ? ` · ${t.topTerms.join(', ')}` : ''}` }))
+    },
+    { heading: `🎯 Next week (${review.nextWeek.start} → ${review.nextWeek.end})`, entries: items(review.commitments, false) }
+  ];
+}
+
+function weeklyReviewTitle(review) {
+  return `Weekly Review — ${review.week.start} → ${review.week.end}`;
+}
+
+function weeklyReviewMarkdown(review) {
+  const { summary } = review;
+  const out = [
+    `# ${weeklyReviewTitle(review)}`,
+    '',
+    `**${summary.completed}** done · **${summary.slipped}** slipped · **${summary.completionRate}%** completion · **${summary.carryOver}** carried over · **${summary.notes}** notes`
+  ];
+  for (const section of weeklyReviewSections(review)) {
+    out.push('', `## ${section.heading}`, '');
+    if (!section.entries.length) out.push('_Nothing here._');
+    for (const e of section.entries) {
+      const box = e.checked === undefined ? '' : e.checked ? '[x] ' : '[ ] ';
+      out.push(`- ${box}**${e.text}**${e.detail ? ` — ${e.detail}` : ''}`);
+    }
   }
-  const auth = new google.auth.JWT(
-    GOOGLE_CLIENT_EMAIL,
-    null,
-    GOOGLE_PRIVATE_KEY || undefined,
-    ['https://www.googleapis.com/auth/spreadsheets']
-  );
-  sheetsClient = google.sheets({ version: 'v4', auth });
-  return sheetsClient;
+  return `${out.join('\n')}\n`;
 }
 
-async function getPrimarySheetTitle() {
-  const sheets = await getSheetsClient();
-  const meta = await sheets.spreadsheets.get({ spreadsheetId: SPREADSHEET_ID });
-  const match = meta.data.sheets?.find(s => s.properties?.title === 'Maal Secretary Notes');
-  return match?.properties?.title || meta.data.sheets?.[0]?.properties?.title || 'Sheet1';
+function weeklyReviewBlocks(review) {
+  const { summary } = review;
+  const text = (content, annotations) => ({ type: 'text', text: { content: content.slice(0, NOTION_TEXT_LIMIT) }, ...(annotations ? { annotations } : {}) });
+  const blocks = [paragraph([text(`${summary.completed} done · ${summary.slipped} slipped · ${summary.completionRate}% completion · ${summary.carryOver} carried over · ${summary.notes} notes`)])];
+  for (const section of weeklyReviewSections(review)) {
+    blocks.push({ object: 'block', type: 'heading_2', heading_2: { rich_text: [text(section.heading)] } });
+    if (!section.entries.length) blocks.push(paragraph([text('Nothing here.', { italic: true })]));
+    for (const e of section.entries) {
+      const rich = [text(e.text, { bold: true }), ...(e.detail ? [text(` — ${e.detail}`)] : [])];
+      blocks.push(e.checked === undefined
+        ? { object: 'block', type: 'bulleted_list_item', bulleted_list_item: { rich_text: rich } }
+        : { object: 'block', type: 'to_do', to_do: { rich_text: rich, checked: e.checked } });
+    }
+  }
+  return blocks;
 }
 
-async function ensureHeaders() {
-  const sheets = await getSheetsClient();
-  const title = await getPrimarySheetTitle();
-  const r = await sheets.spreadsheets.values.get({
-    spreadsheetId: SPREADSHEET_ID,
-    range: `${title}!A1:D1`
+// Notion takes at most 100 children per request; the rest are appended in batches.
+async function publishWeeklyReview(review, databaseName = WEEKLY_REVIEW_DATABASE) {
+  const db = await findDatabaseByName(databaseName);
+  if (!db) throw new ApiError(404, 'NOT_FOUND', `Database "${databaseName}" not found or not shared.`, { field: 'databaseName' });
+  const titleProp = Object.keys(db.schema).find(k => db.schema[k].type === 'title');
+  const dateProp = Object.keys(db.schema).find(k => db.schema[k].type === 'date');
+  const blocks = weeklyReviewBlocks(review);
+
+  const page = await notion('/pages', {
+    method: 'POST',
+    body: {
+      parent: { database_id: db.id },
+      icon: { type: 'emoji', emoji: '🗓️' },
+      properties: {
+        [titleProp]: { title: [{ text: { content: weeklyReviewTitle(review) } }] },
+        ...(dateProp ? { [dateProp]: { date: { start: review.week.start, end: review.week.end } } } : {})
+      },
+      children: blocks.slice(0, NOTION_MAX_CHILDREN)
+    }
   });
-  const row = r.data.values?.[0] || [];
-  const need = NOTE_HEADERS;
-  const same = need.every((h, i) => row[i] === h);
-  if (!same) {
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: SPREADSHEET_ID,
-      range: `${title}!A1:D1`,
-      valueInputOption: 'RAW',
-      requestBody: { values: [need] }
-    });
+  for (let i = NOTION_MAX_CHILDREN; i < blocks.length; i += NOTION_MAX_CHILDREN) {
+    await notion(`/blocks/${page.id}/children`, { method: 'PATCH', body: { children: blocks.slice(i, i + NOTION_MAX_CHILDREN) } });
   }
-  return title;
+  return { pageId: page.id, url: page.url || null, database: db.title, blocks: blocks.length };
 }
 
-// Title / Tag helpers
-const EDU_WORDS = ['codecademy','freecodecamp','javascript','node','react','express','firebase','gsap','html','css','data structures','algorithms','study','course','tutorial','lesson','practice','design refresher','photoshop','illustrator','indesign','after effects','premiere','premier pro','adobe','bootcamp'];
-const WORK_WORDS = ['client','invoice','proposal','deliverable','website','web design','web dev','branding','logo','video','edit','render','notion buddy','crazy monkey','krazy monkee','marketing','ad','campaign','portfolio','mockup'];
-const LIFE_WORDS = ['mom','dad','son','daughter','kids','jordan','jace','jamal jr','family','school','homework','pickup','dropoff','work schedule','gentilly mail and copy center','luz','joe','van','dave','rob','exercise','workout','gym','meditate','meditation','pray','prayer','court','appointment','doctor','volunteer','service','church','temple'];
+app.post('/analysis/weeklyReview', requireScope('actionBase:read'), requireScope('notes:read'), validateBody({
+  properties: {
+    weekEnding: { type: 'ymd', description: 'Last day of the reviewed week (default today)' },
+    publish: { type: 'boolean', description: 'Also create a page in the Weekly Reviews database (needs actionBase:write)' },
+    databaseName: { type: 'string', description: `Defaults to "${WEEKLY_REVIEW_DATABASE}"` },
+    notebook: NOTEBOOK,
+    timeZone: TIME_ZONE_FIELD
+  }
+}), async (req, res) => {
+  try {
+    const { weekEnding, publish, databaseName, notebook } = req.body || {};
+    const zone = requestZone(req);
+    if (publish && AUTH_ENABLED && !hasScope(req.apiKey, 'actionBase:write')) {
+      return res.status(403).json({ error: `API key "${req.apiKey?.name}" lacks scope actionBase:write`, code: 'FORBIDDEN' });
+    }
+    const review = await buildWeeklyReview({ weekEnding, zone, notebook });
+    const markdown = weeklyReviewMarkdown(review);
+    const published = publish ? await publishWeeklyReview(review, databaseName) : null;
+    res.json({ ok: true, ...review, markdown, ...(published ? { published } : {}) });
+  } catch (e) { sendError(res, e); }
+});
 
-function bagContains(text, list) {
-  const t = ` ${text.toLowerCase()} `;
-  return list.some(w => t.includes(` ${w} `) || t.includes(w));
-}
-function classifyTag({ title, notes }) {
-  const text = `${title || ''} ${notes || ''}`.toLowerCase();
-  if (bagContains(text, EDU_WORDS)) return 'Dev & Design Education';
-  if (bagContains(text, WORK_WORDS)) return 'Krazy Monkee';
-  if (bagContains(text, LIFE_WORDS)) return 'Hanuman Life';
-  return 'Krazy Monkee';
-}
-function generateTitle(notes) {
-  const str = (notes || '').trim();
-  if (!str) return 'General Note';
-  const first = str.split('\n')[0];
-  const m = first.match(/(meeting|call|client|task|idea)[:\- ]+(.*)/i);
-  if (m && m[2]) return `${m[1][0].toUpperCase()}${m[1].slice(1).toLowerCase()}: ${m[2]}`.slice(0, 60);
-  return first.split(/\s+/).slice(0, 6).join(' ').slice(0, 60) || 'General Note';
+// -------------------- Day planner (time blocking) --------------------
+// Builds a timeline for one day inside working hours. Timed items on that day
+// (Events, Calls, anything with a clock time) are fixed blocks; open items
+// whose Do Date is that day or earlier (date only), or that have no Do Date
+// but are due within the horizon, are placed first-fit into the remaining
+// gaps by priority, then due date. Lengths come from the Duration property,
+// else defaultDuration. With apply, each placed item's Do Date becomes its slot.
+const PLAN_WORK_START = process.env.PLAN_WORK_START || '09:00';
+const PLAN_WORK_END = process.env.PLAN_WORK_END || '17:00';
+const PLAN_DEFAULT_BREAKS = [{ start: '12:00', end: '13:00', label: 'Lunch' }];
+const PLAN_DEFAULT_DURATION = 30;
+const PLAN_HORIZON_DAYS = 7;
+const PLAN_SLOT_MS = 5 * 60000; // placed items start on 5-minute marks
+const PRIORITY_RANK = { HIGH: 1, MID: 2, LOW: 3 };
+const FIXED_TYPES = new Set(['Event', 'Call']);
+
+// Removes [s, e) from a sorted list of free [start, end) intervals.
+function subtractInterval(free, s, e) {
+  return free.flatMap(([a, b]) => e <= a || s >= b
+    ? [[a, b]]
+    : [...(s > a ? [[a, s]] : []), ...(e < b ? [[e, b]] : [])]);
 }
 
-// Data access
-async function listAllNotes() {
-  const sheets = await getSheetsClient();
-  const title = await ensureHeaders();
-  const r = await sheets.spreadsheets.values.get({
-    spreadsheetId: SPREADSHEET_ID,
-    range: `${title}!A2:D`
-  });
-  const rows = r.data.values || [];
+function planEntry(kind, startMs, endMs, zone, extra = {}) {
+  const iso = (ms) => {
+    const local = localDateTimeParts(ms, zone);
+    return zonedISO(local.date, local.time, zone);
+  };
   return {
-    sheetTitle: title,
-    rows: rows.map((row, i) => ({
-      rowIndex: i + 2,
-      title: row[0] || '',
-      dateTime: row[1] || '',
-      tag: row[2] || '',
-      notes: row[3] || ''
-    }))
+    kind,
+    start: iso(startMs),
+    end: iso(endMs),
+    window: `${formatTimeLabel(startMs, zone)}–${formatTimeLabel(endMs, zone)}`,
+    minutes: Math.round((endMs - startMs) / 60000),
+    ...extra
   };
 }
 
-function formatChicagoStamp() {
-  const d = chicagoNow();
-  const y = d.getFullYear();
-  const m = `${d.getMonth()+1}`.padStart(2,'0');
-  const day = `${d.getDate()}`.padStart(2,'0');
-  const hh = `${d.getHours()}`.padStart(2,'0');
-  const mm = `${d.getMinutes()}`.padStart(2,'0');
-  return `${y}-${m}-${day} ${hh}:${mm}`;
-}
-
-async function createNote({ title, tag, notes }) {
-  const sheets = await getSheetsClient();
-  const sheetTitle = await ensureHeaders();
-  const finalTitle = (title && title.trim()) || generateTitle(notes);
-  const finalTag = (tag && tag.trim()) || classifyTag({ title: finalTitle, notes });
-  const fixedTimestamp = formatChicagoStamp(); // immutable
+async function buildDayPlan({ date, workStart, workEnd, breaks, bufferMinutes, defaultDuration, horizonDays, zone, now = Date.now() }) {
+  const db = await findDatabaseByName('Action Base');
+  if (!db) throw new ApiError(404, 'NOT_FOUND', 'Database "Action Base" not found or not shared.');
 
-  const values = [[finalTitle, fixedTimestamp, finalTag, notes || '']];
-  await sheets.spreadsheets.values.append({
-    spreadsheetId: SPREADSHEET_ID,
-    range: `${sheetTitle}!A:D`,
-    valueInputOption: 'RAW',
-    insertDataOption: 'INSERT_ROWS',
-    requestBody: { values }
+  const at = (hhmm) => zonedTimeToUtcMs(`${date}T${hhmm}:00`, zone);
+  const dayStart = at(workStart);
+  const dayEnd = at(workEnd);
+  if (dayEnd <= dayStart) throw new ApiError(400, 'INVALID_VALUE', 'workEnd must be after workStart', { field: 'workEnd' });
+  const breakBlocks = breaks.map((b, i) => {
+    const [s, e] = [at(b.start), at(b.end)];
+    if (e <= s) throw new ApiError(400, 'INVALID_VALUE', 'break end must be after its start', { field: `breaks[${i}].end` });
+    return { startMs: s, endMs: e, label: b.label || 'Break' };
   });
+  const buffer = bufferMinutes * 60000;
+  const day = localRange(date, date, zone);
+  const horizon = localRange(date, addDaysYmd(date, horizonDays), zone);
 
-  const all = await listAllNotes();
-  const rowIndex = all.rows[all.rows.length - 1]?.rowIndex;
-  return { rowIndex, title: finalTitle, tag: finalTag, dateTime: fixedTimestamp };
-}
+  const pages = await queryAll(db.id, {
+    filter: {
+      and: [
+        { property: 'Status', status: { does_not_equal: 'Done' } },
+        { or: [{ property: 'Do Date', date: { on_or_before: day.endISO } }, { property: 'Due Date', date: { on_or_before: horizon.endISO } }] }
+      ]
+    }
+  });
 
-async function readNote({ rowIndex }) {
-  const { rows } = await listAllNotes();
-  return rows.find(r => r.rowIndex === Number(rowIndex)) || null;
-}
+  const fixed = [];
+  const candidates = [];
+  for (const page of pages) {
+    const doValue = readProp(page, 'Do Date');
+    const dueValue = readProp(page, 'Due Date');
+    const type = readProp(page, 'Type') || null;
+    const estimate = readProp(page, DURATION_PROPERTY);
+    const item = {
+      pageId: page.id,
+      name: readProp(page, 'Name') || '(Untitled)',
+      type,
+      priority: readProp(page, 'Priority Level') || null,
+      durationMinutes: estimate || defaultDuration,
+      durationSource: estimate ? 'estimate' : 'default'
+    };
+    const doMs = dateValueToMs(doValue, { zone });
+    const timed = !!doValue?.start && doValue.start.length > 10;
+    if (timed && doMs >= day.startMs && doMs <= day.endMs) {
+      const endMs = dateValueToMs(doValue.end ? { ...doValue, start: doValue.end } : null, { zone });
+      fixed.push({ ...item, startMs: doMs, endMs: endMs > doMs ? endMs : doMs + item.durationMinutes * 60000 });
+      continue;
+    }
+    // Events and Calls are never moved; other items keep a future Do Date they already have.
+    if (type && FIXED_TYPES.has(type)) continue;
+    if (doMs != null && doMs > day.endMs) continue;
+    const dueMs = dateValueToMs(dueValue, { zone, endOfDay: true });
+    candidates.push({
+      ...item,
+      dueDate: dueValue?.start?.slice(0, 10) || null,
+      overdue: (doMs != null && doMs < day.startMs) || (dueMs != null && dueMs < day.startMs),
+      doMs,
+      dueMs
+    });
+  }
 
-async function updateNote({ rowIndex, title, tag, notes, deleteFields }) {
-  const sheets = await getSheetsClient();
-  const sheetTitle = await ensureHeaders();
-  const idx = Number(rowIndex);
-  if (!idx || idx < 2) throw new Error('rowIndex must be >= 2');
+  const rank = (i) => PRIORITY_RANK[i.priority] || 4;
+  candidates.sort((a, b) => rank(a) - rank(b)
+    || (a.dueMs ?? Infinity) - (b.dueMs ?? Infinity)
+    || (a.doMs ?? Infinity) - (b.doMs ?? Infinity));
 
-  const current = await readNote({ rowIndex: idx });
-  if (!current) throw new Error(`Row ${idx} not found`);
+  // Free time: working hours from now on, minus breaks and buffered fixed blocks.
+  let free = [[Math.max(dayStart, Math.ceil(now / PLAN_SLOT_MS) * PLAN_SLOT_MS), dayEnd]].filter(([a, b]) => b > a);
+  for (const b of breakBlocks) free = subtractInterval(free, b.startMs, b.endMs);
+  for (const f of fixed) free = subtractInterval(free, f.startMs - buffer, f.endMs + buffer);
 
-  const toClear = new Set((deleteFields || []).map(s => s.toUpperCase()));
-  const newTitle = toClear.has('TITLE') ? '' : (title ?? current.title);
-  const newTag = toClear.has('TAG') ? '' : (tag ?? current.tag);
-  const newNotes = toClear.has('NOTES') ? '' : (notes ?? current.notes);
+  const planned = [];
+  const unplaced = [];
+  for (const c of candidates) {
+    const length = c.durationMinutes * 60000;
+    const slot = free
+      .map(([a, b]) => [Math.ceil(a / PLAN_SLOT_MS) * PLAN_SLOT_MS, b])
+      .find(([a, b]) => b - a >= length);
+    const { doMs, dueMs, ...item } = c;
+    if (!slot) {
+      const longest = Math.max(0, ...free.map(([a, b]) => Math.floor((b - a) / 60000)));
+      unplaced.push({ ...item, reason: longest ? `No free gap of ${c.durationMinutes} minutes left (longest is ${longest})` : 'No free time left in working hours' });
+      continue;
+    }
+    const [startMs] = slot;
+    planned.push({ ...item, startMs, endMs: startMs + length });
+    free = subtractInterval(free, startMs - buffer, startMs + length + buffer);
+  }
 
-  const finalTitle = newTitle || generateTitle(newNotes);
-  const finalTag = newTag || classifyTag({ title: finalTitle, notes: newNotes });
+  const timeline = [
+    ...fixed.map(f => ({ ...f, kind: f.type && FIXED_TYPES.has(f.type) ? 'event' : 'scheduled' })),
+    ...breakBlocks.map(({ label, ...b }) => ({ ...b, kind: 'break', name: label })),
+    ...planned.map(p => ({ ...p, kind: 'planned' })),
+    ...free.filter(([a, b]) => b - a >= PLAN_SLOT_MS).map(([startMs, endMs]) => ({ startMs, endMs, kind: 'free' }))
+  ]
+    .sort((a, b) => a.startMs - b.startMs)
+    .map(({ kind, startMs, endMs, ...rest }) => planEntry(kind, startMs, endMs, zone, rest));
 
-  const values = [[finalTitle, current.dateTime, finalTag, newNotes]];
-  await sheets.spreadsheets.values.update({
-    spreadsheetId: SPREADSHEET_ID,
-    range: `${sheetTitle}!A${idx}:D${idx}`,
-    valueInputOption: 'RAW',
-    requestBody: { values }
-  });
+  const minutesIn = (list) => list.reduce((sum, i) => sum + Math.round((i.endMs - i.startMs) / 60000), 0);
+  const clipped = fixed.map(f => ({ startMs: Math.max(f.startMs, dayStart), endMs: Math.min(f.endMs, dayEnd) })).filter(f => f.endMs > f.startMs);
+  return {
+    date,
+    workHours: { start: workStart, end: workEnd },
+    summary: {
+      workMinutes: Math.round((dayEnd - dayStart) / 60000),
+      fixedMinutes: minutesIn(clipped),
+      plannedMinutes: minutesIn(planned),
+      freeMinutes: minutesIn(free.map(([startMs, endMs]) => ({ startMs, endMs }))),
+      planned: planned.length,
+      unplaced: unplaced.length
+    },
+    timeline,
+    planned: timeline.filter(e => e.kind === 'planned'),
+    unplaced
+  };
+}
 
-  return { rowIndex: idx, title: finalTitle, tag: finalTag, dateTime: current.dateTime };
+// Writes each planned slot into its item's Do Date (start and end); failures are reported per item.
+async function applyDayPlan(plan) {
+  const applied = [];
+  const failed = [];
+  for (const p of plan.planned) {
+    try {
+      const page = await notion(`/pages/${p.pageId}`, { method: 'PATCH', body: { properties: { 'Do Date': { date: { start: p.start, end: p.end } } } } });
+      emitActionBaseUpdated(page, ['Do Date']);
+      applied.push({ pageId: p.pageId, name: p.name, start: p.start, end: p.end });
+    } catch (e) {
+      failed.push({ pageId: p.pageId, name: p.name, ...errorResponse(e).body });
+    }
+  }
+  return { applied, failed };
 }
 
-async function deleteNote({ rowIndex }) {
-  const sheets = await getSheetsClient();
-  const meta = await sheets.spreadsheets.get({ spreadsheetId: SPREADSHEET_ID });
-  const sheet = meta.data.sheets?.[0];
-  if (!sheet) throw new Error('No sheet found');
-  const sheetId = sheet.properties?.sheetId;
-  const idx = Number(rowIndex);
-  if (!idx || idx < 2) throw new Error('rowIndex must be >= 2');
+const PLAN_BREAK_FIELD = {
+  type: 'object',
+  properties: { start: { type: 'time', required: true }, end: { type: 'time', required: true }, label: { type: 'string', max: 100 } },
+  hint: '{ "start": "12:00", "end": "13:00", "label": "Lunch" }'
+};
 
-  await sheets.spreadsheets.batchUpdate({
-    spreadsheetId: SPREADSHEET_ID,
-    requestBody: {
-      requests: [{
-        deleteDimension: {
-          range: { sheetId, dimension: 'ROWS', startIndex: idx - 1, endIndex: idx }
-        }
-      }]
+app.post('/plan/day', requireScope('actionBase:read'), validateBody({
+  properties: {
+    date: { type: 'ymd', description: 'Day to plan (default today)' },
+    workStart: { type: 'time', description: `Default ${PLAN_WORK_START}` },
+    workEnd: { type: 'time', description: `Default ${PLAN_WORK_END}` },
+    breaks: { type: 'array', max: 10, items: PLAN_BREAK_FIELD, description: 'Replaces the default 12:00–13:00 lunch; [] for none' },
+    bufferMinutes: { type: 'integer', min: 0, max: 60, description: 'Gap kept around fixed and planned blocks (default 0)' },
+    defaultDuration: { type: 'integer', min: 5, max: 480, description: `Minutes for items without a Duration (default ${PLAN_DEFAULT_DURATION})` },
+    horizonDays: { type: 'integer', min: 0, max: 60, description: `Undated items due within this many days are planned (default ${PLAN_HORIZON_DAYS})` },
+    apply: { type: 'boolean', description: 'Write the planned times to each item\'s Do Date (needs actionBase:write)' },
+    timeZone: TIME_ZONE_FIELD
+  }
+}), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const zone = requestZone(req);
+    if (body.apply && AUTH_ENABLED && !hasScope(req.apiKey, 'actionBase:write')) {
+      return res.status(403).json({ error: `API key "${req.apiKey?.name}" lacks scope actionBase:write`, code: 'FORBIDDEN' });
     }
+    const plan = await buildDayPlan({
+      date: body.date || todayInZone(zone),
+      workStart: body.workStart || PLAN_WORK_START,
+      workEnd: body.workEnd || PLAN_WORK_END,
+      breaks: body.breaks || PLAN_DEFAULT_BREAKS,
+      bufferMinutes: body.bufferMinutes ?? 0,
+      defaultDuration: body.defaultDuration ?? PLAN_DEFAULT_DURATION,
+      horizonDays: body.horizonDays ?? PLAN_HORIZON_DAYS,
+      zone
+    });
+    const result = body.apply ? await applyDayPlan(plan) : null;
+    res.json({ ok: !result || result.failed.length === 0, ...plan, ...(result || {}) });
+  } catch (e) { sendError(res, e); }
+});
+
+// -------------------- Reminders --------------------
+// A background scan (every REMINDER_SCAN_SECONDS, 0 turns it off) finds open
+// items whose Do or Due Date is coming up and fires a reminder at each lead
+// time before it: the item's "Reminder" property ("15m, 1d", or "off") or
+// REMINDER_LEAD_TIMES. Date-only items are anchored at REMINDER_ALL_DAY_TIME
+// and, without their own lead times, fire at that time on the day.
+// Reminder ids hash item, date and lead time, so moving an item's date makes
+// new reminders. What happened to each (sent, failed, snoozed, cancelled) is
+// kept in the Reminders tab of the notes spreadsheet; that is what makes each
+// reminder fire once, across restarts too. Reminders missed by more than
+// REMINDER_GRACE_MINUTES (the server was down) are skipped, not sent late.
+//   REMINDER_CHANNELS=console,webhook,email
+//   REMINDER_WEBHOOK_URL=https://hooks.example.com/nola
+//   SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS, REMINDER_EMAIL_FROM, REMINDER_EMAIL_TO (comma-separated)
+//   (credentials only go over TLS unless SMTP_ALLOW_INSECURE=true)
+const REMINDER_SCAN_SECONDS = Number(process.env.REMINDER_SCAN_SECONDS ?? 60);
+const REMINDER_LEAD_TIMES = process.env.REMINDER_LEAD_TIMES || '15m';
+const REMINDER_ALL_DAY_TIME = process.env.REMINDER_ALL_DAY_TIME || '08:00';
+const REMINDER_GRACE_MINUTES = Number(process.env.REMINDER_GRACE_MINUTES) || 60;
+const REMINDER_RETENTION_DAYS = Number(process.env.REMINDER_RETENTION_DAYS) || 30;
+const REMINDER_MAX_LEAD_DAYS = 7;
+const REMINDER_MAX_SNOOZE_MINUTES = 24 * 60;
+const REMINDERS_SHEET_TITLE = 'Reminders';
+const REMINDER_HEADERS = ['Reminder ID', 'Page ID', 'Item', 'Kind', 'Remind At', 'Status', 'Updated At', 'Detail'];
+const REMINDER_STATUSES = ['pending', 'snoozed', 'sent', 'failed', 'cancelled', 'missed'];
+const LEAD_TIME_RE = /^(\d+)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?)$/i;
+
+// '15m, 2h, 1d' -> [15, 120, 1440]; 'off' / 'none' -> []. Unreadable parts become NaN.
+function parseLeadTimes(value) {
+  const text = String(value ?? '').trim();
+  if (/^(off|none)$/i.test(text)) return [];
+  return text.split(/[,;]+/).map(x => x.trim()).filter(Boolean).map(part => {
+    if (part === '0') return 0;
+    const m = part.match(LEAD_TIME_RE);
+    if (!m) return NaN;
+    const unit = m[2][0].toLowerCase();
+    return Number(m[1]) * (unit === 'd' ? 1440 : unit === 'h' ? 60 : 1);
   });
-  return { ok: true, rowIndex: idx, deleted: true };
 }
 
-// Analyze / Suggest
-const STOPWORDS = new Set('a an and are as at be but by for from has have i in is it of on or that the to was were will with you your ya heard me ya mama and them beaucoup this that those these our your their we he she they him her them what which whose whom where when how why not dont can cant will wont its it’s just make makes made like look looking'.split(/\s+/));
+function leadTimesError(value) {
+  const minutes = parseLeadTimes(value);
+  if (minutes.some(Number.isNaN)) return 'use lead times like "15m", "2h" or "1d", comma-separated, or "off"';
+  if (minutes.length > 5) return 'at most 5 lead times';
+  if (minutes.some(m => m > REMINDER_MAX_LEAD_DAYS * 1440)) return `lead times can be at most ${REMINDER_MAX_LEAD_DAYS}d`;
+  return null;
+}
 
-function tokenize(s) {
-  return (s || '')
-    .toLowerCase()
-    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
-    .split(/\s+/)
-    .filter(w => w && !STOPWORDS.has(w) && w.length > 2);
+function formatLeadTimes(minutes) {
+  if (!minutes.length) return 'off';
+  return [...new Set(minutes)].sort((a, b) => b - a)
+    .map(m => m && m % 1440 === 0 ? `${m / 1440}d` : m && m % 60 === 0 ? `${m / 60}h` : `${m}m`)
+    .join(', ');
 }
-function topN(map, n = 15) {
-  return [...map.entries()].sort((a, b) => b[1] - a[1]).slice(0, n)
-    .map(([term, count]) => ({ term, count }));
+
+if (leadTimesError(REMINDER_LEAD_TIMES)) {
+  throw new Error(`REMINDER_LEAD_TIMES: ${leadTimesError(REMINDER_LEAD_TIMES)}`);
 }
-function analyzeRows(rows) {
-  const byTag = { 'Hanuman Life': 0, 'Krazy Monkee': 0, 'Dev & Design Education': 0, '': 0 };
-  const byDay = new Map();
-  const vocab = new Map();
-  const recentCut = Date.now() - 7 * 24 * 3600 * 1000;
-  let recent = 0;
+const DEFAULT_LEAD_MINUTES = parseLeadTimes(REMINDER_LEAD_TIMES);
 
-  for (const r of rows) {
-    byTag[r.tag || ''] = (byTag[r.tag || ''] || 0) + 1;
-    const day = (r.dateTime || '').split(' ')[0];
-    if (day) byDay.set(day, (byDay.get(day) || 0) + 1);
+// Every reminder an item has right now: one per date (Do, Due) and lead time.
+function itemReminders(page, zone = TZ) {
+  const own = readProp(page, REMINDER_PROPERTY);
+  const ownLeads = own && !leadTimesError(own) ? parseLeadTimes(own) : null;
+  const name = readProp(page, 'Name') || '(Untitled)';
+  const seen = new Set();
+  const out = [];
+  for (const [kind, property] of [['do', 'Do Date'], ['due', 'Due Date']]) {
+    const value = readProp(page, property);
+    if (!value?.start) continue;
+    const allDay = value.start.length === 10;
+    const targetMs = allDay
+      ? zonedTimeToUtcMs(`${value.start}T${REMINDER_ALL_DAY_TIME}:00`, zone)
+      : dateValueToMs(value, { zone });
+    if (seen.has(targetMs)) continue; // Do and Due at the same moment remind once
+    seen.add(targetMs);
+    for (const lead of ownLeads ?? (allDay ? [0] : DEFAULT_LEAD_MINUTES)) {
+      out.push({
+        id: crypto.createHash('sha1').update([page.id, kind, targetMs, lead].join('|')).digest('hex').slice(0, 12),
+        pageId: page.id,
+        name,
+        kind,
+        allDay,
+        target: value.start,
+        targetMs,
+        leadMinutes: lead,
+        remindAtMs: targetMs - lead * 60000,
+        url: page.url || null
+      });
+    }
+  }
+  return out;
+}
 
-    tokenize(`${r.title} ${r.notes}`).forEach(t => vocab.set(t, (vocab.get(t) || 0) + 1));
+async function loadReminderState() {
+  const { sheetId, rows } = await readTabRows(REMINDERS_SHEET_TITLE, REMINDER_HEADERS);
+  const byId = new Map();
+  for (const { rowIndex, values: [id, , , , remindAt, status, updatedAt, detail] } of rows) {
+    if (id) byId.set(id, { rowIndex, status, remindAtMs: Date.parse(remindAt), updatedAt, detail: detail || '' });
+  }
+  return { sheetId, byId };
+}
 
-    const t = new Date(r.dateTime.replace(' ', 'T'));
-    if (!isNaN(t) && t.getTime() >= recentCut) recent++;
+async function saveReminderState(state, reminder, status, detail = '') {
+  const sheets = await getSheetsClient();
+  const values = [[reminder.id, reminder.pageId, reminder.name, reminder.kind, new Date(reminder.remindAtMs).toISOString(), status, new Date().toISOString(), detail]];
+  const saved = state.byId.get(reminder.id);
+  if (saved) {
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `${REMINDERS_SHEET_TITLE}!A${saved.rowIndex}:H${saved.rowIndex}`,
+      valueInputOption: 'RAW',
+      requestBody: { values }
+    });
+  } else {
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `${REMINDERS_SHEET_TITLE}!A:H`,
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      requestBody: { values }
+    });
+  }
+}
+
+// Reminders due between fromMs and toMs, with their saved status applied
+// (a snooze moves remindAt). Unsent ones past the grace window read as
+// 'missed'. `pageId` limits it to one item.
+async function listReminders({ fromMs, toMs, pageId, zone = TZ }) {
+  const db = await findDatabaseByName('Action Base');
+  if (!db) throw new ApiError(404, 'NOT_FOUND', 'Database "Action Base" not found or not shared.');
+
+  let pages;
+  if (pageId) {
+    const page = await notion(`/pages/${pageId}`);
+    pages = page.archived || readProp(page, 'Status') === 'Done' ? [] : [page];
+  } else {
+    const window = {
+      on_or_after: new Date(fromMs - REMINDER_MAX_SNOOZE_MINUTES * 60000).toISOString(),
+      on_or_before: new Date(toMs + REMINDER_MAX_LEAD_DAYS * 86400000).toISOString()
+    };
+    pages = await queryAll(db.id, {
+      filter: {
+        and: [
+          { property: 'Status', status: { does_not_equal: 'Done' } },
+          { or: [{ property: 'Do Date', date: window }, { property: 'Due Date', date: window }] }
+        ]
+      }
+    });
   }
 
+  const state = await loadReminderState();
+  const missedBefore = Date.now() - REMINDER_GRACE_MINUTES * 60000;
+  const reminders = pages.flatMap(p => itemReminders(p, zone))
+    .map(r => {
+      const saved = state.byId.get(r.id);
+      const merged = !saved ? { ...r, status: 'pending' } : {
+        ...r,
+        status: saved.status,
+        remindAtMs: saved.status === 'snoozed' ? saved.remindAtMs : r.remindAtMs,
+        updatedAt: saved.updatedAt,
+        ...(saved.detail ? { detail: saved.detail } : {})
+      };
+      const unsent = ['pending', 'snoozed', 'failed'].includes(merged.status);
+      return unsent && merged.remindAtMs < missedBefore ? { ...merged, status: 'missed' } : merged;
+    })
+    .filter(r => r.remindAtMs >= fromMs && r.remindAtMs <= toMs)
+    .sort((a, b) => a.remindAtMs - b.remindAtMs);
+  return { state, reminders };
+}
+
+function publicReminder({ targetMs, remindAtMs, ...r }, zone = TZ) {
   return {
-    totals: { count: rows.length, recent7d: recent },
-    byTag,
-    byDay: [...byDay.entries()].map(([date, count]) => ({ date, count })),
-    topTerms: topN(vocab, 15)
+    ...r,
+    remindAt: new Date(remindAtMs).toISOString(),
+    when: r.allDay ? r.target : formatDateTimeLabel(targetMs, zone)
   };
 }
-function suggestFromAnalysis(analysis) {
-  const { byTag, topTerms } = analysis;
-  const maxTag = Object.entries(byTag).sort((a, b) => (b[1] || 0) - (a[1] || 0))[0]?.[0] || '';
+
+function reminderMessage(r, zone = TZ) {
+  const when = r.allDay ? `on ${r.target}` : `at ${formatDateTimeLabel(r.targetMs, zone)}`;
+  const subject = `⏰ ${r.name} — ${r.kind === 'do' ? 'do' : 'due'} ${when}`;
+  const lead = r.leadMinutes ? `Coming up in ${formatLeadTimes([r.leadMinutes])}.` : 'This is happening now.';
+  return { subject, text: [subject, lead, r.url].filter(Boolean).join('\n') };
+}
+
+// Delivery channels. Each has configured() and send(reminder, message);
+// REMINDER_CHANNELS picks which ones run. Add more with registerReminderChannel.
+const reminderChannels = new Map();
+const REMINDER_CHANNEL_NAMES = (process.env.REMINDER_CHANNELS || 'console').split(',').map(x => x.trim().toLowerCase()).filter(Boolean);
+
+function registerReminderChannel(name, channel) {
+  reminderChannels.set(name, channel);
+}
+
+function activeReminderChannels() {
+  return REMINDER_CHANNEL_NAMES.filter(name => reminderChannels.get(name)?.configured());
+}
+
+registerReminderChannel('console', {
+  configured: () => true,
+  send: async (reminder, message) => console.log(`[reminder] ${message.subject}`)
+});
+
+registerReminderChannel('webhook', {
+  configured: () => !!process.env.REMINDER_WEBHOOK_URL,
+  send: async (reminder, message) => {
+    const res = await fetch(process.env.REMINDER_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ event: 'reminder.due', reminder: publicReminder(reminder), message }),
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!res.ok) throw new Error(`webhook responded ${res.status}`);
+  }
+});
+
+registerReminderChannel('email', {
+  configured: () => !!(process.env.SMTP_HOST && process.env.REMINDER_EMAIL_TO),
+  send: (reminder, message) => sendMail({
+    to: process.env.REMINDER_EMAIL_TO.split(',').map(x => x.trim()).filter(Boolean),
+    subject: message.subject,
+    text: message.text
+  })
+});
+
+async function deliverReminder(reminder) {
+  const names = activeReminderChannels();
+  if (!names.length) return [{ channel: 'none', ok: false, error: 'no reminder channel is configured' }];
+  const message = reminderMessage(reminder);
+  return Promise.all(names.map(async channel => {
+    try {
+      await reminderChannels.get(channel).send(reminder, message);
+      return { channel, ok: true };
+    } catch (e) {
+      return { channel, ok: false, error: e.message };
+    }
+  }));
+}
+
+// Minimal SMTP client (EHLO, STARTTLS, AUTH PLAIN, one message) so email
+// needs no extra dependency. Port 465 (or SMTP_SECURE=true) is TLS from the start.
+const SMTP_TIMEOUT_MS = 15000;
+
+// Parses server replies ("250-..." continuation lines up to "250 ...") off a socket.
+function smtpReplies(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiters = [];
+  let failure = null;
+  const settle = () => {
+    while (waiters.length && (replies.length || failure)) {
+      const w = waiters.shift();
+      if (replies.length) w.resolve(replies.shift());
+      else w.reject(failure);
+    }
+  };
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let i;
+    while ((i = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, i).replace(/\r$/, '');
+      buffer = buffer.slice(i + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({ code: Number(line.slice(0, 3)), lines: lines.map(l => l.slice(4)) });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = (e) => { failure = e; settle(); };
+  const onClose = () => onError(failure || new Error('SMTP connection closed'));
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+  return {
+    next: () => new Promise((resolve, reject) => { waiters.push({ resolve, reject }); settle(); }),
+    detach: () => {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    }
+  };
+}
+
+async function sendMail({ to, subject, text }) {
+  const host = process.env.SMTP_HOST;
+  const port = Number(process.env.SMTP_PORT) || 587;
+  const secure = process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465;
+  const from = process.env.REMINDER_EMAIL_FROM || process.env.SMTP_USER;
+  if (!from) throw new Error('set REMINDER_EMAIL_FROM or SMTP_USER');
+
+  const open = (s) => s.setTimeout(SMTP_TIMEOUT_MS, () => s.destroy(new Error('SMTP timed out')));
+  let socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+  open(socket);
+  let reader = smtpReplies(socket);
+  const command = async (line, expected) => {
+    if (line != null) socket.write(`${line}\r\n`);
+    const reply = await reader.next();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${line == null ? 'greeting' : line.split(/[\s:]/)[0]} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  };
+  const header = (value) => /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+
+  try {
+    await command(null, [220]);
+    const ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+    let encrypted = secure;
+    if (!secure && ehlo.lines.some(l => /^STARTTLS\b/i.test(l))) {
+      await command('STARTTLS', [220]);
+      reader.detach();
+      socket = tls.connect({ socket, servername: host });
+      open(socket);
+      reader = smtpReplies(socket);
+      await command(`EHLO ${os.hostname()}`, [250]);
+      encrypted = true;
+    }
+    if (process.env.SMTP_USER) {
+      if (!encrypted && process.env.SMTP_ALLOW_INSECURE !== 'true') {
+        throw new Error('SMTP server offers no TLS; refusing to send credentials in cleartext (SMTP_ALLOW_INSECURE=true allows it)');
+      }
+      const credentials = Buffer.from(`\0${process.env.SMTP_USER}\0${process.env.SMTP_PASS || ''}`).toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+    await command(`MAIL FROM:<${from}>`, [250]);
+    for (const rcpt of to) await command(`RCPT TO:<${rcpt}>`, [250, 251]);
+    await command('DATA', [354]);
+    const message = [
+      `From: ${from}`,
+      `To: ${to.join(', ')}`,
+      `Subject: ${header(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${crypto.randomUUID()}@${from.split('@')[1] || 'localhost'}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..')
+    ].join('\r\n');
+    await command(`${message}\r\n.`, [250]);
+    await command('QUIT', [221]).catch(() => {});
+  } finally {
+    reader.detach();
+    socket.destroy();
+  }
+}
+
+// Scheduler state, reported by /reminders/list.
+const reminderScheduler = { timer: null, running: false, lastScanAt: null, lastError: null, sent: 0, prunedAt: 0 };
+
+// Drops rows (sent, cancelled, ...) untouched for REMINDER_RETENTION_DAYS; runs at most daily.
+async function pruneReminderState(now) {
+  if (now - reminderScheduler.prunedAt < 86400000) return;
+  const { sheetId, byId } = await loadReminderState();
+  const cutoff = now - REMINDER_RETENTION_DAYS * 86400000;
+  await deleteTabRows(sheetId, [...byId.values()].filter(s => Date.parse(s.updatedAt) < cutoff).map(s => s.rowIndex));
+  reminderScheduler.prunedAt = now;
+}
+
+// Sends every reminder that came due within the grace window and is not
+// sent or cancelled yet. Overlapping runs are skipped.
+async function runReminderScan(now = Date.now()) {
+  if (reminderScheduler.running) return null;
+  reminderScheduler.running = true;
+  try {
+    await pruneReminderState(now);
+    const { state, reminders } = await listReminders({ fromMs: now - REMINDER_GRACE_MINUTES * 60000, toMs: now });
+    const results = [];
+    for (const r of reminders.filter(x => ['pending', 'snoozed', 'failed'].includes(x.status))) {
+      const deliveries = await deliverReminder(r);
+      const ok = deliveries.some(d => d.ok);
+      const detail = deliveries.map(d => d.ok ? d.channel : `${d.channel}: ${d.error}`).join('; ');
+      await saveReminderState(state, r, ok ? 'sent' : 'failed', detail);
+      if (ok) reminderScheduler.sent += 1;
+      results.push({ id: r.id, ok, deliveries });
+    }
+    reminderScheduler.lastScanAt = new Date(now).toISOString();
+    reminderScheduler.lastError = null;
+    return results;
+  } catch (e) {
+    reminderScheduler.lastError = e.message;
+    console.error('[reminders] scan failed:', e.message);
+    return null;
+  } finally {
+    reminderScheduler.running = false;
+  }
+}
+
+function startReminderScheduler() {
+  if (!REMINDER_SCAN_SECONDS) return;
+  if (!hasNotion() || !hasSheets()) {
+    console.warn('Reminders: scheduler off; it needs Notion and Google Sheets (the Reminders tab keeps delivery state).');
+    return;
+  }
+  reminderScheduler.timer = setInterval(() => runReminderScan(), REMINDER_SCAN_SECONDS * 1000);
+  console.log(`Reminders: scanning every ${REMINDER_SCAN_SECONDS}s, delivering via ${activeReminderChannels().join(', ') || 'no configured channel'}.`);
+}
+
+async function findReminder(id, pageId) {
+  const now = Date.now();
+  const { state, reminders } = await listReminders({
+    fromMs: now - REMINDER_MAX_SNOOZE_MINUTES * 60000,
+    toMs: now + REMINDER_MAX_LEAD_DAYS * 86400000 * 2,
+    pageId
+  });
+  const reminder = reminders.find(r => r.id === id);
+  if (!reminder) {
+    throw new ApiError(404, 'NOT_FOUND', `Reminder "${id}" not found`, { field: 'id', hint: 'Use an id from /reminders/list' });
+  }
+  return { state, reminder };
+}
+
+app.post('/reminders/list', requireScope('reminders:read'), validateBody({
+  properties: {
+    hours: { type: 'integer', min: 1, max: REMINDER_MAX_LEAD_DAYS * 24, description: 'Look ahead this many hours (default 24)' },
+    pageId: { type: 'string', description: 'Only this item\'s reminders' },
+    status: { type: 'string', enum: REMINDER_STATUSES },
+    includePast: { type: 'boolean', description: 'Also list reminders from the last 24 hours (sent, failed, ...)' },
+    timeZone: TIME_ZONE_FIELD
+  }
+}), async (req, res) => {
+  try {
+    const { hours = 24, pageId, status, includePast } = req.body || {};
+    const zone = requestZone(req);
+    const now = Date.now();
+    const { reminders } = await listReminders({
+      fromMs: includePast ? now - REMINDER_MAX_SNOOZE_MINUTES * 60000 : now,
+      toMs: now + hours * 3600000,
+      pageId,
+      zone
+    });
+    const picked = reminders.filter(r => status ? r.status === status : includePast || !['sent', 'cancelled'].includes(r.status));
+    res.json({
+      ok: true,
+      count: picked.length,
+      reminders: picked.map(r => publicReminder(r, zone)),
+      scheduler: {
+        enabled: !!reminderScheduler.timer,
+        intervalSeconds: REMINDER_SCAN_SECONDS,
+        defaultLeadTimes: formatLeadTimes(DEFAULT_LEAD_MINUTES),
+        channels: REMINDER_CHANNEL_NAMES.map(name => ({ name, known: reminderChannels.has(name), configured: !!reminderChannels.get(name)?.configured() })),
+        lastScanAt: reminderScheduler.lastScanAt,
+        lastError: reminderScheduler.lastError,
+        sent: reminderScheduler.sent
+      }
+    });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/reminders/snooze', requireScope('reminders:write'), validateBody({
+  properties: {
+    id: { type: 'string', required: true },
+    pageId: { type: 'string', description: 'The reminder\'s item; speeds up the lookup' },
+    minutes: { type: 'integer', min: 1, max: REMINDER_MAX_SNOOZE_MINUTES, description: 'Remind again this many minutes from now (default 10)' }
+  }
+}), async (req, res) => {
+  try {
+    const { id, pageId, minutes = 10 } = req.body || {};
+    const { state, reminder } = await findReminder(id, pageId);
+    const snoozed = { ...reminder, remindAtMs: Date.now() + minutes * 60000 };
+    await saveReminderState(state, snoozed, 'snoozed', `snoozed ${minutes}m`);
+    res.json({ ok: true, reminder: publicReminder({ ...snoozed, status: 'snoozed' }) });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/reminders/cancel', requireScope('reminders:write'), validateBody({
+  properties: {
+    id: { type: 'string' },
+    pageId: { type: 'string', description: 'Without id: cancel every upcoming reminder of this item' }
+  },
+  requireOne: [['id', 'pageId']]
+}), async (req, res) => {
+  try {
+    const { id, pageId } = req.body || {};
+    let state;
+    let targets;
+    if (id) {
+      const found = await findReminder(id, pageId);
+      state = found.state;
+      targets = [found.reminder];
+    } else {
+      const now = Date.now();
+      ({ state, reminders: targets } = await listReminders({ fromMs: now, toMs: now + REMINDER_MAX_LEAD_DAYS * 86400000 * 2, pageId }));
+      targets = targets.filter(r => r.status !== 'sent');
+    }
+    for (const r of targets) await saveReminderState(state, r, 'cancelled');
+    res.json({ ok: true, cancelled: targets.map(r => publicReminder({ ...r, status: 'cancelled' })) });
+  } catch (e) { sendError(res, e); }
+});
+
+// -------------------- Outbound webhooks --------------------
+// Subscribers get a signed POST for each event they asked for:
+//   actionBase.created | .updated | .completed | .archived
+//   notes.created | .updated | .deleted | .restored | .moved | .imported
+// `events` takes exact names, "actionBase.*" / "notes.*", or "*".
+// Body: { id, type, createdAt, data }. Headers: X-Nola-Event, X-Nola-Delivery,
+// X-Nola-Timestamp and X-Nola-Signature: sha256=<hex HMAC-SHA256 of
+// "<timestamp>.<raw body>" with the subscription secret>; receivers should
+// recompute it and reject stale timestamps. Non-2xx answers (except 4xx other
+// than 408/429) are retried WEBHOOK_MAX_ATTEMPTS times with exponential
+// backoff, in memory; what still fails lands in the Dead Letters tab and can
+// be sent again with /webhooks/redeliver. Subscriptions live in the Webhooks tab.
+// Loopback, private, link-local and other internal addresses are refused, both
+// when subscribing and on every connection (so DNS can't be re-pointed later),
+// unless the host is listed in WEBHOOK_ALLOWED_HOSTS. Redirects aren't followed.
+const WEBHOOK_EVENTS = [
+  'actionBase.created', 'actionBase.updated', 'actionBase.completed', 'actionBase.archived',
+  'notes.created', 'notes.updated', 'notes.deleted', 'notes.restored', 'notes.moved', 'notes.imported'
+];
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 5000; // 5s, 20s, 80s, 320s
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_CACHE_TTL_MS = 60 * 1000;
+const WEBHOOKS_SHEET_TITLE = 'Webhooks';
+const WEBHOOK_HEADERS = ['Subscription ID', 'URL', 'Events', 'Secret', 'Description', 'Created At'];
+const DEAD_LETTERS_SHEET_TITLE = 'Dead Letters';
+const DEAD_LETTER_HEADERS = ['Delivery ID', 'Subscription ID', 'Event', 'Payload', 'Attempts', 'Last Error', 'Failed At', 'Redelivered At'];
+const WEBHOOK_ALLOWED_HOSTS = new Set((process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(x => x.trim().toLowerCase()).filter(Boolean));
+
+const INTERNAL_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]) {
+  INTERNAL_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) INTERNAL_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+
+function isInternalAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+  if (mapped) return INTERNAL_ADDRESSES.check(mapped, 'ipv4');
+  return INTERNAL_ADDRESSES.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+function webhookTargetError(hostname, addresses) {
+  if (WEBHOOK_ALLOWED_HOSTS.has(hostname.toLowerCase())) return null;
+  const internal = addresses.find(isInternalAddress);
+  if (!internal) return null;
+  return internal === hostname ? `${hostname} is an internal address` : `${hostname} resolves to internal address ${internal}`;
+}
+
+// dns.lookup stand-in for webhook sockets: refuses internal addresses at connect time.
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const list = Array.isArray(address) ? address.map(a => a.address) : [address];
+    const problem = webhookTargetError(hostname, list);
+    if (problem) return callback(Object.assign(new Error(problem), { code: 'ERR_WEBHOOK_TARGET' }));
+    callback(null, address, family);
+  });
+}
+
+async function assertWebhookTarget(url) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [hostname] : (await dns.promises.lookup(hostname, { all: true })).map(a => a.address);
+  } catch (e) {
+    throw new ApiError(400, 'INVALID_VALUE', `url: cannot resolve ${hostname} (${e.code || e.message})`, { field: 'url' });
+  }
+  const problem = webhookTargetError(hostname, addresses);
+  if (problem) throw new ApiError(400, 'INVALID_VALUE', `url: ${problem}`, { field: 'url', hint: 'Webhooks must target a public host; list trusted internal hosts in WEBHOOK_ALLOWED_HOSTS' });
+}
+
+function webhookEventError(pattern) {
+  if (pattern === '*' || WEBHOOK_EVENTS.includes(pattern)) return null;
+  if (pattern.endsWith('.*') && WEBHOOK_EVENTS.some(e => e.startsWith(pattern.slice(0, -1)))) return null;
+  return `unknown event "${pattern}"`;
+}
+
+function webhookWants(sub, type) {
+  return sub.events.some(p => p === '*' || p === type || (p.endsWith('.*') && type.startsWith(p.slice(0, -1))));
+}
+
+const webhookCache = { subscriptions: null, loadedAt: 0 };
+const webhookStats = new Map(); // subscription id -> last delivery outcome since start
+
+async function listWebhookSubscriptions({ fresh = false } = {}) {
+  if (!fresh && webhookCache.subscriptions && Date.now() - webhookCache.loadedAt < WEBHOOK_CACHE_TTL_MS) {
+    return webhookCache.subscriptions;
+  }
+  const { rows } = await readTabRows(WEBHOOKS_SHEET_TITLE, WEBHOOK_HEADERS);
+  const subscriptions = rows.filter(r => r.values[0]).map(({ rowIndex, values: [id, url, events, secret, description, createdAt] }) => ({
+    rowIndex, id, url, secret, description: description || '', createdAt,
+    events: (events || '').split(',').map(x => x.trim()).filter(Boolean)
+  }));
+  Object.assign(webhookCache, { subscriptions, loadedAt: Date.now() });
+  return subscriptions;
+}
+
+function publicSubscription({ rowIndex, secret, ...sub }) {
+  return { ...sub, secretHint: `${secret.slice(0, 6)}…${secret.slice(-4)}`, lastDelivery: webhookStats.get(sub.id) || null };
+}
+
+async function createWebhookSubscription({ url, events, description, secret }) {
+  await assertWebhookTarget(url);
+  const sub = {
+    id: `wh_${crypto.randomBytes(6).toString('hex')}`,
+    url,
+    events: [...new Set(events)],
+    secret: secret || `whsec_${crypto.randomBytes(24).toString('hex')}`,
+    description: description || '',
+    createdAt: new Date().toISOString()
+  };
+  const sheets = await getSheetsClient();
+  await ensureTab(WEBHOOKS_SHEET_TITLE, WEBHOOK_HEADERS);
+  await sheets.spreadsheets.values.append({
+    spreadsheetId: SPREADSHEET_ID,
+    range: `${WEBHOOKS_SHEET_TITLE}!A:F`,
+    valueInputOption: 'RAW',
+    insertDataOption: 'INSERT_ROWS',
+    requestBody: { values: [[sub.id, sub.url, sub.events.join(', '), sub.secret, sub.description, sub.createdAt]] }
+  });
+  webhookCache.subscriptions = null;
+  return sub;
+}
+
+async function deleteWebhookSubscription(id) {
+  const { sheetId } = await ensureTab(WEBHOOKS_SHEET_TITLE, WEBHOOK_HEADERS);
+  const sub = (await listWebhookSubscriptions({ fresh: true })).find(s => s.id === id);
+  if (!sub) throw new ApiError(404, 'NOT_FOUND', `Webhook subscription "${id}" not found`, { field: 'id' });
+  await deleteTabRows(sheetId, [sub.rowIndex]);
+  webhookCache.subscriptions = null;
+  webhookStats.delete(id);
+  return sub;
+}
+
+// One signed POST. Returns { ok, status, error, retryable }.
+// Resolves to the response status. IP-literal hosts skip `lookup`, so they
+// are checked here before connecting.
+function sendWebhookRequest(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+    const problem = net.isIP(hostname) && webhookTargetError(hostname, [hostname]);
+    if (problem) return reject(Object.assign(new Error(problem), { code: 'ERR_WEBHOOK_TARGET' }));
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: webhookLookup,
+      timeout: WEBHOOK_TIMEOUT_MS
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(Object.assign(new Error(`timed out after ${WEBHOOK_TIMEOUT_MS}ms`), { code: 'ETIMEDOUT' })));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function postWebhook(sub, deliveryId, payload) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.createHmac('sha256', sub.secret).update(`${timestamp}.${body}`).digest('hex');
+  try {
+    const status = await sendWebhookRequest(sub.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'nola-buddy-webhooks',
+      'X-Nola-Event': payload.type,
+      'X-Nola-Delivery': deliveryId,
+      'X-Nola-Timestamp': timestamp,
+      'X-Nola-Signature': `sha256=${signature}`
+    }, body);
+    if (status >= 200 && status < 300) return { ok: true, status };
+    const retryable = status >= 500 || status === 408 || status === 429;
+    return { ok: false, status, error: `HTTP ${status}`, retryable };
+  } catch (e) {
+    const error = e.code && e.code !== 'ERR_WEBHOOK_TARGET' && !e.message.includes(e.code) ? `${e.message} (${e.code})` : e.message;
+    return { ok: false, status: 0, error, retryable: e.code !== 'ERR_WEBHOOK_TARGET' };
+  }
+}
+
+async function recordDeadLetter(sub, deliveryId, payload, attempts, error) {
+  const sheets = await getSheetsClient();
+  await ensureTab(DEAD_LETTERS_SHEET_TITLE, DEAD_LETTER_HEADERS);
+  await sheets.spreadsheets.values.append({
+    spreadsheetId: SPREADSHEET_ID,
+    range: sheetRange(DEAD_LETTERS_SHEET_TITLE, 'A:H'),
+    valueInputOption: 'RAW',
+    insertDataOption: 'INSERT_ROWS',
+    requestBody: { values: [[deliveryId, sub.id, payload.type, JSON.stringify(payload), attempts, error, new Date().toISOString(), '']] }
+  });
+}
+
+// Tries, then schedules the next attempt; the last failure is dead-lettered.
+async function deliverWebhook(sub, deliveryId, payload, attempt = 1) {
+  const result = await postWebhook(sub, deliveryId, payload);
+  webhookStats.set(sub.id, { deliveryId, event: payload.type, at: new Date().toISOString(), attempt, ok: result.ok, status: result.status, ...(result.error ? { error: result.error } : {}) });
+  if (result.ok) return;
+  if (result.retryable && attempt < WEBHOOK_MAX_ATTEMPTS) {
+    const delay = WEBHOOK_RETRY_BASE_MS * 4 ** (attempt - 1);
+    setTimeout(() => deliverWebhook(sub, deliveryId, payload, attempt + 1), delay).unref();
+    return;
+  }
+  console.warn(`[webhooks] ${payload.type} to ${sub.url} failed after ${attempt} attempt(s): ${result.error}`);
+  await recordDeadLetter(sub, deliveryId, payload, attempt, result.error)
+    .catch(e => console.error(`[webhooks] could not record dead letter ${deliveryId}:`, e.message));
+}
+
+// Fire-and-forget: never delays or fails the request that caused the event.
+function emitEvent(type, data) {
+  const payload = { id: `evt_${crypto.randomBytes(8).toString('hex')}`, type, createdAt: new Date().toISOString(), data };
+  listWebhookSubscriptions()
+    .then(subs => {
+      for (const sub of subs.filter(s => webhookWants(s, type))) {
+        deliverWebhook(sub, `dlv_${crypto.randomBytes(8).toString('hex')}`, payload)
+          .catch(e => console.error(`[webhooks] delivery to ${sub.url} crashed:`, e.message));
+      }
+    })
+    .catch(e => {
+      // Remember the failure for the cache TTL instead of retrying the Sheets read on every event.
+      Object.assign(webhookCache, { subscriptions: [], loadedAt: Date.now() });
+      console.error('[webhooks] could not load subscriptions:', e.message);
+    });
+  return payload.id;
+}
+
+function actionBaseEventData(page, extra = {}) {
+  return {
+    pageId: page.id,
+    name: readProp(page, 'Name'),
+    status: readProp(page, 'Status'),
+    type: readProp(page, 'Type'),
+    priority: readProp(page, 'Priority Level'),
+    alignment: readProp(page, 'Alignment'),
+    doDate: readProp(page, 'Do Date'),
+    dueDate: readProp(page, 'Due Date'),
+    url: page.url || null,
+    ...extra
+  };
+}
+
+// `changed` lists the property names a PATCH wrote; a Status of Done also emits completed.
+function emitActionBaseUpdated(page, changed) {
+  emitEvent('actionBase.updated', actionBaseEventData(page, { changed }));
+  if (changed.includes('Status') && readProp(page, 'Status') === 'Done') emitEvent('actionBase.completed', actionBaseEventData(page));
+}
+
+async function listDeadLetters() {
+  const { rows } = await readTabRows(DEAD_LETTERS_SHEET_TITLE, DEAD_LETTER_HEADERS);
+  return rows.filter(r => r.values[0]).map(({ rowIndex, values: [id, subscriptionId, event, payload, attempts, lastError, failedAt, redeliveredAt] }) => ({
+    rowIndex, id, subscriptionId, event, attempts: Number(attempts) || 0, lastError: lastError || '', failedAt,
+    redeliveredAt: redeliveredAt || null,
+    payload: (() => { try { return JSON.parse(payload); } catch { return null; } })()
+  }));
+}
+
+// Sends dead letters once more, now, with a fresh signature; the row records the outcome.
+async function redeliverDeadLetters({ id, subscriptionId }) {
+  const letters = (await listDeadLetters()).filter(l => id ? l.id === id : l.subscriptionId === subscriptionId && !l.redeliveredAt);
+  if (id && !letters.length) throw new ApiError(404, 'NOT_FOUND', `Dead letter "${id}" not found`, { field: 'id' });
+  const subs = await listWebhookSubscriptions({ fresh: true });
+  const sheets = await getSheetsClient();
+  const results = [];
+  for (const letter of letters) {
+    const sub = subs.find(s => s.id === letter.subscriptionId);
+    const result = !sub
+      ? { ok: false, error: `subscription ${letter.subscriptionId} no longer exists` }
+      : !letter.payload
+        ? { ok: false, error: 'stored payload is unreadable' }
+        : await postWebhook(sub, letter.id, letter.payload);
+    const attempts = letter.attempts + (sub && letter.payload ? 1 : 0);
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: SPREADSHEET_ID,
+      range: sheetRange(DEAD_LETTERS_SHEET_TITLE, `E${letter.rowIndex}:H${letter.rowIndex}`),
+      valueInputOption: 'RAW',
+      requestBody: { values: [[attempts, result.ok ? letter.lastError : result.error, letter.failedAt, result.ok ? new Date().toISOString() : '']] }
+    });
+    results.push({ id: letter.id, subscriptionId: letter.subscriptionId, event: letter.event, ok: result.ok, ...(result.status ? { status: result.status } : {}), ...(result.error ? { error: result.error } : {}) });
+  }
+  return results;
+}
+
+app.post('/webhooks/create', requireScope('webhooks:write'), validateBody({
+  properties: {
+    url: { type: 'string', required: true, max: 2000, validate: (v) => /^https?:\/\/[^\s/]+/i.test(v) ? null : 'must be an http(s) URL' },
+    events: { type: 'array', required: true, min: 1, max: WEBHOOK_EVENTS.length, items: { type: 'string', validate: webhookEventError }, description: `Any of ${WEBHOOK_EVENTS.join(', ')}; "actionBase.*", "notes.*" or "*"` },
+    description: { type: 'string', max: 200 },
+    secret: { type: 'string', min: 16, max: 200, description: 'Signing secret; generated when omitted' }
+  }
+}), async (req, res) => {
+  try {
+    const sub = await createWebhookSubscription(req.body || {});
+    res.json({ ok: true, subscription: { ...publicSubscription(sub), secret: sub.secret }, message: 'Store the secret now; it is not shown again.' });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/webhooks/list', requireScope('webhooks:read'), async (req, res) => {
+  try {
+    const subs = await listWebhookSubscriptions({ fresh: true });
+    res.json({ ok: true, count: subs.length, subscriptions: subs.map(publicSubscription), events: WEBHOOK_EVENTS });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/webhooks/delete', requireScope('webhooks:write'), validateBody({
+  properties: { id: { type: 'string', required: true } }
+}), async (req, res) => {
+  try {
+    const sub = await deleteWebhookSubscription(req.body.id);
+    res.json({ ok: true, deleted: publicSubscription(sub) });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/webhooks/deadLetters', requireScope('webhooks:read'), validateBody({
+  properties: {
+    subscriptionId: { type: 'string' },
+    includeRedelivered: { type: 'boolean' },
+    limit: { type: 'integer', min: 1, max: 200 }
+  }
+}), async (req, res) => {
+  try {
+    const { subscriptionId, includeRedelivered = false, limit = 50 } = req.body || {};
+    const letters = (await listDeadLetters())
+      .filter(l => (!subscriptionId || l.subscriptionId === subscriptionId) && (includeRedelivered || !l.redeliveredAt))
+      .sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+    res.json({ ok: true, total: letters.length, deadLetters: letters.slice(0, limit).map(({ rowIndex, ...l }) => l) });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/webhooks/redeliver', requireScope('webhooks:write'), validateBody({
+  properties: {
+    id: { type: 'string', description: 'Dead letter (delivery) id' },
+    subscriptionId: { type: 'string', description: 'Without id: every dead letter of this subscription not yet redelivered' }
+  },
+  requireOne: [['id', 'subscriptionId']]
+}), async (req, res) => {
+  try {
+    const results = await redeliverDeadLetters(req.body || {});
+    const delivered = results.filter(r => r.ok).length;
+    res.json({ ok: delivered === results.length, summary: { total: results.length, delivered, failed: results.length - delivered }, results });
+  } catch (e) { sendError(res, e); }
+});
+
+// Convenience
+app.post('/actionBase/getItem', requireScope('actionBase:read'), validateBody({
+  properties: PAGE_REF,
+  requireOne: [['pageId', 'pageTitle']]
+}), async (req, res) => {
+  try {
+    const { pageId, pageTitle } = req.body || {};
+    const db = await findDatabaseByName('Action Base');
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
+
+    let pid = pageId;
+    if (!pid) {
+      const page = await findPageInDbByTitle(db.id, pageTitle);
+      if (!page) return res.status(404).json({ error: `Page "${pageTitle}" not found in Action Base`, code: 'NOT_FOUND' });
+      pid = page.id;
+    }
+
+    const page = await notion(`/pages/${pid}`);
+    const props = page.properties || {};
+    const read = (k) => readProp({ properties: props }, k);
+    res.json({
+      ok: true,
+      pageId: pid,
+      properties: {
+        Name: read('Name'),
+        Status: read('Status'),
+        Type: read('Type'),
+        'Priority Level': read('Priority Level'),
+        Alignment: read('Alignment'),
+        'Do Date': read('Do Date'),
+        'Due Date': read('Due Date'),
+        'Project Attribute': read('Project Attribute'),
+        [DURATION_PROPERTY]: read(DURATION_PROPERTY),
+        [REMINDER_PROPERTY]: read(REMINDER_PROPERTY)
+      }
+    });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/actionBase/list', requireScope('actionBase:read'), validateBody({
+  properties: {
+    cursor: { type: 'string' },
+    pageSize: { type: 'integer', min: 1, max: 100 }
+  }
+}), async (req, res) => {
+  try {
+    const db = await findDatabaseByName('Action Base');
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
+
+    const { cursor, pageSize } = req.body || {};
+    const { results, nextCursor } = await listDatabase(db.id, {}, { cursor, pageSize });
+    const pages = results.map(p => ({
+      id: p.id,
+      name: readProp(p, 'Name'),
+      status: readProp(p, 'Status'),
+      type: readProp(p, 'Type'),
+      priority: readProp(p, 'Priority Level'),
+      alignment: readProp(p, 'Alignment'),
+      doDate: readProp(p, 'Do Date'),
+      dueDate: readProp(p, 'Due Date'),
+      durationMinutes: readProp(p, DURATION_PROPERTY)
+    }));
+    res.json({ ok: true, count: pages.length, pages, nextCursor });
+  } catch (e) { sendError(res, e); }
+});
+
+// -------------------- Change feed --------------------
+// Edits made in the Notion UI never pass through this API, so the feed polls
+// the Action Base by last_edited_time and diffs each page against a local
+// snapshot of its property values. Every detected change is appended to a
+// change log, which is what callers read: several clients can poll with
+// their own cursors without stealing each other's changes.
+// Notion rounds last_edited_time to the minute, so cursors overlap by design
+// and clients dedupe by record id (or pass `after`). Pages deleted in the
+// Notion UI drop out of queries; `full=true` rescans the whole database and
+// reports them as 'removed'.
+const CHANGE_SNAPSHOT_FILE = process.env.CHANGE_SNAPSHOT_FILE || path.join(APP_DIR, '.local-data', 'action-base-changes.json');
+const CHANGE_LOG_MAX_ENTRIES = Number(process.env.CHANGE_LOG_MAX_ENTRIES) || 5000;
+const CHANGE_LOG_RETENTION_DAYS = Number(process.env.CHANGE_LOG_RETENTION_DAYS) || 30;
+const CHANGE_POLL_OVERLAP_MS = 60 * 1000;
+
+let changeState = null;
+let changePoll = Promise.resolve();
+
+// Comparable value per property; computed types (formula, rollup, ...) are
+// left out since they change without an edit to the page.
+function snapshotValue(p) {
+  switch (p.type) {
+    case 'title': return (p.title || []).map(t => t.plain_text).join('');
+    case 'rich_text': return (p.rich_text || []).map(t => t.plain_text).join('');
+    case 'number': return p.number ?? null;
+    case 'select': return p.select?.name || null;
+    case 'status': return p.status?.name || null;
+    case 'multi_select': return (p.multi_select || []).map(o => o.name);
+    case 'date': return p.date?.start ? { start: p.date.start, end: p.date.end || null } : null;
+    case 'relation': return (p.relation || []).map(r => r.id);
+    case 'checkbox': return !!p.checkbox;
+    case 'url': case 'email': case 'phone_number': return p[p.type] || null;
+    default: return undefined;
+  }
+}
+
+function pageSnapshot(page) {
+  const values = {};
+  for (const [key, p] of Object.entries(page.properties || {})) {
+    const v = snapshotValue(p);
+    if (v !== undefined) values[key] = v;
+  }
+  return { values, lastEditedTime: page.last_edited_time || null };
+}
+
+function loadChangeState() {
+  if (changeState) return changeState;
+  const empty = { initializedAt: null, coverageStart: null, polledAt: null, seq: 0, pages: {}, log: [] };
+  try {
+    changeState = { ...empty, ...JSON.parse(fs.readFileSync(CHANGE_SNAPSHOT_FILE, 'utf8')) };
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`[changes] ignoring unreadable snapshot ${CHANGE_SNAPSHOT_FILE}: ${e.message}`);
+    changeState = empty;
+  }
+  return changeState;
+}
+
+// Written to a temp file first so a crash mid-write keeps the old snapshot.
+function saveChangeState() {
+  fs.mkdirSync(path.dirname(CHANGE_SNAPSHOT_FILE), { recursive: true });
+  const tmp = `${CHANGE_SNAPSHOT_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(changeState));
+  fs.renameSync(tmp, CHANGE_SNAPSHOT_FILE);
+}
+
+function diffSnapshots(before, after) {
+  const changes = [];
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const old = before[field] ?? null;
+    const next = after[field] ?? null;
+    if (JSON.stringify(old) !== JSON.stringify(next)) changes.push({ field, old, new: next });
+  }
+  return changes;
+}
+
+function appendChange(state, record) {
+  state.log.push({ id: ++state.seq, detectedAt: new Date().toISOString(), ...record });
+}
+
+// Drops records past the retention window or the size cap; the coverage start
+// moves up with them so callers can tell their cursor fell off the log.
+function trimChangeLog(state) {
+  const cutoff = Date.now() - CHANGE_LOG_RETENTION_DAYS * 86400000;
+  let drop = 0;
+  while (drop < state.log.length && Date.parse(state.log[drop].detectedAt) < cutoff) drop++;
+  drop = Math.max(drop, state.log.length - CHANGE_LOG_MAX_ENTRIES);
+  if (drop <= 0) return;
+  const dropped = state.log.splice(0, drop);
+  const last = dropped[dropped.length - 1];
+  const droppedThrough = last.lastEditedTime || last.detectedAt;
+  if (!state.coverageStart || droppedThrough > state.coverageStart) state.coverageStart = droppedThrough;
+}
+
+// One poll: query what changed since the previous poll (or everything on the
+// first run / full rescan), diff it against the snapshot and log the result.
+async function pollActionBaseChanges({ full = false } = {}) {
+  const db = await findDatabaseByName('Action Base');
+  if (!db) throw new ApiError(404, 'NOT_FOUND', 'Database "Action Base" not found or not shared.');
+
+  const state = loadChangeState();
+  const startedAt = new Date().toISOString();
+  const scanAll = full || !state.initializedAt;
+  const body = { sorts: [{ timestamp: 'last_edited_time', direction: 'ascending' }] };
+  if (!scanAll) {
+    const from = new Date(Date.parse(state.polledAt) - CHANGE_POLL_OVERLAP_MS).toISOString();
+    body.filter = { timestamp: 'last_edited_time', last_edited_time: { on_or_after: from } };
+  }
+  const pages = await queryAll(db.id, body);
+
+  const seen = new Set();
+  for (const page of pages) {
+    seen.add(page.id);
+    const snap = pageSnapshot(page);
+    const prev = state.pages[page.id];
+    state.pages[page.id] = snap;
+    const base = { pageId: page.id, name: snap.values.Name ?? titleOf(page), lastEditedTime: snap.lastEditedTime };
+    if (!prev) {
+      // The first scan only records the baseline; after that a new page is a creation.
+      if (state.initializedAt) {
+        const changes = diffSnapshots({}, snap.values).filter(c => c.new !== '' && !(Array.isArray(c.new) && !c.new.length));
+        appendChange(state, { ...base, kind: 'created', changes, values: snap.values });
+      }
+      continue;
+    }
+    const changes = diffSnapshots(prev.values, snap.values);
+    if (!changes.length) continue;
+    const status = changes.find(c => c.field === 'Status');
+    appendChange(state, {
+      ...base,
+      kind: 'updated',
+      changes,
+      ...(status ? { statusTransition: { from: status.old, to: status.new } } : {}),
+      values: snap.values
+    });
+  }
+  if (full && state.initializedAt) {
+    for (const [pageId, prev] of Object.entries(state.pages)) {
+      if (seen.has(pageId)) continue;
+      delete state.pages[pageId];
+      appendChange(state, { pageId, name: prev.values.Name ?? '', lastEditedTime: startedAt, kind: 'removed', changes: [], values: prev.values });
+    }
+  }
+
+  if (!state.initializedAt) state.initializedAt = state.coverageStart = startedAt;
+  state.polledAt = startedAt;
+  trimChangeLog(state);
+  saveChangeState();
+  return state;
+}
+
+// Polls are serialized so overlapping requests can't log the same edit twice.
+function readActionBaseChanges({ since, after = 0, full = false }) {
+  const run = changePoll.then(async () => {
+    const state = await pollActionBaseChanges({ full });
+    const sinceMs = Date.parse(since);
+    const changes = state.log.filter(r => r.id > after && Date.parse(r.lastEditedTime) >= sinceMs);
+    const polledMs = Date.parse(state.polledAt);
+    return {
+      since,
+      polledAt: state.polledAt,
+      // Anything edited before the snapshot existed (or trimmed from the log)
+      // can't be diffed; re-pull /actionBase/list and continue from polledAt.
+      complete: sinceMs >= Date.parse(state.coverageStart),
+      coverageStart: state.coverageStart,
+      // Later edits can still carry this minute's timestamp.
+      nextSince: new Date(polledMs - polledMs % 60000).toISOString(),
+      nextAfter: changes.length ? changes[changes.length - 1].id : after,
+      changes
+    };
+  });
+  changePoll = run.catch(() => {});
+  return run;
+}
+
+app.get('/actionBase/changes', requireScope('actionBase:read'), async (req, res) => {
+  try {
+    const { since, after, full } = req.query;
+    if (!since) throw new ApiError(400, 'REQUIRED', 'since is required', { field: 'since', hint: 'An ISO timestamp, e.g. 2026-10-24T15:30:00Z, usually nextSince from the previous call' });
+    if (Number.isNaN(Date.parse(since))) throw new ApiError(400, 'INVALID_FORMAT', 'since: must be an ISO timestamp', { field: 'since', hint: 'e.g. 2026-10-24T15:30:00Z' });
+    if (after != null && !/^\d+$/.test(after)) throw new ApiError(400, 'INVALID_FORMAT', 'after: must be a change id', { field: 'after', hint: 'Pass nextAfter from the previous call' });
+
+    const feed = await readActionBaseChanges({
+      since: new Date(since).toISOString(),
+      after: Number(after || 0),
+      full: full === 'true' || full === '1'
+    });
+    const warning = feed.complete ? undefined : 'Changes before coverageStart were not tracked; re-pull /actionBase/list to resync.';
+    res.json({ ok: true, count: feed.changes.length, ...feed, ...(warning ? { warning } : {}) });
+  } catch (e) { sendError(res, e); }
+});
+
+// Optional DB-level helpers
+app.post('/databases/create', requireScope('admin'), validateBody({
+  properties: {
+    parentPageId: { type: 'string', required: true },
+    databaseTitle: { type: 'string', required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { parentPageId, databaseTitle } = req.body || {};
+    const created = await notion('/databases', {
+      method: 'POST',
+      body: {
+        parent: { type: 'page_id', page_id: parentPageId },
+        title: [{ type: 'text', text: { content: databaseTitle } }],
+        properties: { Name: { title: {} } }
+      }
+    });
+    res.json({ ok: true, databaseId: created.id });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/databases/archiveByName', requireScope('admin'), validateBody({
+  properties: {
+    databaseName: { type: 'string', required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { databaseName } = req.body || {};
+    const db = await findDatabaseByName(databaseName);
+    if (!db) return res.status(404).json({ error: `Database "${databaseName}" not found or not shared.`, code: 'NOT_FOUND' });
+
+    const updated = await notion(`/databases/${db.id}`, { method: 'PATCH', body: { archived: true } });
+    forgetDatabase(db.id);
+    res.json({ ok: true, databaseId: updated.id, archived: true });
+  } catch (e) { sendError(res, e); }
+});
+
+app.get('/databases/registry', requireScope('databases:read'), (req, res) => {
+  const now = Date.now();
+  const databases = [...dbRegistry.entries()].map(([key, e]) => ({
+    name: key,
+    id: e.id,
+    title: e.title,
+    configured: CONFIGURED_DATABASE_IDS.has(key),
+    ageMs: now - e.fetchedAt,
+    stale: now - e.fetchedAt >= DB_REGISTRY_TTL_MS,
+    schema: e.schema
+  }));
+  res.json({ ok: true, ttlMs: DB_REGISTRY_TTL_MS, count: databases.length, databases });
+});
+
+app.post('/databases/registry/refresh', requireScope('databases:write'), validateBody({
+  properties: {
+    databaseName: { type: 'string' }
+  }
+}), async (req, res) => {
+  try {
+    const { databaseName } = req.body || {};
+    const names = databaseName
+      ? [databaseName]
+      : [...new Set([...dbRegistry.keys(), ...CONFIGURED_DATABASE_IDS.keys()])];
+    const refreshed = [];
+    const missing = [];
+    for (const name of names) {
+      const entry = await findDatabaseByName(name, { refresh: true });
+      if (entry) refreshed.push({ name, id: entry.id, title: entry.title });
+      else missing.push(name);
+    }
+    res.json({ ok: true, refreshed, missing });
+  } catch (e) { sendError(res, e); }
+});
+
+// ==========================================================================
+// ===================  GOOGLE SHEETS — NOTES ENGINE  ========================
+// ==========================================================================
+// Column E holds a random note ID: row numbers shift when a row is deleted, IDs don't.
+// Column F lists the Action Base page IDs promoted from the note.
+const NOTE_HEADERS = ['TITLE', 'Date & Time', 'Tag', 'Notes', 'ID', 'Action Items'];
+const SPREADSHEET_ID = process.env.SPREADSHEET_ID;
+const GOOGLE_CLIENT_EMAIL = process.env.GOOGLE_CLIENT_EMAIL;
+const GOOGLE_PRIVATE_KEY = (process.env.GOOGLE_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+const hasSheets = () => BACKEND === 'local' || !!(GOOGLE_CLIENT_EMAIL && GOOGLE_PRIVATE_KEY && SPREADSHEET_ID);
+
+let sheetsClient = null;
+
+async function getSheetsClient() {
+  if (sheetsClient) return sheetsClient;
+  if (BACKEND === 'local') {
+    sheetsClient = createLocalSheetsClient();
+    return sheetsClient;
+  }
+  if (!hasSheets()) {
+    console.warn('WARNING: Google Sheets env vars missing. Set GOOGLE_CLIENT_EMAIL, GOOGLE_PRIVATE_KEY, SPREADSHEET_ID.');
+  }
+  const auth = new google.auth.JWT(
+    GOOGLE_CLIENT_EMAIL,
+    null,
+    GOOGLE_PRIVATE_KEY || undefined,
+    ['https://www.googleapis.com/auth/spreadsheets']
+  );
+  sheetsClient = google.sheets({ version: 'v4', auth });
+  return sheetsClient;
+}
+
+// Notebooks
+// Every tab except the system tabs (Tags, History, Trash, Reminders, Webhooks,
+// Dead Letters) is a notebook; a hidden tab is an archived notebook (readable,
+// not writable). Routes pick one with `notebook` (tab name, any case) and
+// otherwise use NOTES_DEFAULT_NOTEBOOK, or the first visible notebook. Reads and writes then address the tab by
+// the sheetId resolved here, never by position.
+const DEFAULT_NOTEBOOK = process.env.NOTES_DEFAULT_NOTEBOOK || 'Maal Secretary Notes';
+const NOTEBOOK_NAME_FORBIDDEN = /['!:\\/?*[\]]/;
+
+function sheetRange(title, ref) {
+  return `'${title.replace(/'/g, "''")}'!${ref}`;
+}
+
+// Tabs the server keeps for itself; they are never notebooks.
+function systemTabTitles() {
+  return [TAGS_SHEET_TITLE, HISTORY_SHEET_TITLE, TRASH_SHEET_TITLE, REMINDERS_SHEET_TITLE, WEBHOOKS_SHEET_TITLE, DEAD_LETTERS_SHEET_TITLE];
+}
+
+function notebookNameError(name) {
+  const clean = String(name).trim();
+  if (!clean) return 'must not be empty';
+  if (NOTEBOOK_NAME_FORBIDDEN.test(clean)) return 'must not contain \' ! : \\ / ? * [ ]';
+  if (systemTabTitles().some(t => t.toLowerCase() === clean.toLowerCase())) {
+    return `"${clean}" is reserved`;
+  }
+  return null;
+}
+
+// Older notebooks only have the first four headers.
+function isNoteHeaderRow(row) {
+  return !!row && NOTE_HEADERS.slice(0, 4).every((h, i) => row[i] === h);
+}
+
+// Only tabs headed with the note columns are notebooks, so unrelated tabs in
+// the spreadsheet are never listed, exported or given note headers.
+async function listNotebooks() {
+  const sheets = await getSheetsClient();
+  const meta = await sheets.spreadsheets.get({ spreadsheetId: SPREADSHEET_ID });
+  const system = new Set(systemTabTitles());
+  const tabs = (meta.data.sheets || []).map(s => s.properties || {}).filter(p => !system.has(p.title));
+  const heads = tabs.length
+    ? (await sheets.spreadsheets.values.batchGet({ spreadsheetId: SPREADSHEET_ID, ranges: tabs.map(p => sheetRange(p.title, 'A1:F1')) })).data.valueRanges || []
+    : [];
+  const notebooks = tabs
+    .filter((p, i) => isNoteHeaderRow(heads[i]?.values?.[0]))
+    .map(p => ({ name: p.title, sheetId: p.sheetId, archived: !!p.hidden }));
+  const active = notebooks.filter(n => !n.archived);
+  const fallback = active.find(n => n.name === DEFAULT_NOTEBOOK) || active[0];
+  for (const n of notebooks) n.isDefault = n === fallback;
+  return notebooks;
+}
+
+// Resolves a notebook name (or the default) to { name, sheetId, archived, isDefault }.
+async function resolveNotebook(name, { write = false } = {}) {
+  const notebooks = await listNotebooks();
+  if (!name) {
+    const fallback = notebooks.find(n => n.isDefault);
+    if (fallback) return fallback;
+    const { sheetId } = await ensureTab(DEFAULT_NOTEBOOK, NOTE_HEADERS);
+    return { name: DEFAULT_NOTEBOOK, sheetId, archived: false, isDefault: true };
+  }
+  const key = name.trim().toLowerCase();
+  const notebook = notebooks.find(n => n.name.toLowerCase() === key);
+  if (!notebook) {
+    throw new ApiError(404, 'NOT_FOUND', `Notebook "${name}" not found`, {
+      field: 'notebook', hint: `Notebooks: ${notebooks.filter(n => !n.archived).map(n => n.name).join(', ')}`
+    });
+  }
+  if (write && notebook.archived) {
+    throw new ApiError(409, 'CONFLICT', `Notebook "${notebook.name}" is archived`, { field: 'notebook', hint: 'Unarchive it first with /notes/notebooks/archive' });
+  }
+  return notebook;
+}
+
+async function createNotebook(name) {
+  const clean = name.trim();
+  const notebooks = await listNotebooks();
+  if (notebooks.some(n => n.name.toLowerCase() === clean.toLowerCase())) {
+    throw new ApiError(409, 'CONFLICT', `Notebook "${clean}" already exists`, { field: 'name' });
+  }
+  const { sheetId, created } = await ensureTab(clean, NOTE_HEADERS);
+  if (!created) throw new ApiError(409, 'CONFLICT', `A tab named "${clean}" already exists and is not a notebook`, { field: 'name' });
+  return { name: clean, sheetId, archived: false, isDefault: false };
+}
+
+// Renames the tab and the Trash/History references to it, so restores still
+// find their way home.
+async function renameNotebook(notebook, name) {
+  const sheets = await getSheetsClient();
+  const nb = await resolveNotebook(notebook);
+  const clean = name.trim();
+  const notebooks = await listNotebooks();
+  if (notebooks.some(n => n.sheetId !== nb.sheetId && n.name.toLowerCase() === clean.toLowerCase())) {
+    throw new ApiError(409, 'CONFLICT', `Notebook "${clean}" already exists`, { field: 'name' });
+  }
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId: SPREADSHEET_ID,
+    requestBody: { requests: [{ updateSheetProperties: { properties: { sheetId: nb.sheetId, title: clean }, fields: 'title' } }] }
+  });
+
+  const data = [];
+  for (const [title, headers] of [[TRASH_SHEET_TITLE, TRASH_HEADERS], [HISTORY_SHEET_TITLE, HISTORY_HEADERS]]) {
+    const { rows } = await readTabRows(title, headers);
+    for (const { rowIndex, values } of rows) {
+      if (values[7] === nb.name) data.push({ range: `${title}!H${rowIndex}`, values: [[clean]] });
+    }
+  }
+  if (data.length) {
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId: SPREADSHEET_ID,
+      requestBody: { valueInputOption: 'RAW', data }
+    });
+  }
+  return { ...nb, name: clean, previousName: nb.name, referencesUpdated: data.length };
+}
+
+async function archiveNotebook(notebook, archived = true) {
+  const sheets = await getSheetsClient();
+  const nb = await resolveNotebook(notebook);
+  if (archived && !nb.archived) {
+    const active = (await listNotebooks()).filter(n => !n.archived);
+    if (active.length <= 1) throw new ApiError(400, 'INVALID_VALUE', 'Cannot archive the only active notebook', { field: 'notebook' });
+  }
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId: SPREADSHEET_ID,
+    requestBody: { requests: [{ updateSheetProperties: { properties: { sheetId: nb.sheetId, hidden: archived }, fields: 'hidden' } }] }
+  });
+  return { ...nb, archived };
+}
+
+async function ensureHeaders(title) {
+  const sheets = await getSheetsClient();
+  const r = await sheets.spreadsheets.values.get({
+    spreadsheetId: SPREADSHEET_ID,
+    range: sheetRange(title, 'A1:F1')
+  });
+  const row = r.data.values?.[0] || [];
+  const need = NOTE_HEADERS;
+  const same = need.every((h, i) => row[i] === h);
+  if (row.length && !isNoteHeaderRow(row)) {
+    throw new ApiError(409, 'CONFLICT', `Tab "${title}" is not a notebook (its first row is not the note header)`, {
+      hint: 'Rename that tab, or set NOTES_DEFAULT_NOTEBOOK to another name'
+    });
+  }
+  if (!same) {
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: SPREADSHEET_ID,
+      range: sheetRange(title, 'A1:F1'),
+      valueInputOption: 'RAW',
+      requestBody: { values: [need] }
+    });
+  }
+  return title;
+}
+
+// Creates a tab (a notebook or a system tab) with its header row if it is missing.
+// Tabs created before a column was added keep their old header row; extend
+// it once per process, and only when it is a prefix of the current headers.
+const checkedTabHeaders = new Set();
+
+async function extendTabHeaders(title, headers) {
+  if (checkedTabHeaders.has(title)) return;
+  const sheets = await getSheetsClient();
+  const r = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID, range: sheetRange(title, 'A1:Z1') });
+  const row = r.data.values?.[0] || [];
+  if (row.length < headers.length && row.every((h, i) => h === headers[i])) {
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: SPREADSHEET_ID,
+      range: sheetRange(title, 'A1'),
+      valueInputOption: 'RAW',
+      requestBody: { values: [headers] }
+    });
+  }
+  checkedTabHeaders.add(title);
+}
+
+async function ensureTab(title, headers) {
+  const sheets = await getSheetsClient();
+  const meta = await sheets.spreadsheets.get({ spreadsheetId: SPREADSHEET_ID });
+  const existing = meta.data.sheets?.find(s => s.properties?.title === title);
+  if (existing) {
+    await extendTabHeaders(title, headers);
+    return { sheetId: existing.properties.sheetId, created: false };
+  }
+
+  const r = await sheets.spreadsheets.batchUpdate({
+    spreadsheetId: SPREADSHEET_ID,
+    requestBody: { requests: [{ addSheet: { properties: { title } } }] }
+  });
+  await sheets.spreadsheets.values.update({
+    spreadsheetId: SPREADSHEET_ID,
+    range: sheetRange(title, 'A1'),
+    valueInputOption: 'RAW',
+    requestBody: { values: [headers] }
+  });
+  return { sheetId: r.data.replies?.[0]?.addSheet?.properties?.sheetId, created: true };
+}
+
+// Title / Tag helpers
+const EDU_WORDS = ['codecademy','freecodecamp','javascript','node','react','express','firebase','gsap','html','css','data structures','algorithms','study','course','tutorial','lesson','practice','design refresher','photoshop','illustrator','indesign','after effects','premiere','premier pro','adobe','bootcamp'];
+const WORK_WORDS = ['client','invoice','proposal','deliverable','website','web design','web dev','branding','logo','video','edit','render','notion buddy','crazy monkey','krazy monkee','marketing','ad','campaign','portfolio','mockup'];
+const LIFE_WORDS = ['mom','dad','son','daughter','kids','jordan','jace','jamal jr','family','school','homework','pickup','dropoff','work schedule','gentilly mail and copy center','luz','joe','van','dave','rob','exercise','workout','gym','meditate','meditation','pray','prayer','court','appointment','doctor','volunteer','service','church','temple'];
+
+// The built-in lists seed the "Tags" tab the first time it is needed.
+const DEFAULT_TAG_RULES = [
+  ...EDU_WORDS.map(k => ['Dev & Design Education', k]),
+  ...WORK_WORDS.map(k => ['Krazy Monkee', k]),
+  ...LIFE_WORDS.map(k => ['Hanuman Life', k])
+].map(([tag, keyword]) => ({ tag, keyword, weight: 1, match: keyword.includes(' ') ? 'phrase' : 'word' }));
+
+// Tag classifier
+// Rules come from the "Tags" tab (Tag | Keyword | Weight | Match) so the
+// taxonomy can change without a deploy. Match is `word` (whole word, the
+// default), `phrase` (words in sequence, any spacing) or `prefix`. Each hit
+// adds its weight, title hits count double. The best tag only wins with at
+// least CLASSIFIER_MIN_SCORE points and CLASSIFIER_MIN_CONFIDENCE of the
+// total; otherwise the note is tagged CLASSIFIER_REVIEW_TAG for a human.
+const TAGS_SHEET_TITLE = 'Tags';
+const TAG_RULE_HEADERS = ['Tag', 'Keyword', 'Weight', 'Match'];
+const TAG_MATCH_TYPES = ['word', 'phrase', 'prefix'];
+const CLASSIFIER_TTL_MS = Number(process.env.CLASSIFIER_TTL_MS) || 5 * 60 * 1000;
+const CLASSIFIER_MIN_SCORE = Number(process.env.CLASSIFIER_MIN_SCORE ?? 1);
+const CLASSIFIER_MIN_CONFIDENCE = Number(process.env.CLASSIFIER_MIN_CONFIDENCE ?? 0.5);
+const CLASSIFIER_REVIEW_TAG = process.env.CLASSIFIER_REVIEW_TAG || 'Needs Review';
+
+let tagRulesCache = null; // { rules, skipped, loadedAt }
+
+function compileTagRule(rule) {
+  const body = rule.keyword.toLowerCase().split(/\s+/).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+');
+  const end = rule.match === 'prefix' ? '' : '(?![\\p{L}\\p{N}])';
+  return { ...rule, re: new RegExp(`(?<![\\p{L}\\p{N}])${body}${end}`, 'giu') };
+}
+
+async function loadTagRules({ refresh = false } = {}) {
+  if (!refresh && tagRulesCache && Date.now() - tagRulesCache.loadedAt < CLASSIFIER_TTL_MS) return tagRulesCache;
+  const sheets = await getSheetsClient();
+  const { created } = await ensureTab(TAGS_SHEET_TITLE, TAG_RULE_HEADERS);
+  if (created) {
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `${TAGS_SHEET_TITLE}!A2:D${DEFAULT_TAG_RULES.length + 1}`,
+      valueInputOption: 'RAW',
+      requestBody: { values: DEFAULT_TAG_RULES.map(r => [r.tag, r.keyword, r.weight, r.match]) }
+    });
+  }
+
+  const r = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID, range: `${TAGS_SHEET_TITLE}!A2:D` });
+  const rules = [];
+  const skipped = [];
+  for (const [i, row] of (r.data.values || []).entries()) {
+    const [tag, keyword, weight = '', match = ''] = row.map(v => String(v ?? '').trim());
+    if (!tag || !keyword) continue;
+    const w = weight === '' ? 1 : Number(weight);
+    const m = (match || 'word').toLowerCase();
+    if (!Number.isFinite(w)) skipped.push({ row: i + 2, reason: `weight "${weight}" is not a number` });
+    else if (!TAG_MATCH_TYPES.includes(m)) skipped.push({ row: i + 2, reason: `match must be one of ${TAG_MATCH_TYPES.join(', ')}` });
+    else rules.push(compileTagRule({ tag, keyword, weight: w, match: m }));
+  }
+  tagRulesCache = { rules, skipped, loadedAt: Date.now() };
+  return tagRulesCache;
+}
+
+function scoreNote({ title, notes }, rules) {
+  const scores = new Map();
+  const fired = [];
+  for (const rule of rules) {
+    for (const [field, text, factor] of [['title', title || '', 2], ['notes', notes || '', 1]]) {
+      const hits = text.match(rule.re)?.length || 0;
+      if (!hits) continue;
+      fired.push({ tag: rule.tag, keyword: rule.keyword, match: rule.match, weight: rule.weight, field, hits });
+      scores.set(rule.tag, (scores.get(rule.tag) || 0) + hits * rule.weight * factor);
+    }
+  }
+  const ranked = [...scores.entries()].map(([tag, score]) => ({ tag, score })).sort((a, b) => b.score - a.score);
+  const total = ranked.reduce((n, x) => n + Math.max(0, x.score), 0);
+  const best = ranked[0];
+  const confidence = best && total > 0 ? Math.max(0, best.score) / total : 0;
+  const tied = ranked.length > 1 && ranked[1].score === best.score;
+  const needsReview = !best || tied || best.score < CLASSIFIER_MIN_SCORE || confidence < CLASSIFIER_MIN_CONFIDENCE;
+  return {
+    tag: needsReview ? CLASSIFIER_REVIEW_TAG : best.tag,
+    suggestedTag: best?.tag || null,
+    confidence: Math.round(confidence * 100) / 100,
+    needsReview,
+    scores: ranked,
+    fired
+  };
+}
+
+async function classifyNote(note, opts) {
+  const { rules } = await loadTagRules(opts);
+  return scoreNote(note, rules);
+}
+function generateTitle(notes) {
+  const str = (notes || '').trim();
+  if (!str) return 'General Note';
+  const first = str.split('\n')[0];
+  const m = first.match(/(meeting|call|client|task|idea)[:\- ]+(.*)/i);
+  if (m && m[2]) return `${m[1][0].toUpperCase()}${m[1].slice(1).toLowerCase()}: ${m[2]}`.slice(0, 60);
+  return first.split(/\s+/).slice(0, 6).join(' ').slice(0, 60) || 'General Note';
+}
+
+// Data access
+function newNoteId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+async function readNoteRows(title) {
+  const sheets = await getSheetsClient();
+  const r = await sheets.spreadsheets.values.get({
+    spreadsheetId: SPREADSHEET_ID,
+    range: sheetRange(title, 'A2:F')
+  });
+  return (r.data.values || []).map((row, i) => ({
+    rowIndex: i + 2,
+    id: row[4] || '',
+    notebook: title,
+    title: row[0] || '',
+    dateTime: row[1] || '',
+    tag: row[2] || '',
+    notes: row[3] || '',
+    actionItems: (row[5] || '').split(',').map(x => x.trim()).filter(Boolean)
+  }));
+}
+
+const needsNoteId = (row) => !row.id && (row.title || row.notes);
+
+// Writes that address a row by index (id backfill, update, link, delete and
+// move in a notebook; restore and purge in Trash/History) queue on that tab's
+// lock and re-read inside it, so a delete can't shift rows between the read
+// and the write.
+const noteWriteLocks = new Map(); // sheetId -> Promise of the last queued write
+
+function withNoteWriteLock(sheetId, fn) {
+  const run = (noteWriteLocks.get(sheetId) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  noteWriteLocks.set(sheetId, tail);
+  tail.then(() => { if (noteWriteLocks.get(sheetId) === tail) noteWriteLocks.delete(sheetId); });
+  return run;
+}
+
+// Rows written before IDs existed (or typed into the sheet by hand) get one.
+// The backfill re-reads under the lock, so concurrent reads can't give a row
+// two different IDs.
+function backfillNoteIds(nb, title) {
+  return withNoteWriteLock(nb.sheetId, async () => {
+    const missing = (await readNoteRows(title)).filter(needsNoteId);
+    if (!missing.length) return;
+    const sheets = await getSheetsClient();
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId: SPREADSHEET_ID,
+      requestBody: {
+        valueInputOption: 'RAW',
+        data: missing.map(row => ({ range: sheetRange(title, `E${row.rowIndex}`), values: [[newNoteId()]] }))
+      }
+    });
+  });
+}
+
+async function listAllNotes({ notebook, write = false } = {}) {
+  const nb = await resolveNotebook(notebook, { write });
+  const title = await ensureHeaders(nb.name);
+  let rows = await readNoteRows(title);
+  if (rows.some(needsNoteId)) {
+    await backfillNoteIds(nb, title);
+    rows = await readNoteRows(title);
+  }
+  syncNoteIndex(noteIndexFor(nb.sheetId), rows);
+  return { notebook: nb, rows };
+}
+
+function pickNote(nb, rows, { id, rowIndex }) {
+  if (id) {
+    const row = rows.find(r => r.id === id);
+    if (!row) throw new ApiError(404, 'NOT_FOUND', `Note ${id} not found in notebook "${nb.name}"`, { field: 'id' });
+    return row;
+  }
+  const idx = Number(rowIndex);
+  if (!idx || idx < 2) throw new ApiError(400, 'OUT_OF_RANGE', 'rowIndex must be >= 2', { field: 'rowIndex' });
+  const row = rows.find(r => r.rowIndex === idx);
+  if (!row) throw new ApiError(404, 'NOT_FOUND', `Row ${idx} not found in notebook "${nb.name}"`, { field: 'rowIndex' });
+  return row;
+}
+
+// Resolves a note by id (preferred) or legacy rowIndex against a fresh read of its notebook.
+async function findNote({ id, rowIndex, notebook }, { write = false } = {}) {
+  const { notebook: nb, rows } = await listAllNotes({ notebook, write });
+  return { notebook: nb, row: pickNote(nb, rows, { id, rowIndex }) };
+}
+
+// Runs fn(notebook, row) under the notebook's write lock, with the row
+// re-read (by its id once known) inside the lock.
+async function withLockedNote(ref, fn) {
+  const { notebook: nb, row: found } = await findNote(ref, { write: true });
+  return withNoteWriteLock(nb.sheetId, async () => {
+    const row = pickNote(nb, await readNoteRows(nb.name), found.id ? { id: found.id } : ref);
+    return fn(nb, row);
+  });
+}
+
+// Last check before a write by row index: the sheet can still be edited by
+// hand, so the id cell must hold the note we mean to change.
+async function assertNoteAtRow(nb, row) {
+  const sheets = await getSheetsClient();
+  const r = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID, range: sheetRange(nb.name, `E${row.rowIndex}`) });
+  if ((r.data.values?.[0]?.[0] || '') !== row.id) {
+    throw new ApiError(409, 'CONFLICT', `Note ${row.id || `at row ${row.rowIndex}`} moved while it was being changed; retry the request`, { field: 'id' });
+  }
+}
+
+// Notes are stamped in TZ (not the caller's zone) so the sheet sorts consistently.
+function formatChicagoStamp() {
+  const { date, time } = localDateTimeParts(Date.now(), TZ);
+  return `${date} ${time}`;
+}
+
+async function createNote({ title, tag, notes, notebook }) {
+  const sheets = await getSheetsClient();
+  const nb = await resolveNotebook(notebook, { write: true });
+  const sheetTitle = await ensureHeaders(nb.name);
+  const finalTitle = (title && title.trim()) || generateTitle(notes);
+  const finalTag = (tag && tag.trim()) || (await classifyNote({ title: finalTitle, notes })).tag;
+  const fixedTimestamp = formatChicagoStamp(); // immutable
+  const id = newNoteId();
+
+  const values = [[finalTitle, fixedTimestamp, finalTag, notes || '', id, '']];
+  const appended = await sheets.spreadsheets.values.append({
+    spreadsheetId: SPREADSHEET_ID,
+    range: sheetRange(sheetTitle, 'A:F'),
+    valueInputOption: 'RAW',
+    insertDataOption: 'INSERT_ROWS',
+    requestBody: { values }
+  });
+
+  // The append response names the row actually written.
+  const range = appended.data.updates?.updatedRange;
+  const rowIndex = range ? parseA1(range).r1 + 1 : null;
+  indexNote(noteIndexFor(nb.sheetId), { rowIndex, id, notebook: sheetTitle, title: finalTitle, dateTime: fixedTimestamp, tag: finalTag, notes: notes || '', actionItems: [] });
+  emitEvent('notes.created', { id, notebook: sheetTitle, rowIndex, title: finalTitle, tag: finalTag, dateTime: fixedTimestamp, notes: notes || '' });
+  return { id, notebook: sheetTitle, rowIndex, range, title: finalTitle, tag: finalTag, dateTime: fixedTimestamp };
+}
+
+async function readNote({ id, rowIndex, notebook }) {
+  const { row } = await findNote({ id, rowIndex, notebook });
+  return row;
+}
+
+async function updateNote({ id, rowIndex, notebook, title, tag, notes, deleteFields, historyAction = 'update' }) {
+  const sheets = await getSheetsClient();
+  return withLockedNote({ id, rowIndex, notebook }, async (nb, current) => {
+    const idx = current.rowIndex;
+
+    const toClear = new Set((deleteFields || []).map(s => s.toUpperCase()));
+    const newTitle = toClear.has('TITLE') ? '' : (title ?? current.title);
+    const newTag = toClear.has('TAG') ? '' : (tag ?? current.tag);
+    const newNotes = toClear.has('NOTES') ? '' : (notes ?? current.notes);
+
+    const finalTitle = newTitle || generateTitle(newNotes);
+    const finalTag = newTag || (await classifyNote({ title: finalTitle, notes: newNotes })).tag;
+
+    const values = [[finalTitle, current.dateTime, finalTag, newNotes, current.id, current.actionItems.join(', ')]];
+    await assertNoteAtRow(nb, current);
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: SPREADSHEET_ID,
+      range: sheetRange(nb.name, `A${idx}:F${idx}`),
+      valueInputOption: 'RAW',
+      requestBody: { values }
+    });
+    // Logged only once the write has landed, so History never shows a change that didn't happen.
+    await logNoteRevision({ id: current.id, notebook: nb.name, action: historyAction, before: current, after: { title: finalTitle, tag: finalTag, notes: newNotes } });
+
+    indexNote(noteIndexFor(nb.sheetId), { ...current, title: finalTitle, tag: finalTag, notes: newNotes });
+    if (historyAction === 'update') { // restores announce themselves as notes.restored
+      emitEvent('notes.updated', { id: current.id, notebook: nb.name, rowIndex: idx, title: finalTitle, tag: finalTag, dateTime: current.dateTime, notes: newNotes });
+    }
+    return { id: current.id, notebook: nb.name, rowIndex: idx, title: finalTitle, tag: finalTag, dateTime: current.dateTime };
+  });
+}
+
+// Adds page IDs to the note's Action Items column (re-resolved by id under
+// the notebook lock, so a delete elsewhere in the sheet can't redirect the write).
+async function linkNoteActionItems(id, pageIds, notebook) {
+  const sheets = await getSheetsClient();
+  return withLockedNote({ id, notebook }, async (nb, row) => {
+    const actionItems = [...new Set([...row.actionItems, ...pageIds])];
+    await assertNoteAtRow(nb, row);
+    await sheets.spreadsheets.values.update({
+      spreadsheetId: SPREADSHEET_ID,
+      range: sheetRange(nb.name, `F${row.rowIndex}`),
+      valueInputOption: 'RAW',
+      requestBody: { values: [[actionItems.join(', ')]] }
+    });
+    indexNote(noteIndexFor(nb.sheetId), { ...row, actionItems });
+    return actionItems;
+  });
+}
+
+async function deleteNote({ id, rowIndex, notebook }) {
+  const sheets = await getSheetsClient();
+  return withLockedNote({ id, rowIndex, notebook }, async (nb, row) => {
+    const idx = row.rowIndex;
+    await assertNoteAtRow(nb, row);
+
+    // Copy to Trash first so a failed delete never loses the note.
+    await ensureTab(TRASH_SHEET_TITLE, TRASH_HEADERS);
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `${TRASH_SHEET_TITLE}!A:H`,
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      requestBody: { values: [[...noteRowValues(row), new Date().toISOString(), nb.name]] }
+    });
+
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId: SPREADSHEET_ID,
+      requestBody: {
+        requests: [{
+          deleteDimension: {
+            range: { sheetId: nb.sheetId, dimension: 'ROWS', startIndex: idx - 1, endIndex: idx }
+          }
+        }]
+      }
+    });
+    await logNoteRevision({ id: row.id, notebook: nb.name, action: 'delete', before: row, after: null });
+    removeNoteFromIndex(noteIndexFor(nb.sheetId), row.id, idx);
+    emitEvent('notes.deleted', { id: row.id, notebook: nb.name, title: row.title, tag: row.tag, dateTime: row.dateTime, trashed: true });
+    return { ok: true, id: row.id, notebook: nb.name, rowIndex: idx, deleted: true, trashed: true };
+  });
+}
+
+// Copies the row into the target notebook before removing it from the
+// source, so a failure in between leaves a duplicate rather than a loss.
+async function moveNote({ id, rowIndex, notebook, to }) {
+  const sheets = await getSheetsClient();
+  const target = await resolveNotebook(to, { write: true });
+  return withLockedNote({ id, rowIndex, notebook }, async (from, row) => {
+    if (target.sheetId === from.sheetId) {
+      throw new ApiError(400, 'INVALID_VALUE', `Note ${row.id} is already in notebook "${from.name}"`, { field: 'to' });
+    }
+    await assertNoteAtRow(from, row);
+    await ensureHeaders(target.name);
+    const appended = await sheets.spreadsheets.values.append({
+      spreadsheetId: SPREADSHEET_ID,
+      range: sheetRange(target.name, 'A:F'),
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      requestBody: { values: [noteRowValues(row)] }
+    });
+    await deleteTabRows(from.sheetId, [row.rowIndex]);
+    removeNoteFromIndex(noteIndexFor(from.sheetId), row.id, row.rowIndex);
+
+    const range = appended.data.updates?.updatedRange;
+    const newRowIndex = range ? parseA1(range).r1 + 1 : null;
+    indexNote(noteIndexFor(target.sheetId), { ...row, rowIndex: newRowIndex, notebook: target.name });
+    emitEvent('notes.moved', { id: row.id, from: from.name, to: target.name, rowIndex: newRowIndex, title: row.title });
+    return { id: row.id, from: from.name, to: target.name, rowIndex: newRowIndex };
+  });
+}
+
+// History + Trash
+// Every update, delete and restore appends a revision to the History tab
+// with the before/after values of title, tag and notes. Deleted notes move
+// to the Trash tab (same columns plus "Deleted At" and "Notebook") and can be
+// restored with their original id and timestamp until purged.
+const HISTORY_SHEET_TITLE = 'History';
+const HISTORY_HEADERS = ['Revision', 'Note ID', 'Changed At', 'Action', 'Fields', 'Before', 'After', 'Notebook'];
+const TRASH_SHEET_TITLE = 'Trash';
+const TRASH_HEADERS = [...NOTE_HEADERS, 'Deleted At', 'Notebook'];
+const NOTE_TRASH_RETENTION_DAYS = Number(process.env.NOTE_TRASH_RETENTION_DAYS) || 30;
+const NOTE_HISTORY_RETENTION_DAYS = Number(process.env.NOTE_HISTORY_RETENTION_DAYS) || 180;
+const REVISION_FIELDS = ['title', 'tag', 'notes'];
+
+function noteRowValues(row) {
+  return [row.title, row.dateTime, row.tag, row.notes, row.id, row.actionItems.join(', ')];
+}
+
+function revisionSnapshot(row) {
+  return row ? Object.fromEntries(REVISION_FIELDS.map(k => [k, row[k] ?? ''])) : null;
+}
+
+// A Sheets cell holds 50,000 characters and JSON escaping can push a maximal
+// note past that, so long notes are cut and the snapshot marked truncated.
+const SHEETS_CELL_LIMIT = 50000;
+
+function revisionCell(snapshot) {
+  if (!snapshot) return '';
+  const json = JSON.stringify(snapshot);
+  if (json.length <= SHEETS_CELL_LIMIT) return json;
+  // Longest prefix of the notes whose escaped snapshot still fits.
+  const cut = (n) => JSON.stringify({ ...snapshot, notes: snapshot.notes.slice(0, n), truncated: true });
+  let lo = 0, hi = snapshot.notes.length;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (cut(mid).length <= SHEETS_CELL_LIMIT) lo = mid; else hi = mid - 1;
+  }
+  return cut(lo);
+}
+
+async function logNoteRevision({ id, notebook, action, before, after }) {
+  const b = revisionSnapshot(before);
+  const a = revisionSnapshot(after);
+  const fields = REVISION_FIELDS.filter(k => b?.[k] !== a?.[k]);
+  if (!fields.length) return null;
+  const revision = newNoteId();
+  // The note write has already landed; a History failure is logged, not returned.
+  try {
+    const sheets = await getSheetsClient();
+    await ensureTab(HISTORY_SHEET_TITLE, HISTORY_HEADERS);
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `${HISTORY_SHEET_TITLE}!A:H`,
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      requestBody: { values: [[revision, id, new Date().toISOString(), action, fields.join(', '), revisionCell(b), revisionCell(a), notebook || '']] }
+    });
+  } catch (e) {
+    console.error(`[history] could not log ${action} of note ${id}:`, e.message);
+    return null;
+  }
+  return revision;
+}
+
+async function readTabRows(title, headers) {
+  const sheets = await getSheetsClient();
+  const { sheetId } = await ensureTab(title, headers);
+  const r = await sheets.spreadsheets.values.get({ spreadsheetId: SPREADSHEET_ID, range: sheetRange(title, 'A2:H') });
+  return { sheetId, rows: (r.data.values || []).map((values, i) => ({ rowIndex: i + 2, values })) };
+}
+
+async function listRevisions() {
+  const parse = (v) => { try { return v ? JSON.parse(v) : null; } catch { return null; } };
+  const { sheetId, rows } = await readTabRows(HISTORY_SHEET_TITLE, HISTORY_HEADERS);
+  return {
+    sheetId,
+    revisions: rows.filter(r => r.values[0]).map(({ rowIndex, values: [revision, noteId, changedAt, action, fields, before, after, notebook] }) => ({
+      rowIndex, revision, noteId, notebook: notebook || '', changedAt, action,
+      fields: (fields || '').split(',').map(x => x.trim()).filter(Boolean),
+      before: parse(before),
+      after: parse(after)
+    }))
+  };
+}
+
+async function listTrash() {
+  const { sheetId, rows } = await readTabRows(TRASH_SHEET_TITLE, TRASH_HEADERS);
+  return {
+    sheetId,
+    trash: rows.filter(r => r.values[4]).map(({ rowIndex, values }) => ({
+      rowIndex,
+      id: values[4],
+      title: values[0] || '',
+      dateTime: values[1] || '',
+      tag: values[2] || '',
+      notes: values[3] || '',
+      actionItems: (values[5] || '').split(',').map(x => x.trim()).filter(Boolean),
+      deletedAt: values[6] || '',
+      notebook: values[7] || ''
+    }))
+  };
+}
+
+// Deletes rows bottom-up so earlier indexes stay valid.
+async function deleteTabRows(sheetId, rowIndexes) {
+  if (!rowIndexes.length) return;
+  const sheets = await getSheetsClient();
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId: SPREADSHEET_ID,
+    requestBody: {
+      requests: [...new Set(rowIndexes)].sort((a, b) => b - a).map(idx => ({
+        deleteDimension: { range: { sheetId, dimension: 'ROWS', startIndex: idx - 1, endIndex: idx } }
+      }))
+    }
+  });
+}
+
+// Brings a note back from the trash, then (optionally) rewinds it to a
+// revision: `state: 'before'` undoes that revision, 'after' re-applies it.
+// A trashed note goes back to the notebook it was deleted from unless
+// `notebook` says otherwise (or that notebook is gone or archived).
+async function restoreNote({ id, revision, state = 'before', notebook }) {
+  const sheets = await getSheetsClient();
+  const { sheetId, trash } = await listTrash();
+  const entry = trash.filter(t => t.id === id).sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))[0];
+  const active = (await listNotebooks()).filter(n => !n.archived);
+  const home = notebook || (entry && active.some(n => n.name === entry.notebook) ? entry.notebook : undefined);
+  const { notebook: nb, rows } = await listAllNotes({ notebook: home, write: true });
+  let restoredFromTrash = false;
+  if (!rows.some(r => r.id === id)) {
+    if (!entry) throw new ApiError(404, 'NOT_FOUND', `Note ${id} is neither in notebook "${nb.name}" nor in the trash`, { field: 'id' });
+
+    const appended = await sheets.spreadsheets.values.append({
+      spreadsheetId: SPREADSHEET_ID,
+      range: sheetRange(nb.name, 'A:F'),
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      requestBody: { values: [noteRowValues(entry)] }
+    });
+    // Trash rows shift too; drop the entry by a fresh read under the Trash lock.
+    await withNoteWriteLock(sheetId, async () => {
+      const fresh = (await listTrash()).trash.find(t => t.id === id && t.deletedAt === entry.deletedAt);
+      if (fresh) await deleteTabRows(sheetId, [fresh.rowIndex]);
+    });
+    const range = appended.data.updates?.updatedRange;
+    indexNote(noteIndexFor(nb.sheetId), { ...entry, notebook: nb.name, rowIndex: range ? parseA1(range).r1 + 1 : null });
+    await logNoteRevision({ id, notebook: nb.name, action: 'restore', before: null, after: entry });
+    restoredFromTrash = true;
+  }
+
+  if (revision) {
+    const { revisions } = await listRevisions();
+    const rev = revisions.find(r => r.revision === revision && r.noteId === id);
+    if (!rev) throw new ApiError(404, 'NOT_FOUND', `Revision ${revision} not found for note ${id}`, { field: 'revision' });
+    const target = state === 'after' ? rev.after : rev.before;
+    if (!target) throw new ApiError(400, 'INVALID_VALUE', `Revision ${revision} has no "${state}" state (action: ${rev.action})`, { field: 'state' });
+    if (target.truncated) throw new ApiError(400, 'INVALID_VALUE', `Revision ${revision} kept only the start of a long note, so its "${state}" state can't be restored`, { field: 'revision' });
+    await updateNote({ id, notebook: nb.name, ...target, historyAction: 'restore' });
+  }
+
+  const { row } = await findNote({ id, notebook: nb.name });
+  emitEvent('notes.restored', { id, notebook: nb.name, rowIndex: row.rowIndex, title: row.title, tag: row.tag, dateTime: row.dateTime, notes: row.notes, restoredFromTrash, revision: revision || null });
+  return { note: row, restoredFromTrash, revision: revision || null };
+}
+
+// Drops trash rows (selected ids, or everything older than the retention)
+// along with their history, plus history rows past their own retention.
+async function purgeTrash(opts) {
+  const { sheetId: trashSheetId } = await ensureTab(TRASH_SHEET_TITLE, TRASH_HEADERS);
+  const { sheetId: historySheetId } = await ensureTab(HISTORY_SHEET_TITLE, HISTORY_HEADERS);
+  // Row indexes are read and deleted under both tabs' locks.
+  return withNoteWriteLock(trashSheetId, () => withNoteWriteLock(historySheetId, () => purgeTrashLocked(opts)));
+}
+
+async function purgeTrashLocked({ ids, olderThanDays = NOTE_TRASH_RETENTION_DAYS, dryRun = false, notebook }) {
+  const now = Date.now();
+  const trashCutoff = new Date(now - olderThanDays * 86400000).toISOString();
+  const historyCutoff = new Date(now - NOTE_HISTORY_RETENTION_DAYS * 86400000).toISOString();
+  const { sheetId: trashSheetId, trash } = await listTrash();
+  const inNotebook = (name) => !notebook || name.toLowerCase() === notebook.trim().toLowerCase();
+  const purged = trash.filter(t => inNotebook(t.notebook) && (ids?.length ? ids.includes(t.id) : t.deletedAt < trashCutoff));
+  const purgedIds = new Set(purged.map(t => t.id));
+
+  const { sheetId: historySheetId, revisions } = await listRevisions();
+  const expired = revisions.filter(r => purgedIds.has(r.noteId) || (inNotebook(r.notebook) && r.changedAt < historyCutoff));
+
+  if (!dryRun) {
+    await deleteTabRows(trashSheetId, purged.map(t => t.rowIndex));
+    await deleteTabRows(historySheetId, expired.map(r => r.rowIndex));
+  }
+  return {
+    dryRun,
+    purged: purged.map(({ id, title, notebook: from, deletedAt }) => ({ id, title, notebook: from, deletedAt })),
+    historyRowsRemoved: expired.length
+  };
+}
+
+// Export / Import
+// Three portable formats: one JSON document, a CSV with the sheet's own
+// columns, or a zip of Markdown files with YAML front-matter (Obsidian
+// reads these as-is). Imports keep each note's original Date & Time and id;
+// notes whose id, or whose time + title + text, already exist in the target
+// notebook are reported as duplicates instead of written.
+const NOTE_EXPORT_FORMATS = ['json', 'csv', 'markdown'];
+const NOTE_EXPORT_KIND = 'nola-notes';
+const CSV_FIELD_NAMES = { title: 'title', datetime: 'dateTime', date: 'dateTime', tag: 'tag', notes: 'notes', id: 'id', actionitems: 'actionItems' };
+
+function csvCell(v) {
+  const str = String(v ?? '');
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += ch;
+  }
+  if (quoted) throw new ApiError(400, 'INVALID_FORMAT', 'CSV has an unterminated quoted field', { field: 'content' });
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows;
+}
+
+// Zip archives (stored or deflated, no zip64): just enough for Markdown exports.
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xFFFFFFFF;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function zipFiles(files, when = new Date()) {
+  const dosTime = (when.getHours() << 11) | (when.getMinutes() << 5) | (when.getSeconds() >> 1);
+  const dosDate = ((when.getFullYear() - 1980) << 9) | ((when.getMonth() + 1) << 5) | when.getDate();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, data } of files) {
+    const nameBuf = Buffer.from(name, 'utf8');
+    const packed = zlib.deflateRawSync(data);
+    const head = Buffer.alloc(30);
+    head.writeUInt32LE(0x04034b50, 0);
+    head.writeUInt16LE(20, 4);
+    head.writeUInt16LE(0x0800, 6); // UTF-8 names
+    head.writeUInt16LE(8, 8);
+    head.writeUInt16LE(dosTime, 10);
+    head.writeUInt16LE(dosDate, 12);
+    head.writeUInt32LE(crc32(data), 14);
+    head.writeUInt32LE(packed.length, 18);
+    head.writeUInt32LE(data.length, 22);
+    head.writeUInt16LE(nameBuf.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    head.copy(central, 6, 4, 30);
+    central.writeUInt32LE(offset, 42);
+    locals.push(head, nameBuf, packed);
+    centrals.push(central, nameBuf);
+    offset += head.length + nameBuf.length + packed.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+// Caps on what one uploaded archive may unpack to.
+const ZIP_MAX_ENTRIES = 2000;
+const ZIP_MAX_UNPACKED_BYTES = 50 * 1024 * 1024;
+
+function unzipFiles(buf) {
+  const bad = (why) => new ApiError(400, 'INVALID_FORMAT', `Not a readable zip archive: ${why}`, { field: 'content' });
+  // Every offset comes from the upload itself, so check it before reading.
+  const need = (offset, length) => {
+    if (!(offset >= 0 && offset + length <= buf.length)) throw bad('truncated or corrupt');
+  };
+  let end = buf.length - 22;
+  while (end >= 0 && buf.readUInt32LE(end) !== 0x06054b50) end--;
+  if (end < 0) throw bad('end of central directory not found');
+  const count = buf.readUInt16LE(end + 10);
+  if (count > ZIP_MAX_ENTRIES) throw bad(`more than ${ZIP_MAX_ENTRIES} entries`);
+  let p = buf.readUInt32LE(end + 16);
+  let unpacked = 0;
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    need(p, 46);
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw bad('corrupt central directory');
+    const method = buf.readUInt16LE(p + 10);
+    const size = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const skip = nameLen + buf.readUInt16LE(p + 30) + buf.readUInt16LE(p + 32);
+    const local = buf.readUInt32LE(p + 42);
+    need(p + 46, nameLen);
+    const name = buf.toString('utf8', p + 46, p + 46 + nameLen);
+    p += 46 + skip;
+    if (name.endsWith('/')) continue;
+    need(local, 30);
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    need(start, size);
+    const raw = buf.subarray(start, start + size);
+    let data;
+    if (method === 0) data = raw;
+    else if (method === 8) {
+      try {
+        data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(1, ZIP_MAX_UNPACKED_BYTES - unpacked) });
+      } catch (e) {
+        throw bad(e.code === 'ERR_BUFFER_TOO_LARGE' ? `unpacks to more than ${ZIP_MAX_UNPACKED_BYTES / 1048576} MB` : `${name}: ${e.message}`);
+      }
+    } else throw bad(`${name} uses unsupported compression method ${method}`);
+    unpacked += data.length;
+    if (unpacked > ZIP_MAX_UNPACKED_BYTES) throw bad(`unpacks to more than ${ZIP_MAX_UNPACKED_BYTES / 1048576} MB`);
+    files.push({ name, data });
+  }
+  return files;
+}
+
+function noteToMarkdown(note) {
+  return [
+    '---',
+    `title: ${JSON.stringify(note.title)}`,
+    `dateTime: ${JSON.stringify(note.dateTime)}`,
+    `tag: ${JSON.stringify(note.tag)}`,
+    `id: ${JSON.stringify(note.id)}`,
+    '---',
+    '',
+    note.notes,
+    ''
+  ].join('\n');
+}
+
+function yamlScalar(v) {
+  const str = v.trim();
+  if (str.startsWith('"')) { try { return JSON.parse(str); } catch { /* fall through */ } }
+  if (/^'.*'$/.test(str)) return str.slice(1, -1).replace(/''/g, "'");
+  return str;
+}
+
+function parseMarkdownNote(text, source) {
+  const m = text.replace(/^\uFEFF/, '').match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)([\s\S]*)$/);
+  const fallbackTitle = path.basename(source || '', '.md');
+  if (!m) return { source, title: fallbackTitle, notes: text.trim() };
+  const meta = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    const kv = line.match(/^([A-Za-z][\w-]*):(.*)$/);
+    if (kv) meta[kv[1].toLowerCase()] = yamlScalar(kv[2]);
+  }
+  return { source, title: meta.title || fallbackTitle, dateTime: meta.datetime, tag: meta.tag, id: meta.id, notes: m[2].replace(/^(\r?\n)+/, '').trimEnd() };
+}
+
+function markdownFileName(note, taken) {
+  const base = `${note.dateTime.replace(':', '')} ${note.title}`.replace(/[\\/:*?"<>|#^[\]]/g, '-').replace(/\s+/g, ' ').trim().slice(0, 100) || note.id;
+  let name = `${base}.md`;
+  for (let n = 2; taken.has(name.toLowerCase()); n++) name = `${base} (${n}).md`;
+  taken.add(name.toLowerCase());
+  return name;
+}
+
+function exportFileName(notebook, ext) {
+  const slug = notebook.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'notebook';
+  return `notes-${slug}-${todayInZone(TZ)}.${ext}`;
+}
+
+// /notes/list and /notes/export share these filters.
+function filterNotes(rows, { tag, fromDate, toDate }) {
+  let filtered = rows;
+  if (tag) filtered = filtered.filter(r => (r.tag || '').toLowerCase() === tag.toLowerCase());
+  if (fromDate) filtered = filtered.filter(r => r.dateTime >= `${fromDate} 00:00`);
+  if (toDate) filtered = filtered.filter(r => r.dateTime <= `${toDate} 23:59`);
+  return filtered;
+}
+
+async function exportNotes({ format = 'json', notebook, limit, ...filters }) {
+  const { notebook: nb, rows } = await listAllNotes({ notebook });
+  const matching = filterNotes(rows, filters);
+  const notes = (limit ? matching.slice(-limit) : matching)
+    .map(({ id, title, dateTime, tag, notes: text, actionItems }) => ({ id, title, dateTime, tag, notes: text, actionItems }));
+
+  if (format === 'csv') {
+    const lines = [NOTE_HEADERS, ...notes.map(n => [n.title, n.dateTime, n.tag, n.notes, n.id, n.actionItems.join(', ')])];
+    return {
+      count: notes.length,
+      filename: exportFileName(nb.name, 'csv'),
+      contentType: 'text/csv; charset=utf-8',
+      body: `\uFEFF${lines.map(l => l.map(csvCell).join(',')).join('\r\n')}\r\n`
+    };
+  }
+  if (format === 'markdown') {
+    const taken = new Set();
+    const files = notes.map(n => ({ name: markdownFileName(n, taken), data: Buffer.from(noteToMarkdown(n), 'utf8') }));
+    return { count: notes.length, filename: exportFileName(nb.name, 'zip'), contentType: 'application/zip', body: zipFiles(files) };
+  }
+  const doc = { kind: NOTE_EXPORT_KIND, version: 1, exportedAt: new Date().toISOString(), notebook: nb.name, filters, count: notes.length, notes };
+  return { count: notes.length, filename: exportFileName(nb.name, 'json'), contentType: 'application/json; charset=utf-8', body: JSON.stringify(doc, null, 2) };
+}
+
+// Turns an upload into note drafts, each tagged with where it came from.
+function parseNoteImport({ format, content, notes }) {
+  if (format === 'json' || (!format && Array.isArray(notes))) {
+    let list = notes;
+    if (!list && typeof content === 'string') {
+      try {
+        const parsed = JSON.parse(content);
+        list = Array.isArray(parsed) ? parsed : parsed.notes;
+      } catch (e) {
+        throw new ApiError(400, 'INVALID_FORMAT', `content is not valid JSON: ${e.message}`, { field: 'content' });
+      }
+    }
+    if (!Array.isArray(list)) throw new ApiError(400, 'INVALID_VALUE', 'JSON imports need a notes array', { field: 'notes' });
+    return list.map((n, i) => ({ source: `notes[${i}]`, ...(n && typeof n === 'object' ? n : { notes: String(n ?? '') }) }));
+  }
+  if (format === 'csv') {
+    const [header = [], ...rows] = parseCsv(String(content ?? ''));
+    const keys = header.map(h => CSV_FIELD_NAMES[h.toLowerCase().replace(/[^a-z]/g, '')]);
+    if (!keys.includes('notes') && !keys.includes('title')) {
+      throw new ApiError(400, 'INVALID_VALUE', 'CSV header needs a Notes or TITLE column', { field: 'content', hint: NOTE_HEADERS.join(',') });
+    }
+    return rows
+      .map((cells, i) => {
+        const draft = { source: `row ${i + 2}` };
+        keys.forEach((k, c) => { if (k) draft[k] = cells[c] ?? ''; });
+        return { draft, blank: !cells.some(c => c.trim()) };
+      })
+      .filter(r => !r.blank)
+      .map(r => r.draft);
+  }
+  // Markdown: a single note, or a (base64) zip of .md files.
+  const buf = Buffer.isBuffer(content) ? content : Buffer.from(String(content ?? ''), 'base64');
+  const isZip = buf.length > 4 && buf.readUInt32LE(0) === 0x04034b50;
+  if (!isZip) return [parseMarkdownNote(Buffer.isBuffer(content) ? content.toString('utf8') : String(content ?? ''), 'note.md')];
+  return unzipFiles(buf)
+    .filter(f => f.name.toLowerCase().endsWith('.md') && !f.name.startsWith('__MACOSX/'))
+    .map(f => parseMarkdownNote(f.data.toString('utf8'), f.name));
+}
+
+// Accepts our own "YYYY-MM-DD HH:mm", a bare date, zone-less ISO (read as
+// TZ wall time) or ISO with an offset. Returns null when empty, undefined when unreadable.
+function importStamp(value) {
+  const str = String(value ?? '').trim();
+  if (!str) return null;
+  const wall = str.match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2})(?::\d{2}(?:\.\d+)?)?)?$/);
+  if (wall) return checkFormat('ymd', wall[1]) ? `${wall[1]} ${wall[2] || '00:00'}` : undefined;
+  const ms = Date.parse(str);
+  if (Number.isNaN(ms)) return undefined;
+  const { date, time } = localDateTimeParts(ms, TZ);
+  return `${date} ${time}`;
+}
+
+async function importNotes(drafts, { notebook, commit = false }) {
+  const sheets = await getSheetsClient();
+  const { notebook: nb, rows } = await listAllNotes({ notebook, write: true });
+  const contentKey = (n) => [n.dateTime, n.title, n.notes].join('\u0000');
+  const byId = new Map(rows.map(r => [r.id, { id: r.id }]));
+  const byContent = new Map(rows.map(r => [contentKey(r), { id: r.id }]));
+
+  // Ids must stay unique across notebooks; a copy of a note that lives elsewhere gets a new one.
+  const elsewhere = new Set();
+  for (const other of (await listNotebooks()).filter(n => n.sheetId !== nb.sheetId)) {
+    for (const r of (await listAllNotes({ notebook: other.name })).rows) elsewhere.add(r.id);
+  }
+
+  const accepted = [];
+  const duplicates = [];
+  const invalid = [];
+  const warnings = [];
+  for (const draft of drafts) {
+    const source = draft.source;
+    const notes = String(draft.notes ?? '');
+    if (!notes.trim() && !String(draft.title ?? '').trim()) { invalid.push({ source, reason: 'note has no title or text' }); continue; }
+    const stamp = importStamp(draft.dateTime);
+    if (stamp === undefined) { invalid.push({ source, reason: `unreadable dateTime "${draft.dateTime}"` }); continue; }
+    if (stamp === null) warnings.push(`${source}: no dateTime; stamped with the import time`);
+
+    const title = String(draft.title ?? '').trim() || generateTitle(notes);
+    const note = {
+      id: String(draft.id ?? '').trim(),
+      title,
+      dateTime: stamp || formatChicagoStamp(),
+      tag: String(draft.tag ?? '').trim() || (await classifyNote({ title, notes })).tag,
+      notes,
+      actionItems: Array.isArray(draft.actionItems) ? draft.actionItems.map(String) : String(draft.actionItems ?? '').split(',').map(x => x.trim()).filter(Boolean)
+    };
+    const sameId = note.id && byId.get(note.id);
+    const sameContent = byContent.get(contentKey(note));
+    const dupe = sameId || sameContent;
+    if (dupe) {
+      duplicates.push({
+        source, id: note.id || null, title: note.title, dateTime: note.dateTime,
+        ...(dupe.pending ? { duplicateOf: dupe.source } : { existingId: dupe.id }),
+        reason: `${dupe.pending ? 'repeats an earlier entry' : 'already in the notebook'} (same ${sameId ? 'id' : 'time, title and text'})`
+      });
+      continue;
+    }
+    const keptId = !!note.id && !elsewhere.has(note.id);
+    if (!keptId) {
+      if (note.id) warnings.push(`${source}: id ${note.id} is used in another notebook; imported under a new id`);
+      note.id = newNoteId();
+    }
+    byId.set(note.id, { id: note.id, pending: true, source });
+    byContent.set(contentKey(note), { id: note.id, pending: true, source });
+    accepted.push({ source, keptId, ...note });
+  }
+
+  if (commit && accepted.length) {
+    const appended = await sheets.spreadsheets.values.append({
+      spreadsheetId: SPREADSHEET_ID,
+      range: sheetRange(nb.name, 'A:F'),
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      requestBody: { values: accepted.map(noteRowValues) }
+    });
+    const range = appended.data.updates?.updatedRange;
+    const first = range ? parseA1(range).r1 + 1 : null;
+    const index = noteIndexFor(nb.sheetId);
+    accepted.forEach((n, i) => {
+      n.rowIndex = first ? first + i : null;
+      indexNote(index, { ...n, notebook: nb.name });
+    });
+    emitEvent('notes.imported', { notebook: nb.name, count: accepted.length, ids: accepted.map(n => n.id) });
+  }
+  return {
+    notebook: nb.name,
+    committed: commit,
+    // New ids are only final once written.
+    imported: accepted.map(({ source, keptId, id, title, dateTime, tag, rowIndex }) => ({
+      source, id: commit || keptId ? id : null, title, dateTime, tag, ...(rowIndex ? { rowIndex } : {})
+    })),
+    duplicates,
+    invalid,
+    warnings
+  };
+}
+
+// Analyze / Suggest
+const STOPWORDS = new Set('a an and are as at be but by for from has have i in is it of on or that the to was were will with you your ya heard me ya mama and them beaucoup this that those these our your their we he she they him her them what which whose whom where when how why not dont can cant will wont its it’s just make makes made like look looking'.split(/\s+/));
+
+function tokenize(s) {
+  return (s || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(w => w && !STOPWORDS.has(w) && w.length > 2);
+}
+function topN(map, n = 15) {
+  return [...map.entries()].sort((a, b) => b[1] - a[1]).slice(0, n)
+    .map(([term, count]) => ({ term, count }));
+}
+function analyzeRows(rows) {
+  const byTag = { 'Hanuman Life': 0, 'Krazy Monkee': 0, 'Dev & Design Education': 0, '': 0 };
+  const byDay = new Map();
+  const vocab = new Map();
+  const recentCut = Date.now() - 7 * 24 * 3600 * 1000;
+  let recent = 0;
+
+  for (const r of rows) {
+    byTag[r.tag || ''] = (byTag[r.tag || ''] || 0) + 1;
+    const day = (r.dateTime || '').split(' ')[0];
+    if (day) byDay.set(day, (byDay.get(day) || 0) + 1);
+
+    tokenize(`${r.title} ${r.notes}`).forEach(t => vocab.set(t, (vocab.get(t) || 0) + 1));
+
+    const t = new Date(r.dateTime.replace(' ', 'T'));
+    if (!isNaN(t) && t.getTime() >= recentCut) recent++;
+  }
+
+  return {
+    totals: { count: rows.length, recent7d: recent },
+    byTag,
+    byDay: [...byDay.entries()].map(([date, count]) => ({ date, count })),
+    topTerms: topN(vocab, 15)
+  };
+}
+function suggestFromAnalysis(analysis) {
+  const { byTag, topTerms } = analysis;
+  const maxTag = Object.entries(byTag).sort((a, b) => (b[1] || 0) - (a[1] || 0))[0]?.[0] || '';
   const focus = maxTag === 'Krazy Monkee' ? 'client work & marketing'
               : maxTag === 'Dev & Design Education' ? 'skills growth & study blocks'
               : 'personal logistics & well-being';
 
-  const headline = `Focus is leaning toward **${maxTag || 'Unassigned'}** — prioritize ${focus}.`;
-  const keywords = topTerms.slice(0, 5).map(t => t.term);
-  const recs = [];
+  const headline = `Focus is leaning toward **${maxTag || 'Unassigned'}** — prioritize ${focus}.`;
+  const keywords = topTerms.slice(0, 5).map(t => t.term);
+  const recs = [];
+
+  if (maxTag === 'Krazy Monkee') {
+    recs.push('Turn top mentions into tasks (“proposal”, “edit”, “invoice”) with Do/Due times.');
+    recs.push('Schedule a 60–90 min deep block for a Strategic Win inside your biggest gap.');
+  } else if (maxTag === 'Dev & Design Education') {
+    recs.push('Create a repeating “study sprint” block (45–60 min) and log outcomes.');
+    recs.push('Convert repeated topics into a mini-curriculum checklist.');
+  } else if (maxTag === 'Hanuman Life') {
+    recs.push('Batch errands and calls into a single afternoon block this week.');
+    recs.push('Add one small daily habit tied to meditation, prayer, or fitness.');
+  } else {
+    recs.push('Tag your notes (Hanuman Life, Krazy Monkee, Dev & Design Education) for sharper insights.');
+  }
+
+  if (keywords.length) {
+    recs.push(`Consider actions around: ${keywords.join(', ')}.`);
+  }
+  return { headline, recommendations: recs };
+}
+
+// Search (BM25 over title + notes)
+// One in-memory inverted index per notebook (keyed by sheetId, which survives
+// renames), each keyed by note id. Our own writes patch it
+// directly; every full read of the sheet (listAllNotes) diffs it, which also
+// picks up edits made in the sheet by hand. Searches re-read the sheet only
+// when the last sync is older than NOTE_INDEX_TTL_MS.
+//   luz "branding proposal" prop* tag:"krazy monkee" after:2026-10-01 before:2026-11-01
+const NOTE_INDEX_TTL_MS = Number(process.env.NOTE_INDEX_TTL_MS) || 60 * 1000;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const TITLE_WEIGHT = 2;
+const SNIPPET_CHARS = 180;
+
+const noteIndexes = new Map(); // sheetId -> index
+
+function noteIndexFor(sheetId) {
+  if (!noteIndexes.has(sheetId)) {
+    noteIndexes.set(sheetId, {
+      docs: new Map(),      // id -> { row, signature, length, tf: Map(term -> weighted count), tokens }
+      postings: new Map(),  // term -> Set(id)
+      totalLength: 0,
+      syncedAt: 0
+    });
+  }
+  return noteIndexes.get(sheetId);
+}
+
+function unindexNote(index, id) {
+  const doc = index.docs.get(id);
+  if (!doc) return;
+  for (const term of doc.tf.keys()) {
+    const ids = index.postings.get(term);
+    ids.delete(id);
+    if (!ids.size) index.postings.delete(term);
+  }
+  index.totalLength -= doc.length;
+  index.docs.delete(id);
+}
+
+function indexNote(index, row) {
+  if (!row.id) return;
+  const signature = [row.title, row.tag, row.dateTime, row.notes].join('\u0000');
+  const existing = index.docs.get(row.id);
+  if (existing?.signature === signature) {
+    existing.row = row;
+    return;
+  }
+  unindexNote(index, row.id);
+  const titleTokens = tokenize(row.title);
+  const noteTokens = tokenize(row.notes);
+  const tf = new Map();
+  for (const t of titleTokens) tf.set(t, (tf.get(t) || 0) + TITLE_WEIGHT);
+  for (const t of noteTokens) tf.set(t, (tf.get(t) || 0) + 1);
+  const length = titleTokens.length * TITLE_WEIGHT + noteTokens.length;
+  for (const term of tf.keys()) {
+    if (!index.postings.has(term)) index.postings.set(term, new Set());
+    index.postings.get(term).add(row.id);
+  }
+  index.docs.set(row.id, { row, signature, length, tf, tokens: { title: titleTokens, notes: noteTokens } });
+  index.totalLength += length;
+}
+
+// Deleting a row shifts every later row up by one.
+function removeNoteFromIndex(index, id, rowIndex) {
+  unindexNote(index, id);
+  for (const doc of index.docs.values()) {
+    if (doc.row.rowIndex > rowIndex) doc.row = { ...doc.row, rowIndex: doc.row.rowIndex - 1 };
+  }
+}
+
+function syncNoteIndex(index, rows) {
+  const seen = new Set();
+  for (const row of rows) {
+    if (!row.id) continue;
+    seen.add(row.id);
+    indexNote(index, row);
+  }
+  for (const id of [...index.docs.keys()]) if (!seen.has(id)) unindexNote(index, id);
+  index.syncedAt = Date.now();
+}
+
+// Splits a query into operators, quoted phrases and (prefix*) terms.
+function parseNoteQuery(q) {
+  const out = { terms: [], prefixes: [], phrases: [], tag: null, before: null, after: null };
+  const re = /(tag|before|after):(?:"([^"]*)"|(\S+))|"([^"]+)"|(\S+)/gi;
+  for (const m of String(q).matchAll(re)) {
+    if (m[1]) {
+      const key = m[1].toLowerCase();
+      const value = (m[2] ?? m[3]).trim();
+      if (key === 'tag') out.tag = value.toLowerCase();
+      else if (!checkFormat('ymd', value)) throw new ApiError(400, 'INVALID_FORMAT', `${key}: must be a date`, { field: 'query', hint: FORMAT_HINTS.ymd });
+      else out[key] = value;
+    } else if (m[4]) {
+      const tokens = tokenize(m[4]);
+      if (tokens.length > 1) out.phrases.push(tokens);
+      out.terms.push(...tokens);
+    } else if (m[5].endsWith('*')) {
+      const stem = m[5].slice(0, -1).toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+      if (stem) out.prefixes.push(stem);
+    } else {
+      out.terms.push(...tokenize(m[5]));
+    }
+  }
+  out.terms = [...new Set(out.terms)];
+  return out;
+}
+
+function hasPhrase(tokens, phrase) {
+  outer: for (let i = 0; i <= tokens.length - phrase.length; i++) {
+    for (let j = 0; j < phrase.length; j++) if (tokens[i + j] !== phrase[j]) continue outer;
+    return true;
+  }
+  return false;
+}
+
+function bm25(index, doc, term, avgLength) {
+  const tf = doc.tf.get(term) || 0;
+  if (!tf) return 0;
+  const df = index.postings.get(term)?.size || 0;
+  const n = index.docs.size;
+  const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+  return idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+}
+
+// Wraps matching words in **bold**; snippets are cut around the first hit.
+function highlight(text, matches) {
+  return text.replace(/[\p{L}\p{N}]+/gu, w => matches(w.toLowerCase()) ? `**${w}**` : w);
+}
+
+function snippetFor(text, matches) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  let first = -1;
+  for (const m of clean.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (matches(m[0].toLowerCase())) { first = m.index; break; }
+  }
+  const start = first > 60 ? clean.lastIndexOf(' ', first - 60) + 1 : 0;
+  let end = Math.min(clean.length, start + SNIPPET_CHARS);
+  if (end < clean.length && clean.lastIndexOf(' ', end) > start) end = clean.lastIndexOf(' ', end);
+  return `${start > 0 ? '…' : ''}${highlight(clean.slice(start, end), matches)}${end < clean.length ? '…' : ''}`;
+}
+
+function searchNotes(index, query, { limit = 10 } = {}) {
+  const q = parseNoteQuery(query);
+  const hasText = q.terms.length > 0 || q.prefixes.length > 0;
+  if (!hasText && !q.tag && !q.before && !q.after) {
+    throw new ApiError(400, 'INVALID_VALUE', 'query has no searchable words', { field: 'query', hint: 'Words of 3+ letters that are not stopwords, "phrases", prefix*, tag:, before:, after:' });
+  }
 
-  if (maxTag === 'Krazy Monkee') {
-    recs.push('Turn top mentions into tasks (“proposal”, “edit”, “invoice”) with Do/Due times.');
-    recs.push('Schedule a 60–90 min deep block for a Strategic Win inside your biggest gap.');
-  } else if (maxTag === 'Dev & Design Education') {
-    recs.push('Create a repeating “study sprint” block (45–60 min) and log outcomes.');
-    recs.push('Convert repeated topics into a mini-curriculum checklist.');
-  } else if (maxTag === 'Hanuman Life') {
-    recs.push('Batch errands and calls into a single afternoon block this week.');
-    recs.push('Add one small daily habit tied to meditation, prayer, or fitness.');
-  } else {
-    recs.push('Tag your notes (Hanuman Life, Krazy Monkee, Dev & Design Education) for sharper insights.');
+  // Every term (and every prefix, via any expansion) must appear.
+  const expansions = q.prefixes.map(p => [...index.postings.keys()].filter(t => t.startsWith(p)));
+  const avgLength = index.docs.size ? index.totalLength / index.docs.size : 1;
+  const results = [];
+  for (const doc of index.docs.values()) {
+    const { row } = doc;
+    if (q.tag && !row.tag.toLowerCase().startsWith(q.tag)) continue;
+    if (q.after && row.dateTime < `${q.after} 00:00`) continue;
+    if (q.before && row.dateTime >= `${q.before} 00:00`) continue;
+    if (!q.terms.every(t => doc.tf.has(t))) continue;
+    if (!expansions.every(terms => terms.some(t => doc.tf.has(t)))) continue;
+    if (!q.phrases.every(p => hasPhrase(doc.tokens.title, p) || hasPhrase(doc.tokens.notes, p))) continue;
+
+    let score = q.terms.reduce((sum, t) => sum + bm25(index, doc, t, avgLength), 0);
+    for (const terms of expansions) score += Math.max(0, ...terms.map(t => bm25(index, doc, t, avgLength)));
+    score += q.phrases.length; // small bonus for satisfied phrases
+    results.push({ doc, score });
   }
 
-  if (keywords.length) {
-    recs.push(`Consider actions around: ${keywords.join(', ')}.`);
+  const exact = new Set(q.terms);
+  const matches = (word) => exact.has(word) || q.prefixes.some(p => word.startsWith(p));
+  const ranked = hasText
+    ? results.sort((a, b) => b.score - a.score)
+    : results.sort((a, b) => b.doc.row.dateTime.localeCompare(a.doc.row.dateTime));
+  return {
+    total: results.length,
+    results: ranked.slice(0, limit).map(({ doc, score }) => ({
+      id: doc.row.id,
+      notebook: doc.row.notebook,
+      rowIndex: doc.row.rowIndex,
+      title: doc.row.title,
+      tag: doc.row.tag,
+      dateTime: doc.row.dateTime,
+      score: Math.round(score * 1000) / 1000,
+      titleHighlighted: hasText ? highlight(doc.row.title, matches) : doc.row.title,
+      snippet: snippetFor(doc.row.notes, hasText ? matches : () => false)
+    }))
+  };
+}
+
+// Promote (note -> Action Base items)
+// Each page links back through NOTE_LINK_PROPERTY (a text property holding
+// the note id, set when the database has it) and a "From note" line above
+// the copied note text; the note's Action Items column lists the pages.
+const NOTE_LINK_PROPERTY = 'Source Note';
+const TAG_ALIGNMENTS = { 'hanuman life': 'HANUMAN LIFE', 'krazy monkee': 'KRAZY MONKEE', 'dev & design education': 'DEV ED' };
+const LIST_MARKER_RE = /^\s*(?:[-*•]\s+)?(?:\[[ xX]?\]\s*)?(?:\d+[.)]\s+)?/;
+const NOTION_TEXT_LIMIT = 2000;
+
+function alignmentForTag(tag, db) {
+  const alignment = TAG_ALIGNMENTS[(tag || '').trim().toLowerCase()];
+  const options = db.schema.Alignment?.options;
+  return alignment && (!options || options.includes(alignment)) ? alignment : null;
+}
+
+function paragraph(richText) {
+  return { object: 'block', type: 'paragraph', paragraph: { rich_text: richText } };
+}
+
+function noteBodyBlocks(note) {
+  const label = `From note "${note.title}" (${note.dateTime}) · note id ${note.id}`;
+  const link = SPREADSHEET_ID && BACKEND === 'live' ? { link: { url: `https://docs.google.com/spreadsheets/d/${SPREADSHEET_ID}` } } : {};
+  const blocks = [paragraph([{ type: 'text', text: { content: label, ...link }, annotations: { italic: true } }])];
+  for (const chunk of note.notes.split(/\n{2,}/).map(x => x.trim()).filter(Boolean)) {
+    for (let i = 0; i < chunk.length; i += NOTION_TEXT_LIMIT) {
+      blocks.push(paragraph([{ type: 'text', text: { content: chunk.slice(i, i + NOTION_TEXT_LIMIT) } }]));
+    }
   }
-  return { headline, recommendations: recs };
+  return blocks.slice(0, 100); // Notion accepts at most 100 children per request
+}
+
+// One draft per selected line (read like quick add), or one for the whole note.
+function promotionDrafts(note, lines, db, zone) {
+  if (!lines?.length) return [{ line: null, fields: { name: note.title || generateTitle(note.notes) } }];
+  const textLines = note.notes.split(/\r?\n/);
+  return lines.map(n => {
+    if (n > textLines.length) throw new ApiError(400, 'OUT_OF_RANGE', `lines: note has ${textLines.length} line(s)`, { field: 'lines' });
+    const text = textLines[n - 1].replace(LIST_MARKER_RE, '').trim();
+    if (!text) throw new ApiError(400, 'INVALID_VALUE', `lines: line ${n} is empty`, { field: 'lines' });
+    const { parsed } = parseQuickAdd(text, { schema: db.schema, zone });
+    const fields = Object.fromEntries(Object.entries(parsed).filter(([, v]) => v != null));
+    return { line: n, fields: { ...fields, name: parsed.name || text } };
+  });
 }
 
 // -------------------- NOTES Endpoints --------------------
-app.post('/notes/trigger', (req, res) => {
+app.post('/notes/trigger', requireScope('notes:read'), (req, res) => {
   res.json({ ok: true, message: 'Ready to Take some notes' });
 });
 
-app.post('/notes/create', async (req, res) => {
+app.post('/notes/create', requireScope('notes:write'), validateBody({
+  properties: {
+    title: { type: 'string', max: 200 },
+    tag: { type: 'string' },
+    notes: { type: 'string', required: true, max: 50000, validate: v => v.trim() ? null : 'must not be blank' },
+    notebook: NOTEBOOK
+  }
+}), async (req, res) => {
   try {
-    const { title, tag, notes } = req.body || {};
-    if (!notes || typeof notes !== 'string' || !notes.trim()) {
-      return res.status(400).json({ error: 'notes is required' });
-    }
-    const created = await createNote({ title, tag, notes });
+    const { title, tag, notes, notebook } = req.body || {};
+    const created = await createNote({ title, tag, notes, notebook });
     res.json({ ok: true, ...created, message: 'Note saved.' });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/notes/list', requireScope('notes:read'), validateBody({
+  properties: {
+    ...NOTE_FILTERS,
+    limit: { type: 'integer', min: 1, max: 500 }
+  }
+}), async (req, res) => {
+  try {
+    const { tag, fromDate, toDate, limit = 50, notebook } = req.body || {};
+    const { notebook: nb, rows } = await listAllNotes({ notebook });
+    const filtered = filterNotes(rows, { tag, fromDate, toDate });
+    res.json({ ok: true, notebook: nb.name, count: filtered.length, rows: filtered.slice(-limit) });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/notes/export', requireScope('notes:read'), validateBody({
+  properties: {
+    format: { type: 'string', enum: NOTE_EXPORT_FORMATS, description: 'json (default) document, csv file, or markdown zip' },
+    ...NOTE_FILTERS,
+    limit: { type: 'integer', min: 1, max: 100000, description: 'Most recent N matching notes (default: all)' }
+  }
+}), async (req, res) => {
+  try {
+    const { format, tag, fromDate, toDate, limit, notebook } = req.body || {};
+    const out = await exportNotes({ format, notebook, limit, tag, fromDate, toDate });
+    res.set('Content-Type', out.contentType);
+    res.set('Content-Disposition', `attachment; filename="${out.filename}"`);
+    res.set('X-Note-Count', String(out.count));
+    res.send(out.body);
+  } catch (e) { sendError(res, e); }
 });
 
-app.post('/notes/list', async (req, res) => {
+// JSON bodies carry { notes } or { format, content } (zips base64-encoded);
+// raw CSV, Markdown or zip uploads take notebook/commit from the query string.
+app.post('/notes/import', requireScope('notes:write'),
+  express.text({ type: ['text/csv', 'text/markdown', 'text/plain'], limit: '10mb' }),
+  express.raw({ type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'], limit: '20mb' }),
+  validateBody({
+    properties: {
+      format: { type: 'string', enum: NOTE_EXPORT_FORMATS },
+      content: { type: 'string', description: 'CSV text, one Markdown note, or a base64 zip of Markdown files' },
+      notes: { type: 'array', max: 10000, items: { type: 'object' }, description: 'Notes from a JSON export' },
+      commit: { type: 'boolean', description: 'false (default) previews what would be imported' },
+      notebook: NOTEBOOK
+    },
+    requireOne: [['notes', 'content']]
+  }), async (req, res) => {
+    try {
+      const isRaw = typeof req.body === 'string' || Buffer.isBuffer(req.body);
+      const opts = isRaw ? { ...req.query, content: req.body } : (req.body || {});
+      const format = opts.format || (Buffer.isBuffer(opts.content) ? 'markdown' : req.is('text/csv') ? 'csv' : isRaw ? 'markdown' : undefined);
+      if (!format && !Array.isArray(opts.notes)) {
+        return res.status(400).json({ error: 'format is required with content', code: 'REQUIRED', field: 'format' });
+      }
+      if (format && !NOTE_EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${NOTE_EXPORT_FORMATS.join(', ')}`, code: 'INVALID_ENUM', field: 'format' });
+      }
+      const drafts = parseNoteImport({ format, content: opts.content, notes: opts.notes });
+      const commit = opts.commit === true || opts.commit === 'true';
+      const result = await importNotes(drafts, { notebook: opts.notebook, commit });
+      res.json({
+        ok: true,
+        ...result,
+        message: commit
+          ? `Imported ${result.imported.length} note(s); ${result.duplicates.length} duplicate(s) skipped.`
+          : `Preview: ${result.imported.length} note(s) would be imported. Send commit: true to write them.`
+      });
+    } catch (e) { sendError(res, e); }
+  });
+
+app.post('/notes/search', requireScope('notes:read'), validateBody({
+  properties: {
+    query: { type: 'string', required: true, max: 500 },
+    limit: { type: 'integer', min: 1, max: 50 },
+    notebook: NOTEBOOK
+  }
+}), async (req, res) => {
   try {
-    const { tag, fromDate, toDate, limit = 50 } = req.body || {};
-    const { rows } = await listAllNotes();
-    let filtered = rows;
-    if (tag) filtered = filtered.filter(r => (r.tag || '').toLowerCase() === tag.toLowerCase());
-    if (fromDate) filtered = filtered.filter(r => r.dateTime >= `${fromDate} 00:00`);
-    if (toDate) filtered = filtered.filter(r => r.dateTime <= `${toDate} 23:59`);
-    res.json({ ok: true, count: filtered.length, rows: filtered.slice(-limit) });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+    const { query, limit = 10, notebook } = req.body || {};
+    const nb = await resolveNotebook(notebook);
+    const index = noteIndexFor(nb.sheetId);
+    if (Date.now() - index.syncedAt > NOTE_INDEX_TTL_MS) await listAllNotes({ notebook: nb.name });
+    const { total, results } = searchNotes(index, query, { limit });
+    res.json({ ok: true, notebook: nb.name, query, total, count: results.length, results });
+  } catch (e) { sendError(res, e); }
 });
 
-app.post('/notes/read', async (req, res) => {
+app.post('/notes/read', requireScope('notes:read'), validateBody({
+  properties: NOTE_REF,
+  requireOne: [['id', 'rowIndex']]
+}), async (req, res) => {
   try {
-    const { rowIndex } = req.body || {};
-    if (!rowIndex) return res.status(400).json({ error: 'rowIndex is required' });
-    const row = await readNote({ rowIndex });
-    if (!row) return res.status(404).json({ error: 'Note not found' });
+    const { id, rowIndex, notebook } = req.body || {};
+    const row = await readNote({ id, rowIndex, notebook });
+    if (!row) return res.status(404).json({ error: 'Note not found', code: 'NOT_FOUND' });
     res.json({ ok: true, note: row });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
-app.post('/notes/update', async (req, res) => {
+app.post('/notes/update', requireScope('notes:write'), validateBody({
+  properties: {
+    ...NOTE_REF,
+    title: { type: 'string', max: 200 },
+    tag: { type: 'string' },
+    notes: { type: 'string', max: 50000 },
+    deleteFields: { type: 'array', items: { type: 'string', enum: ['TITLE', 'TAG', 'NOTES'], caseInsensitive: true } }
+  },
+  requireOne: [['id', 'rowIndex']]
+}), async (req, res) => {
   try {
-    const { rowIndex, title, tag, notes, deleteFields } = req.body || {};
-    if (!rowIndex) return res.status(400).json({ error: 'rowIndex is required' });
-    const updated = await updateNote({ rowIndex, title, tag, notes, deleteFields });
+    const { id, rowIndex, notebook, title, tag, notes, deleteFields } = req.body || {};
+    const updated = await updateNote({ id, rowIndex, notebook, title, tag, notes, deleteFields });
     res.json({ ok: true, ...updated, message: 'Note updated.' });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
-app.post('/notes/delete', async (req, res) => {
+app.post('/notes/delete', requireScope('notes:write'), validateBody({
+  properties: NOTE_REF,
+  requireOne: [['id', 'rowIndex']]
+}), async (req, res) => {
   try {
-    const { rowIndex } = req.body || {};
-    if (!rowIndex) return res.status(400).json({ error: 'rowIndex is required' });
-    const r = await deleteNote({ rowIndex });
+    const { id, rowIndex, notebook } = req.body || {};
+    const r = await deleteNote({ id, rowIndex, notebook });
     res.json(r);
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/notes/move', requireScope('notes:write'), validateBody({
+  properties: {
+    ...NOTE_REF,
+    to: { ...NOTEBOOK, required: true, description: 'Destination notebook' }
+  },
+  requireOne: [['id', 'rowIndex']]
+}), async (req, res) => {
+  try {
+    const { id, rowIndex, notebook, to } = req.body || {};
+    const moved = await moveNote({ id, rowIndex, notebook, to });
+    res.json({ ok: true, ...moved, message: `Note moved to ${moved.to}.` });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/notes/notebooks/list', requireScope('notes:read'), validateBody({
+  properties: {
+    includeArchived: { type: 'boolean' }
+  }
+}), async (req, res) => {
+  try {
+    const { includeArchived } = req.body || {};
+    const notebooks = (await listNotebooks()).filter(n => includeArchived || !n.archived);
+    res.json({ ok: true, count: notebooks.length, notebooks });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/notes/notebooks/create', requireScope('notes:write'), validateBody({
+  properties: {
+    name: { ...NOTEBOOK_NAME, required: true }
+  }
+}), async (req, res) => {
+  try {
+    const notebook = await createNotebook(req.body.name);
+    res.json({ ok: true, notebook, message: `Notebook "${notebook.name}" created.` });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/notes/notebooks/rename', requireScope('notes:write'), validateBody({
+  properties: {
+    notebook: { ...NOTEBOOK, required: true, description: 'Current notebook name' },
+    name: { ...NOTEBOOK_NAME, required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { notebook, name } = req.body || {};
+    const renamed = await renameNotebook(notebook, name);
+    res.json({ ok: true, notebook: renamed, message: `Notebook renamed to "${renamed.name}".` });
+  } catch (e) { sendError(res, e); }
 });
 
-app.post('/notes/analyze', async (req, res) => {
+app.post('/notes/notebooks/archive', requireScope('notes:write'), validateBody({
+  properties: {
+    notebook: { ...NOTEBOOK, required: true },
+    archived: { type: 'boolean', description: 'false unarchives (default true)' }
+  }
+}), async (req, res) => {
+  try {
+    const { notebook, archived = true } = req.body || {};
+    const result = await archiveNotebook(notebook, archived);
+    res.json({ ok: true, notebook: result, message: `Notebook "${result.name}" ${archived ? 'archived' : 'unarchived'}.` });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/notes/promote', requireScope('notes:write'), requireScope('actionBase:write'), validateBody({
+  properties: {
+    ...NOTE_REF,
+    lines: { type: 'array', min: 1, max: 25, items: { type: 'integer', min: 1 }, description: '1-based line numbers; each becomes its own item' },
+    name: { type: 'string', max: 2000, description: 'Item name when promoting the whole note (defaults to the note title)' },
+    ...ACTION_BASE_FIELDS
+  },
+  requireOne: [['id', 'rowIndex']]
+}), async (req, res) => {
+  try {
+    const { id, rowIndex, notebook, lines, timeZone, ...overrides } = req.body || {};
+    const zone = requestZone(req);
+    const db = await findDatabaseByName('Action Base');
+    if (!db) return res.status(404).json({ error: 'Database "Action Base" not found or not shared.', code: 'NOT_FOUND' });
+
+    const { row: note } = await findNote({ id, rowIndex, notebook });
+    const drafts = promotionDrafts(note, lines, db, zone);
+    if (lines?.length) delete overrides.name;
+    const linkProps = db.schema[NOTE_LINK_PROPERTY]?.type === 'rich_text'
+      ? { [NOTE_LINK_PROPERTY]: { rich_text: [{ text: { content: note.id } }] } }
+      : {};
+    const children = noteBodyBlocks(note);
+
+    const created = [];
+    const failed = [];
+    for (const { line, fields } of drafts) {
+      const payload = { status: 'Not started', alignment: alignmentForTag(note.tag, db), ...fields, ...overrides };
+      try {
+        const page = await createActionItem(db, payload, zone, { properties: linkProps, children });
+        created.push({ pageId: page.id, name: payload.name, ...(line ? { line } : {}) });
+      } catch (e) {
+        console.error(e);
+        failed.push({ name: payload.name, ...(line ? { line } : {}), ...errorResponse(e).body });
+      }
+    }
+
+    const actionItems = created.length ? await linkNoteActionItems(note.id, created.map(c => c.pageId), note.notebook) : note.actionItems;
+    res.json({ ok: failed.length === 0, noteId: note.id, notebook: note.notebook, created, failed, actionItems });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/notes/classify', requireScope('notes:read'), validateBody({
+  properties: {
+    ...NOTE_REF,
+    title: { type: 'string', max: 200 },
+    notes: { type: 'string', max: 50000 },
+    refresh: { type: 'boolean', description: 'Re-read the Tags tab before classifying' }
+  },
+  requireOne: [['id', 'rowIndex', 'notes']]
+}), async (req, res) => {
+  try {
+    const { id, rowIndex, notebook, title, notes, refresh } = req.body || {};
+    const note = id || rowIndex ? await readNote({ id, rowIndex, notebook }) : { title, notes };
+    const { rules, skipped } = await loadTagRules({ refresh: !!refresh });
+    const result = scoreNote(note, rules);
+    res.json({ ok: true, ...(note.id ? { id: note.id, currentTag: note.tag } : {}), ...result, rules: { count: rules.length, skipped } });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/notes/history', requireScope('notes:read'), validateBody({
+  properties: {
+    id: { type: 'string', description: 'Note id; omit for recent changes across all notes' },
+    limit: { type: 'integer', min: 1, max: 200 },
+    notebook: { ...NOTEBOOK, description: 'Only changes made in this notebook (default: all notebooks)' }
+  }
+}), async (req, res) => {
+  try {
+    const { id, limit = 20, notebook } = req.body || {};
+    const { revisions } = await listRevisions();
+    const inNotebook = (name) => !notebook || name.toLowerCase() === notebook.trim().toLowerCase();
+    const matching = revisions.filter(r => (!id || r.noteId === id) && inNotebook(r.notebook)).reverse();
+    const inTrash = id ? (await listTrash()).trash.some(t => t.id === id) : undefined;
+    res.json({
+      ok: true,
+      ...(id ? { id, inTrash } : {}),
+      count: Math.min(limit, matching.length),
+      total: matching.length,
+      revisions: matching.slice(0, limit).map(({ rowIndex, ...r }) => r)
+    });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/notes/restore', requireScope('notes:write'), validateBody({
+  properties: {
+    id: { type: 'string', required: true },
+    revision: { type: 'string' },
+    state: { type: 'string', enum: ['before', 'after'], description: 'before (default) undoes the revision; after re-applies it' },
+    notebook: { ...NOTEBOOK, description: 'Notebook holding the note; a trashed note defaults to the one it was deleted from' }
+  }
+}), async (req, res) => {
   try {
-    const { rows } = await listAllNotes();
+    const { id, revision, state, notebook } = req.body || {};
+    const restored = await restoreNote({ id, revision, state, notebook });
+    res.json({ ok: true, ...restored, message: 'Note restored.' });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/notes/trash/purge', requireScope('notes:write'), validateBody({
+  properties: {
+    ids: { type: 'array', items: { type: 'string' }, max: 500 },
+    olderThanDays: { type: 'integer', min: 0, max: 3650 },
+    dryRun: { type: 'boolean' },
+    notebook: { ...NOTEBOOK, description: 'Only purge notes deleted from this notebook (default: all notebooks)' }
+  }
+}), async (req, res) => {
+  try {
+    const { ids, olderThanDays, dryRun, notebook } = req.body || {};
+    const result = await purgeTrash({ ids, olderThanDays, dryRun: !!dryRun, notebook });
+    res.json({ ok: true, ...result });
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/notes/analyze', requireScope('notes:read'), validateBody({
+  properties: { notebook: NOTEBOOK }
+}), async (req, res) => {
+  try {
+    const { rows } = await listAllNotes({ notebook: req.body?.notebook });
     const analysis = analyzeRows(rows);
     res.json({ ok: true, analysis });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
-app.post('/notes/suggest', async (req, res) => {
+app.post('/notes/suggest', requireScope('notes:read'), validateBody({
+  properties: { notebook: NOTEBOOK }
+}), async (req, res) => {
   try {
-    const { rows } = await listAllNotes();
+    const { rows } = await listAllNotes({ notebook: req.body?.notebook });
     const analysis = analyzeRows(rows);
     const ideas = suggestFromAnalysis(analysis);
     res.json({ ok: true, analysisSummary: analysis.totals, suggestion: ideas });
-  } catch (e) { console.error(e); res.status(500).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
+});
+
+// ==========================================================================
+// ===============   OPENAPI — GENERATED SCHEMA FOR GPT ACTIONS   ============
+// ==========================================================================
+// The spec is read off the router, so it can't drift: paths and methods come
+// from the registered routes, request bodies from each route's validateBody
+// schema, scopes from requireScope, and select/status enums from the live
+// Notion schema. OPENAPI_OPERATIONS only adds what the router can't know —
+// operationId, summary, tag, response shape and an example.
+//   GET /openapi.json | /openapi.yaml   ?operations=createItem,listNotes  ?tags=notes
+const OPENAPI_MAX_OPERATIONS = 30;   // GPT Actions: operations per action
+const OPENAPI_MAX_SUMMARY = 300;     // GPT Actions: operation summary/description length
+const OPENAPI_MAX_FIELD_DESCRIPTION = 700;
+const OPENAPI_SERVER_URL = process.env.PUBLIC_BASE_URL || '';
+// Default export when no subset is requested: OPENAPI_OPERATIONS (comma-separated
+// operationIds), else the everyday planning + notes set below. Both must fit
+// OPENAPI_MAX_OPERATIONS; everything else is reachable with ?tags= or ?operations=.
+const OPENAPI_DEFAULT_OPERATIONS = (process.env.OPENAPI_OPERATIONS || '').split(',').map(x => x.trim()).filter(Boolean);
+const OPENAPI_CURATED_OPERATIONS = [
+  'createActionItem', 'updateActionItem', 'getActionItem', 'listActionItems', 'quickAddActionItem',
+  'appendToActionItem', 'batchActionItems', 'deleteActionItem',
+  'analyzeToday', 'analyzeNext7Days', 'analyzePeriod', 'weeklyReview', 'planDay',
+  'listReminders', 'snoozeReminder',
+  'createNote', 'listNotes', 'searchNotes', 'readNote', 'updateNote', 'deleteNote', 'moveNote',
+  'listNotebooks', 'createNotebook', 'promoteNote', 'noteHistory', 'restoreNote', 'analyzeNotes', 'suggestFromNotes'
+];
+const APP_VERSION = JSON.parse(fs.readFileSync(path.join(APP_DIR, 'package.json'), 'utf8')).version;
+
+// Response specs use the validateBody field-spec shape.
+const oaObject = (properties) => ({ type: 'object', properties });
+const oaArray = (items) => ({ type: 'array', items });
+const OA_STRING = { type: 'string' };
+const OA_INT = { type: 'integer' };
+const OA_BOOL = { type: 'boolean' };
+const OA_ANY_OBJECT = { type: 'object' };
+const OA_PAGE_WRITE = oaObject({ ok: OA_BOOL, pageId: OA_STRING });
+const OA_APPENDED = oaObject({ ok: OA_BOOL, pageId: OA_STRING, appendedBlocks: OA_INT });
+const OA_COACH_SECTIONS = oaObject({
+  highPriority: oaArray(OA_STRING),
+  strategicWins: oaArray(OA_STRING),
+  riskWatch: oaArray(OA_STRING),
+  alignmentCheck: oaArray(oaObject({ alignment: OA_STRING, count: OA_INT }))
 });
+const OA_NOTE = oaObject({ id: OA_STRING, notebook: OA_STRING, rowIndex: OA_INT, title: OA_STRING, dateTime: OA_STRING, tag: OA_STRING, notes: OA_STRING, actionItems: oaArray(OA_STRING) });
+const OA_WEBHOOK = oaObject({
+  id: OA_STRING, url: OA_STRING, events: oaArray(OA_STRING), description: OA_STRING, createdAt: OA_STRING,
+  secretHint: OA_STRING, secret: OA_STRING, lastDelivery: OA_ANY_OBJECT
+});
+const OA_REMINDER = oaObject({
+  id: OA_STRING, pageId: OA_STRING, name: OA_STRING, kind: { type: 'string', enum: ['do', 'due'] }, allDay: OA_BOOL, target: OA_STRING,
+  leadMinutes: OA_INT, remindAt: OA_STRING, when: OA_STRING, status: { type: 'string', enum: REMINDER_STATUSES }, url: OA_STRING, detail: OA_STRING
+});
+const OA_NOTEBOOK = oaObject({ name: OA_STRING, sheetId: OA_INT, archived: OA_BOOL, isDefault: OA_BOOL });
+const OA_NOTE_WRITE = oaObject({ ok: OA_BOOL, id: OA_STRING, notebook: OA_STRING, rowIndex: OA_INT, title: OA_STRING, tag: OA_STRING, dateTime: OA_STRING, message: OA_STRING });
+
+const OPENAPI_OPERATIONS = {
+  'GET /health': { operationId: 'health', summary: 'Server health, backend mode and current time zone offset.', response: OA_ANY_OBJECT },
+  'POST /nolaAddPage': {
+    operationId: 'addPageToDatabase',
+    tag: 'databases',
+    summary: 'Add a page to any shared Notion database by database name.',
+    response: oaObject({ ok: OA_BOOL, databaseId: OA_STRING, pageId: OA_STRING }),
+    example: { databaseName: 'Reading List', pageTitle: 'Deep Work', status: 'Not started' }
+  },
+  'POST /nolaListPages': {
+    operationId: 'listDatabasePages',
+    tag: 'databases',
+    summary: 'List pages (id, title, status) of a shared Notion database. Pass nextCursor back as cursor for more.',
+    response: oaObject({ ok: OA_BOOL, count: OA_INT, pages: oaArray(oaObject({ id: OA_STRING, title: OA_STRING, status: OA_STRING })), nextCursor: OA_STRING }),
+    example: { databaseName: 'Reading List', pageSize: 25 }
+  },
+  'POST /actionBase/createItem': {
+    operationId: 'createActionItem',
+    summary: 'Create an Action Base item (task, call, event or errand) with optional Do/Due dates and recurrence.',
+    response: OA_PAGE_WRITE,
+    example: { name: 'Send Dave the invoice', type: 'Task', status: 'Not started', priorityLevel: 'HIGH', alignment: 'KRAZY MONKEE', doDate: { date: '2026-10-24', time: '15:30' } }
+  },
+  'POST /actionBase/updateItem': {
+    operationId: 'updateActionItem',
+    summary: 'Update fields of an Action Base item by pageId or exact title. Marking a recurring item Done creates its next occurrence.',
+    response: oaObject({ ok: OA_BOOL, pageId: OA_STRING, nextOccurrence: OA_ANY_OBJECT }),
+    example: { pageTitle: 'Send Dave the invoice', status: 'Done' }
+  },
+  'POST /actionBase/clearProperties': {
+    operationId: 'clearActionItemProperties',
+    summary: 'Clear properties (e.g. Do Date, Due Date, Priority Level) on an Action Base item.',
+    response: OA_PAGE_WRITE,
+    example: { pageTitle: 'Send Dave the invoice', properties: ['Due Date'] }
+  },
+  'POST /actionBase/deleteItem': {
+    operationId: 'deleteActionItem',
+    summary: 'Archive an Action Base item.',
+    response: oaObject({ ok: OA_BOOL, pageId: OA_STRING, archived: OA_BOOL })
+  },
+  'POST /actionBase/batch': {
+    operationId: 'batchActionItems',
+    summary: 'Run up to 50 create/update/clear/archive operations in one call, with a result per operation. atomic=true undoes applied operations if one fails.',
+    response: oaObject({
+      ok: OA_BOOL,
+      atomic: OA_BOOL,
+      summary: oaObject({ total: OA_INT, ok: OA_INT, failed: OA_INT, invalid: OA_INT, skipped: OA_INT, rolledBack: OA_INT }),
+      results: oaArray(oaObject({
+        index: OA_INT,
+        op: OA_STRING,
+        status: { type: 'string', enum: ['ok', 'failed', 'invalid', 'skipped', 'rolledBack'] },
+        pageId: OA_STRING,
+        error: OA_STRING,
+        code: OA_STRING
+      }))
+    }),
+    example: {
+      atomic: true,
+      operations: [
+        { op: 'create', name: 'Draft proposal', type: 'Task', doDate: { date: '2026-10-26', time: '09:00' } },
+        { op: 'update', pageTitle: 'Send Dave the invoice', status: 'Done' },
+        { op: 'clear', pageTitle: 'Gym', properties: ['Due Date'] },
+        { op: 'archive', pageTitle: 'Old errand' }
+      ]
+    }
+  },
+  'POST /actionBase/pageAppend': {
+    operationId: 'appendToActionItem',
+    summary: 'Append a paragraph of text to the body of an Action Base item.',
+    response: OA_APPENDED,
+    example: { pageTitle: 'Send Dave the invoice', text: 'Net 15, PDF attached.' }
+  },
+  'POST /actionBase/addDateMention': {
+    operationId: 'addDateMention',
+    summary: 'Append a Do/Due date mention to the body of an Action Base item.',
+    response: OA_APPENDED,
+    example: { pageTitle: 'Send Dave the invoice', which: 'due', date: '2026-10-31' }
+  },
+  'POST /actionBase/recurrence/preview': {
+    operationId: 'previewRecurrence',
+    summary: 'Preview the next dates of an item\'s recurrence, or of a rule that has not been saved yet.',
+    response: oaObject({ ok: OA_BOOL, pageId: OA_STRING, recurrence: OA_STRING, paused: OA_BOOL, from: OA_STRING, occurrences: oaArray(OA_STRING) }),
+    example: { recurrence: 'FREQ=WEEKLY;BYDAY=MO,WE,FR', startDate: '2026-10-19', count: 5 }
+  },
+  'POST /actionBase/recurrence/pause': {
+    operationId: 'pauseRecurrence',
+    summary: 'Pause (or resume with paused=false) a recurring Action Base item.',
+    response: oaObject({ ok: OA_BOOL, pageId: OA_STRING, recurrence: OA_STRING, paused: OA_BOOL })
+  },
+  'POST /actionBase/recurrence/end': {
+    operationId: 'endRecurrence',
+    summary: 'Stop an Action Base item from recurring.',
+    response: oaObject({ ok: OA_BOOL, pageId: OA_STRING, ended: OA_BOOL })
+  },
+  'GET /actionBase/calendar.ics': { operationId: 'calendarFeed', hidden: true },
+  'POST /actionBase/importIcs': {
+    operationId: 'importCalendar',
+    summary: 'Import iCalendar (.ics) events as Action Base items. Dry run by default; commit=true creates them.',
+    response: oaObject({
+      ok: OA_BOOL,
+      dryRun: OA_BOOL,
+      window: oaObject({ start: OA_STRING, end: OA_STRING }),
+      summary: oaObject({ events: OA_INT, toCreate: OA_INT, skipped: OA_INT, created: OA_INT, failed: OA_INT }),
+      create: oaArray(OA_ANY_OBJECT),
+      skipped: oaArray(OA_ANY_OBJECT),
+      created: oaArray(OA_ANY_OBJECT),
+      failed: oaArray(OA_ANY_OBJECT),
+      warnings: oaArray(OA_STRING)
+    })
+  },
+  'POST /actionBase/quickAdd': {
+    operationId: 'quickAddActionItem',
+    summary: 'Create an Action Base item from one sentence, e.g. "call Dave tomorrow at 3 high priority". confirm=false only parses.',
+    response: oaObject({ ok: OA_BOOL, confirmed: OA_BOOL, pageId: OA_STRING, parsed: OA_ANY_OBJECT, matched: OA_ANY_OBJECT }),
+    example: { text: 'call Dave tomorrow at 3 high priority for Krazy Monkee', confirm: false }
+  },
+  'POST /analysis/today': {
+    operationId: 'analyzeToday',
+    summary: 'Today\'s focus: overdue and scheduled items, open gaps and a quick tally.',
+    response: oaObject({
+      ok: OA_BOOL,
+      header: OA_STRING,
+      overdue: oaArray(OA_STRING),
+      scheduled: oaArray(OA_STRING),
+      gaps: oaArray(oaObject({ window: OA_STRING, suggestions: oaArray(OA_STRING) })),
+      quickTally: OA_ANY_OBJECT,
+      coachNudge: OA_STRING
+    })
+  },
+  'POST /analysis/7day': {
+    operationId: 'analyzeNext7Days',
+    summary: 'Coach view of the next 7 days: high priority, strategic wins, risks and alignment mix.',
+    response: oaObject({ ok: OA_BOOL, sections: OA_COACH_SECTIONS, wrapUp: OA_STRING })
+  },
+  'POST /analysis/period': {
+    operationId: 'analyzePeriod',
+    summary: 'Coach view of Action Base items between two dates (inclusive).',
+    response: oaObject({ ok: OA_BOOL, sections: OA_COACH_SECTIONS }),
+    example: { startDate: '2026-10-01', endDate: '2026-10-31' }
+  },
+  'POST /analysis/weeklyReview': {
+    operationId: 'weeklyReview',
+    summary: 'Review of the past 7 days: completed vs slipped, overdue carry-over, Alignment balance, notes by tag, next-week commitments, as data and Markdown. publish=true also saves it as a Notion page.',
+    response: oaObject({
+      ok: OA_BOOL,
+      week: oaObject({ start: OA_STRING, end: OA_STRING }),
+      nextWeek: oaObject({ start: OA_STRING, end: OA_STRING }),
+      summary: oaObject({ planned: OA_INT, completed: OA_INT, slipped: OA_INT, completionRate: OA_INT, carryOver: OA_INT, notes: OA_INT, commitments: OA_INT }),
+      completed: oaArray(OA_ANY_OBJECT),
+      slipped: oaArray(OA_ANY_OBJECT),
+      carryOver: oaArray(OA_ANY_OBJECT),
+      alignment: oaArray(oaObject({ alignment: OA_STRING, planned: OA_INT, done: OA_INT, share: OA_INT })),
+      notes: OA_ANY_OBJECT,
+      commitments: oaArray(OA_ANY_OBJECT),
+      markdown: OA_STRING,
+      published: oaObject({ pageId: OA_STRING, url: OA_STRING, database: OA_STRING, blocks: OA_INT })
+    }),
+    example: { publish: true }
+  },
+  'POST /plan/day': {
+    operationId: 'planDay',
+    summary: 'Time-block a day: fixed Events and timed items stay put, open items (by priority, then due date) fill the gaps between working hours and breaks using their Duration estimates. apply=true writes each planned slot to the item\'s Do Date.',
+    response: oaObject({
+      ok: OA_BOOL,
+      date: OA_STRING,
+      workHours: oaObject({ start: OA_STRING, end: OA_STRING }),
+      summary: oaObject({ workMinutes: OA_INT, fixedMinutes: OA_INT, plannedMinutes: OA_INT, freeMinutes: OA_INT, planned: OA_INT, unplaced: OA_INT }),
+      timeline: oaArray(oaObject({
+        kind: { type: 'string', enum: ['event', 'scheduled', 'break', 'planned', 'free'] },
+        start: OA_STRING,
+        end: OA_STRING,
+        window: OA_STRING,
+        minutes: OA_INT,
+        pageId: OA_STRING,
+        name: OA_STRING,
+        priority: OA_STRING,
+        durationMinutes: OA_INT,
+        durationSource: OA_STRING
+      })),
+      planned: oaArray(OA_ANY_OBJECT),
+      unplaced: oaArray(OA_ANY_OBJECT),
+      applied: oaArray(oaObject({ pageId: OA_STRING, name: OA_STRING, start: OA_STRING, end: OA_STRING })),
+      failed: oaArray(OA_ANY_OBJECT)
+    }),
+    example: { workStart: '09:00', workEnd: '17:00', breaks: [{ start: '12:00', end: '13:00', label: 'Lunch' }], bufferMinutes: 10 }
+  },
+  'POST /webhooks/create': {
+    operationId: 'createWebhook',
+    summary: 'Subscribe a URL to Action Base / notes events. The signing secret is returned once; deliveries carry X-Nola-Signature (HMAC-SHA256 of "<timestamp>.<body>").',
+    response: oaObject({ ok: OA_BOOL, subscription: OA_WEBHOOK, message: OA_STRING }),
+    example: { url: 'https://bot.example.com/nola', events: ['actionBase.created', 'actionBase.completed', 'notes.*'], description: 'Discord bot' }
+  },
+  'POST /webhooks/list': {
+    operationId: 'listWebhooks',
+    summary: 'Webhook subscriptions (secrets masked) with their last delivery, plus the event names.',
+    response: oaObject({ ok: OA_BOOL, count: OA_INT, subscriptions: oaArray(OA_WEBHOOK), events: oaArray(OA_STRING) })
+  },
+  'POST /webhooks/delete': {
+    operationId: 'deleteWebhook',
+    summary: 'Remove a webhook subscription.',
+    response: oaObject({ ok: OA_BOOL, deleted: OA_WEBHOOK }),
+    example: { id: 'wh_3f9a1c07b2de' }
+  },
+  'POST /webhooks/deadLetters': {
+    operationId: 'listWebhookDeadLetters',
+    summary: 'Deliveries that failed every retry, newest first, with their payloads.',
+    response: oaObject({
+      ok: OA_BOOL,
+      total: OA_INT,
+      deadLetters: oaArray(oaObject({ id: OA_STRING, subscriptionId: OA_STRING, event: OA_STRING, attempts: OA_INT, lastError: OA_STRING, failedAt: OA_STRING, redeliveredAt: OA_STRING, payload: OA_ANY_OBJECT }))
+    }),
+    example: { subscriptionId: 'wh_3f9a1c07b2de' }
+  },
+  'POST /webhooks/redeliver': {
+    operationId: 'redeliverWebhooks',
+    summary: 'Send a dead letter again (by id), or all not-yet-redelivered dead letters of a subscription.',
+    response: oaObject({
+      ok: OA_BOOL,
+      summary: oaObject({ total: OA_INT, delivered: OA_INT, failed: OA_INT }),
+      results: oaArray(oaObject({ id: OA_STRING, subscriptionId: OA_STRING, event: OA_STRING, ok: OA_BOOL, status: OA_INT, error: OA_STRING }))
+    }),
+    example: { subscriptionId: 'wh_3f9a1c07b2de' }
+  },
+  'POST /reminders/list': {
+    operationId: 'listReminders',
+    summary: 'Upcoming reminders for open items (Do/Due Date minus each lead time) with their status, plus the scheduler and channel state.',
+    response: oaObject({
+      ok: OA_BOOL,
+      count: OA_INT,
+      reminders: oaArray(OA_REMINDER),
+      scheduler: oaObject({
+        enabled: OA_BOOL,
+        intervalSeconds: OA_INT,
+        defaultLeadTimes: OA_STRING,
+        channels: oaArray(oaObject({ name: OA_STRING, known: OA_BOOL, configured: OA_BOOL })),
+        lastScanAt: OA_STRING,
+        lastError: OA_STRING,
+        sent: OA_INT
+      })
+    }),
+    example: { hours: 24 }
+  },
+  'POST /reminders/snooze': {
+    operationId: 'snoozeReminder',
+    summary: 'Fire a reminder again N minutes from now (default 10).',
+    response: oaObject({ ok: OA_BOOL, reminder: OA_REMINDER }),
+    example: { id: '3f9a1c07b2de', minutes: 30 }
+  },
+  'POST /reminders/cancel': {
+    operationId: 'cancelReminder',
+    summary: 'Cancel one reminder by id, or every upcoming reminder of an item by pageId.',
+    response: oaObject({ ok: OA_BOOL, cancelled: oaArray(OA_REMINDER) }),
+    example: { id: '3f9a1c07b2de' }
+  },
+  'POST /analysis/productivity': {
+    operationId: 'analyzeProductivity',
+    summary: 'Daily completion rates over the last N days.',
+    response: oaObject({ ok: OA_BOOL, days: OA_INT, overallRate: OA_INT, series: oaArray(oaObject({ date: OA_STRING, total: OA_INT, done: OA_INT, completionRate: OA_INT })) }),
+    example: { days: 14 }
+  },
+  'POST /actionBase/getItem': {
+    operationId: 'getActionItem',
+    summary: 'Read one Action Base item by pageId or exact title.',
+    response: oaObject({ ok: OA_BOOL, pageId: OA_STRING, properties: OA_ANY_OBJECT }),
+    example: { pageTitle: 'Send Dave the invoice' }
+  },
+  'POST /actionBase/list': {
+    operationId: 'listActionItems',
+    summary: 'List Action Base items. Pass nextCursor back as cursor for the next page.',
+    response: oaObject({
+      ok: OA_BOOL,
+      count: OA_INT,
+      pages: oaArray(oaObject({ id: OA_STRING, name: OA_STRING, status: OA_STRING, type: OA_STRING, priority: OA_STRING, alignment: OA_STRING, doDate: OA_ANY_OBJECT, dueDate: OA_ANY_OBJECT, durationMinutes: OA_INT })),
+      nextCursor: OA_STRING
+    }),
+    example: { pageSize: 50 }
+  },
+  'GET /actionBase/changes': {
+    operationId: 'listActionItemChanges',
+    summary: 'Incremental sync: per-field changes to Action Base items since a timestamp, including edits made in Notion. Pass nextSince back as since.',
+    query: {
+      since: { type: 'string', required: true, description: 'ISO timestamp; nextSince from the previous call.' },
+      after: { type: 'integer', min: 0, description: 'Skip change ids up to this one (nextAfter from the previous call).' },
+      full: { type: 'boolean', description: 'Rescan the whole database to also detect deleted pages.' }
+    },
+    response: oaObject({
+      ok: OA_BOOL,
+      count: OA_INT,
+      since: OA_STRING,
+      polledAt: OA_STRING,
+      complete: OA_BOOL,
+      coverageStart: OA_STRING,
+      nextSince: OA_STRING,
+      nextAfter: OA_INT,
+      changes: oaArray(oaObject({
+        id: OA_INT,
+        pageId: OA_STRING,
+        name: OA_STRING,
+        kind: { type: 'string', enum: ['created', 'updated', 'removed'] },
+        lastEditedTime: OA_STRING,
+        detectedAt: OA_STRING,
+        changes: oaArray(oaObject({ field: OA_STRING, old: {}, new: {} })),
+        statusTransition: oaObject({ from: OA_STRING, to: OA_STRING }),
+        values: OA_ANY_OBJECT
+      })),
+      warning: OA_STRING
+    })
+  },
+  'POST /databases/create': {
+    operationId: 'createDatabase',
+    summary: 'Create a Notion database under a parent page.',
+    response: oaObject({ ok: OA_BOOL, databaseId: OA_STRING })
+  },
+  'POST /databases/archiveByName': {
+    operationId: 'archiveDatabase',
+    summary: 'Archive a Notion database by name.',
+    response: oaObject({ ok: OA_BOOL, databaseId: OA_STRING, archived: OA_BOOL })
+  },
+  'GET /databases/registry': {
+    operationId: 'listDatabaseRegistry',
+    summary: 'Show cached Notion database ids and schemas.',
+    response: oaObject({ ok: OA_BOOL, ttlMs: OA_INT, count: OA_INT, databases: oaArray(OA_ANY_OBJECT) })
+  },
+  'POST /databases/registry/refresh': {
+    operationId: 'refreshDatabaseRegistry',
+    summary: 'Re-read one (or every known) database schema from Notion, e.g. after adding a select option.',
+    response: oaObject({ ok: OA_BOOL, refreshed: oaArray(OA_ANY_OBJECT), missing: oaArray(OA_STRING) })
+  },
+  'POST /notes/trigger': {
+    operationId: 'startNotes',
+    summary: 'Acknowledge that note taking is starting.',
+    response: oaObject({ ok: OA_BOOL, message: OA_STRING })
+  },
+  'POST /notes/create': {
+    operationId: 'createNote',
+    summary: 'Save a note. Title and tag are generated when omitted. Keep the returned id to read, update or delete it later.',
+    response: oaObject({ ...OA_NOTE_WRITE.properties, range: OA_STRING }),
+    example: { notes: 'Call with Dave: proposal due Friday, needs two logo options.' }
+  },
+  'POST /notes/list': {
+    operationId: 'listNotes',
+    summary: 'List the most recent notes in a notebook, optionally by tag and date range.',
+    response: oaObject({ ok: OA_BOOL, notebook: OA_STRING, count: OA_INT, rows: oaArray(OA_NOTE) }),
+    example: { tag: 'Krazy Monkee', fromDate: '2026-10-01', limit: 20 }
+  },
+  'POST /notes/export': {
+    operationId: 'exportNotes',
+    summary: 'Download notes (same filters as listNotes) as a JSON document, a CSV file (format=csv) or a zip of Markdown files with YAML front-matter (format=markdown).',
+    response: oaObject({
+      kind: OA_STRING,
+      version: OA_INT,
+      exportedAt: OA_STRING,
+      notebook: OA_STRING,
+      filters: OA_ANY_OBJECT,
+      count: OA_INT,
+      notes: oaArray(oaObject({ id: OA_STRING, title: OA_STRING, dateTime: OA_STRING, tag: OA_STRING, notes: OA_STRING, actionItems: oaArray(OA_STRING) }))
+    }),
+    example: { format: 'json', fromDate: '2026-10-01' }
+  },
+  'POST /notes/import': {
+    operationId: 'importNotes',
+    summary: 'Import notes from a JSON export (notes), CSV or Markdown (format + content). Keeps original timestamps and ids, reports duplicates. Previews unless commit=true.',
+    response: oaObject({
+      ok: OA_BOOL,
+      notebook: OA_STRING,
+      committed: OA_BOOL,
+      imported: oaArray(oaObject({ source: OA_STRING, id: OA_STRING, title: OA_STRING, dateTime: OA_STRING, tag: OA_STRING, rowIndex: OA_INT })),
+      duplicates: oaArray(OA_ANY_OBJECT),
+      invalid: oaArray(OA_ANY_OBJECT),
+      warnings: oaArray(OA_STRING),
+      message: OA_STRING
+    }),
+    example: { format: 'csv', content: 'TITLE,Date & Time,Tag,Notes\nCall Dave,2026-09-30 14:05,Krazy Monkee,Logo options due Friday', commit: false }
+  },
+  'POST /notes/search': {
+    operationId: 'searchNotes',
+    summary: 'Ranked search over note titles and text. Supports "exact phrases", prefix*, tag:name, after:YYYY-MM-DD and before:YYYY-MM-DD.',
+    response: oaObject({
+      ok: OA_BOOL,
+      notebook: OA_STRING,
+      query: OA_STRING,
+      total: OA_INT,
+      count: OA_INT,
+      results: oaArray(oaObject({
+        id: OA_STRING, notebook: OA_STRING, rowIndex: OA_INT, title: OA_STRING, tag: OA_STRING, dateTime: OA_STRING,
+        score: { type: 'number' }, titleHighlighted: OA_STRING, snippet: OA_STRING
+      }))
+    }),
+    example: { query: 'luz "branding proposal" after:2026-10-01', limit: 5 }
+  },
+  'POST /notes/read': {
+    operationId: 'readNote',
+    summary: 'Read one note by id (or legacy row number).',
+    response: oaObject({ ok: OA_BOOL, note: OA_NOTE }),
+    example: { id: '3f9a1c07b2e4' }
+  },
+  'POST /notes/update': {
+    operationId: 'updateNote',
+    summary: 'Update a note\'s title, tag or text, or clear fields with deleteFields.',
+    response: OA_NOTE_WRITE,
+    example: { id: '3f9a1c07b2e4', tag: 'Hanuman Life' }
+  },
+  'POST /notes/delete': {
+    operationId: 'deleteNote',
+    summary: 'Move a note to the trash by id (or legacy row number). It can be restored until the trash is purged.',
+    response: oaObject({ ok: OA_BOOL, id: OA_STRING, notebook: OA_STRING, rowIndex: OA_INT, deleted: OA_BOOL, trashed: OA_BOOL }),
+    example: { id: '3f9a1c07b2e4' }
+  },
+  'POST /notes/move': {
+    operationId: 'moveNote',
+    summary: 'Move a note to another notebook. It keeps its id and timestamp.',
+    response: oaObject({ ok: OA_BOOL, id: OA_STRING, from: OA_STRING, to: OA_STRING, rowIndex: OA_INT, message: OA_STRING }),
+    example: { id: '3f9a1c07b2e4', to: 'Clients' }
+  },
+  'POST /notes/notebooks/list': {
+    operationId: 'listNotebooks',
+    summary: 'List notebooks (spreadsheet tabs). isDefault marks the one used when notebook is omitted.',
+    response: oaObject({ ok: OA_BOOL, count: OA_INT, notebooks: oaArray(OA_NOTEBOOK) })
+  },
+  'POST /notes/notebooks/create': {
+    operationId: 'createNotebook',
+    summary: 'Create a notebook (a new tab with the note headers).',
+    response: oaObject({ ok: OA_BOOL, notebook: OA_NOTEBOOK, message: OA_STRING }),
+    example: { name: 'Clients' }
+  },
+  'POST /notes/notebooks/rename': {
+    operationId: 'renameNotebook',
+    summary: 'Rename a notebook. Note ids, trash and history stay attached.',
+    response: oaObject({ ok: OA_BOOL, notebook: OA_ANY_OBJECT, message: OA_STRING }),
+    example: { notebook: 'Clients', name: 'Client Work' }
+  },
+  'POST /notes/notebooks/archive': {
+    operationId: 'archiveNotebook',
+    summary: 'Archive (hide) a notebook so it stops taking new notes, or unarchive it with archived=false. Archived notebooks stay readable.',
+    response: oaObject({ ok: OA_BOOL, notebook: OA_NOTEBOOK, message: OA_STRING }),
+    example: { notebook: 'Client Work' }
+  },
+  'POST /notes/promote': {
+    operationId: 'promoteNote',
+    summary: 'Turn a note, or chosen lines of it, into Action Base items. Alignment follows the note tag; pages and note link to each other.',
+    response: oaObject({
+      ok: OA_BOOL,
+      noteId: OA_STRING,
+      notebook: OA_STRING,
+      created: oaArray(oaObject({ pageId: OA_STRING, name: OA_STRING, line: OA_INT })),
+      failed: oaArray(OA_ANY_OBJECT),
+      actionItems: oaArray(OA_STRING)
+    }),
+    example: { id: '3f9a1c07b2e4', lines: [2, 3] }
+  },
+  'POST /notes/classify': {
+    operationId: 'classifyNote',
+    summary: 'Preview the tag a note would get: chosen tag, confidence, per-tag scores and the keywords that fired. Pass id for a saved note or notes text for a draft.',
+    response: oaObject({
+      ok: OA_BOOL,
+      tag: OA_STRING,
+      suggestedTag: OA_STRING,
+      confidence: { type: 'number' },
+      needsReview: OA_BOOL,
+      scores: oaArray(oaObject({ tag: OA_STRING, score: { type: 'number' } })),
+      fired: oaArray(oaObject({ tag: OA_STRING, keyword: OA_STRING, match: OA_STRING, weight: { type: 'number' }, field: OA_STRING, hits: OA_INT }))
+    }),
+    example: { notes: 'Read the React docs on custom hooks, then practice.' }
+  },
+  'POST /notes/history': {
+    operationId: 'noteHistory',
+    summary: 'Revisions of a note (newest first) with before/after values, or recent changes across all notes when id is omitted.',
+    response: oaObject({
+      ok: OA_BOOL,
+      id: OA_STRING,
+      inTrash: OA_BOOL,
+      count: OA_INT,
+      total: OA_INT,
+      revisions: oaArray(oaObject({
+        revision: OA_STRING, noteId: OA_STRING, notebook: OA_STRING, changedAt: OA_STRING, action: OA_STRING,
+        fields: oaArray(OA_STRING), before: OA_ANY_OBJECT, after: OA_ANY_OBJECT
+      }))
+    }),
+    example: { id: '3f9a1c07b2e4', limit: 5 }
+  },
+  'POST /notes/restore': {
+    operationId: 'restoreNote',
+    summary: 'Restore a deleted note from the trash and/or roll a note back to a revision (state=before undoes it).',
+    response: oaObject({ ok: OA_BOOL, note: OA_NOTE, restoredFromTrash: OA_BOOL, revision: OA_STRING, message: OA_STRING }),
+    example: { id: '3f9a1c07b2e4', revision: 'a1b2c3d4e5f6' }
+  },
+  'POST /notes/trash/purge': {
+    operationId: 'purgeNoteTrash',
+    summary: 'Permanently remove trashed notes (given ids, or older than olderThanDays, default 30) and their history. dryRun=true only lists them.',
+    response: oaObject({ ok: OA_BOOL, dryRun: OA_BOOL, purged: oaArray(OA_ANY_OBJECT), historyRowsRemoved: OA_INT })
+  },
+  'POST /notes/analyze': {
+    operationId: 'analyzeNotes',
+    summary: 'Counts by tag and day plus the most frequent terms across the notes of a notebook.',
+    response: oaObject({ ok: OA_BOOL, analysis: OA_ANY_OBJECT })
+  },
+  'POST /notes/suggest': {
+    operationId: 'suggestFromNotes',
+    summary: 'A focus headline and recommendations drawn from the notes.',
+    response: oaObject({ ok: OA_BOOL, analysisSummary: OA_ANY_OBJECT, suggestion: oaObject({ headline: OA_STRING, recommendations: oaArray(OA_STRING) }) })
+  },
+  'GET /openapi.json': { operationId: 'openApiJson', hidden: true },
+  'GET /openapi.yaml': { operationId: 'openApiYaml', hidden: true }
+};
+
+const OPENAPI_ERROR_SCHEMA = {
+  type: 'object',
+  required: ['error', 'code'],
+  properties: {
+    error: { type: 'string', description: 'Human-readable message' },
+    code: { type: 'string', description: 'Stable error code, e.g. REQUIRED, INVALID_ENUM, NOT_FOUND, UPSTREAM_RATE_LIMITED' },
+    field: { type: 'string' },
+    hint: { type: 'string' },
+    errors: { type: 'array', items: { type: 'object', properties: { field: { type: 'string' }, code: { type: 'string' }, message: { type: 'string' }, hint: { type: 'string' } } } }
+  }
+};
+
+function clip(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function fallbackOperationId(method, routePath) {
+  const words = routePath.split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return method + words.map(w => w[0].toUpperCase() + w.slice(1)).join('');
+}
+
+// Every registered route with the metadata its middleware carries.
+function routeDefinitions() {
+  const defs = [];
+  for (const layer of app._router.stack) {
+    if (!layer.route) continue;
+    const handles = layer.route.stack.map(l => l.handle);
+    for (const method of Object.keys(layer.route.methods)) {
+      const key = `${method.toUpperCase()} ${layer.route.path}`;
+      const doc = OPENAPI_OPERATIONS[key] || {};
+      defs.push({
+        key,
+        method,
+        path: layer.route.path,
+        doc,
+        operationId: doc.operationId || fallbackOperationId(method, layer.route.path),
+        tag: doc.tag || (layer.route.path.split('/').length > 2 ? layer.route.path.split('/')[1] : 'general'),
+        scope: handles.find(h => h.scope)?.scope || null,
+        body: handles.find(h => h.schema)?.schema || null
+      });
+    }
+  }
+  return defs;
+}
+
+// Explicit subsets are validated; the default is the configured or curated
+// list, and the other non-admin operations are listed under x-omitted-operations.
+function selectOperations(defs, { operations, tags }) {
+  const visible = defs.filter(d => !d.doc.hidden);
+  const allTags = [...new Set(visible.map(d => d.tag))];
+  const tagHint = `Pick a subset with ?tags= (${allTags.join(', ')}) or ?operations=`;
+  if (operations.length || tags.length) {
+    const known = new Set(visible.map(d => d.operationId));
+    const unknown = operations.filter(op => !known.has(op));
+    if (unknown.length) {
+      throw new ApiError(400, 'INVALID_ENUM', `Unknown operation(s): ${unknown.join(', ')}`, { field: 'operations', hint: `Known: ${[...known].join(', ')}` });
+    }
+    const picked = visible.filter(d => operations.includes(d.operationId) || tags.includes(d.tag));
+    if (picked.length > OPENAPI_MAX_OPERATIONS) {
+      throw new ApiError(400, 'OUT_OF_RANGE', `GPT Actions allow at most ${OPENAPI_MAX_OPERATIONS} operations; ${picked.length} selected`, { field: 'operations', hint: tagHint });
+    }
+    return { picked, omitted: [] };
+  }
+  const wanted = OPENAPI_DEFAULT_OPERATIONS.length ? OPENAPI_DEFAULT_OPERATIONS : OPENAPI_CURATED_OPERATIONS;
+  const picked = visible.filter(d => wanted.includes(d.operationId));
+  if (picked.length > OPENAPI_MAX_OPERATIONS) {
+    throw new ApiError(400, 'OUT_OF_RANGE', `The default export has ${picked.length} operations; GPT Actions allow at most ${OPENAPI_MAX_OPERATIONS}`, {
+      field: 'tags', hint: tagHint, details: { tags: allTags }
+    });
+  }
+  return {
+    picked,
+    omitted: visible.filter(d => d.scope !== 'admin' && !wanted.includes(d.operationId)).map(d => d.operationId)
+  };
+}
+
+// Live select/status options, keyed "Database›Property". Missing databases
+// (or no Notion at all) just leave the field without an enum.
+async function collectEnums(specs) {
+  const enums = new Map();
+  const visit = (spec) => {
+    if (!spec) return;
+    if (spec.options) enums.set(spec.options.join('›'), null);
+    if (spec.items) visit(spec.items);
+    for (const child of Object.values(spec.properties || {})) visit(child);
+  };
+  specs.forEach(visit);
+  for (const key of enums.keys()) {
+    const [dbName, property] = key.split('›');
+    try {
+      const db = await findDatabaseByName(dbName);
+      enums.set(key, db?.schema[property]?.options || null);
+    } catch (e) {
+      console.warn(`OpenAPI: no options for ${dbName} › ${property}: ${e.message}`);
+    }
+  }
+  return enums;
+}
+
+function specToSchema(spec, enums) {
+  const variants = [].concat(spec.type || 'any').map(t => typeToSchema(t, spec, enums));
+  const schema = variants.length === 1 ? variants[0] : { oneOf: variants };
+  const description = [spec.description, spec.options && !enums.get(spec.options.join('›')) && `One of the "${spec.options[1]}" options in ${spec.options[0]}.`, spec.hint]
+    .filter(Boolean).join(' ');
+  if (description) schema.description = clip(description, OPENAPI_MAX_FIELD_DESCRIPTION);
+  return schema;
+}
+
+function typeToSchema(type, spec, enums) {
+  switch (type) {
+    case 'string': {
+      const allowed = spec.options ? enums.get(spec.options.join('›')) : spec.enum;
+      return { type: 'string', ...(spec.max ? { maxLength: spec.max } : {}), ...(allowed ? { enum: allowed } : {}) };
+    }
+    case 'date': return { type: 'string', pattern: '^(\\d{4}-\\d{2}-\\d{2}|\\d{1,2}/\\d{1,2}/\\d{4})$', example: '2026-10-24' };
+    case 'ymd': return { type: 'string', format: 'date', example: '2026-10-24' };
+    case 'time': return { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', example: '15:30' };
+    case 'timeZone': return { type: 'string', description: `IANA time zone; defaults to ${TZ}`, example: TZ };
+    case 'integer': case 'number':
+      return { type, ...(spec.min != null ? { minimum: spec.min } : {}), ...(spec.max != null ? { maximum: spec.max } : {}) };
+    case 'boolean': return { type: 'boolean' };
+    case 'array':
+      return {
+        type: 'array',
+        items: spec.items ? specToSchema(spec.items, enums) : {},
+        ...(spec.min ? { minItems: spec.min } : {}),
+        ...(spec.max ? { maxItems: spec.max } : {})
+      };
+    case 'object': return spec.properties ? objectToSchema(spec, enums) : { type: 'object', additionalProperties: true };
+    default: return {};
+  }
+}
+
+function objectToSchema(spec, enums) {
+  const properties = {};
+  const required = [];
+  for (const [key, child] of Object.entries(spec.properties)) {
+    properties[key] = specToSchema(child, enums);
+    if (child.required) required.push(key);
+  }
+  return { type: 'object', properties, ...(required.length ? { required } : {}) };
+}
+
+async function buildOpenApi({ serverUrl, operations = [], tags = [] }) {
+  const { picked, omitted } = selectOperations(routeDefinitions(), { operations, tags });
+  const enums = await collectEnums(picked.flatMap(d => [d.body, d.doc.response]));
+
+  const paths = {};
+  for (const d of picked) {
+    const requireOne = (d.body?.requireOne || []).map(group => `Provide ${group.join(' or ')}.`);
+    const summary = clip(d.doc.summary || `${d.method.toUpperCase()} ${d.path}`, OPENAPI_MAX_SUMMARY);
+    const op = {
+      operationId: d.operationId,
+      summary,
+      ...(requireOne.length ? { description: clip(`${summary} ${requireOne.join(' ')}`, OPENAPI_MAX_SUMMARY) } : {}),
+      tags: [d.tag],
+      ...(AUTH_ENABLED && PUBLIC_ROUTES.has(d.key) ? { security: [] } : {}),
+      ...(d.scope ? { 'x-scope': d.scope } : {}),
+      'x-openai-isConsequential': !!d.scope && !d.scope.endsWith(':read')
+    };
+    if (d.body?.properties) {
+      op.requestBody = {
+        required: Object.values(d.body.properties).some(s => s.required) || requireOne.length > 0,
+        content: { 'application/json': { schema: objectToSchema(d.body, enums), ...(d.doc.example ? { example: d.doc.example } : {}) } }
+      };
+    }
+    const params = [
+      ...[...d.path.matchAll(/:(\w+)/g)].map(m => ({ name: m[1], in: 'path', required: true, schema: { type: 'string' } })),
+      ...Object.entries(d.doc.query || {}).map(([name, spec]) => ({ name, in: 'query', required: !!spec.required, schema: specToSchema(spec, enums) }))
+    ];
+    if (params.length) op.parameters = params;
+    op.responses = {
+      200: { description: 'OK', content: { 'application/json': { schema: specToSchema(d.doc.response || OA_ANY_OBJECT, enums) } } },
+      default: { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+    };
+    (paths[d.path.replace(/:(\w+)/g, '{$1}')] ||= {})[d.method] = op;
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'NOLA Buddy API',
+      version: APP_VERSION,
+      description: 'Action Base (Notion) planning and Maal Secretary Notes (Google Sheets).'
+    },
+    servers: [{ url: serverUrl }],
+    ...(AUTH_ENABLED ? { security: [{ apiKey: [] }] } : {}),
+    paths,
+    components: {
+      schemas: { Error: OPENAPI_ERROR_SCHEMA },
+      ...(AUTH_ENABLED ? { securitySchemes: { apiKey: { type: 'http', scheme: 'bearer' } } } : {})
+    },
+    ...(omitted.length ? { 'x-omitted-operations': omitted } : {})
+  };
+}
+
+// Minimal YAML emitter for the JSON above: strings are JSON-quoted (valid YAML).
+const YAML_PLAIN_KEY = /^[A-Za-z_/$][\w/.$-]*$/;
+function toYaml(value, indent = '') {
+  const isBlock = (v) => v !== null && typeof v === 'object' && Object.keys(v).length > 0;
+  if (Array.isArray(value)) {
+    if (!value.length) return '[]';
+    return value.map(v => isBlock(v)
+      ? `${indent}- ${toYaml(v, `${indent}  `).slice(indent.length + 2)}`
+      : `${indent}- ${toYaml(v)}`).join('\n');
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    if (!entries.length) return '{}';
+    return entries.map(([k, v]) => {
+      const key = YAML_PLAIN_KEY.test(k) ? k : JSON.stringify(k);
+      return isBlock(v) ? `${indent}${key}:\n${toYaml(v, `${indent}  `)}` : `${indent}${key}: ${toYaml(v)}`;
+    }).join('\n');
+  }
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+function sendOpenApi(format) {
+  return async (req, res) => {
+    try {
+      const proto = req.get('x-forwarded-proto')?.split(',')[0] || req.protocol;
+      const spec = await buildOpenApi({
+        serverUrl: OPENAPI_SERVER_URL || `${proto}://${req.get('host')}`,
+        operations: csvParam(req.query.operations),
+        tags: csvParam(req.query.tags)
+      });
+      if (format === 'yaml') return res.type('application/yaml').send(`${toYaml(spec)}\n`);
+      res.json(spec);
+    } catch (e) { sendError(res, e); }
+  };
+}
+
+app.get('/openapi.json', sendOpenApi('json'));
+app.get('/openapi.yaml', sendOpenApi('yaml'));
+
+// ==========================================================================
+// ==========   LOCAL BACKEND — OFFLINE STAND-IN FOR NOTION + SHEETS   =======
+// ==========================================================================
+// BACKEND=local serves every Notion and Sheets call from a JSON file so routes
+// can be exercised without live services. The file is seeded from
+// LOCAL_SEED_FILE the first time and rewritten after every mutation. Seed strings
+// may use {{today}}, {{today+N}} or {{today-N}} for dates relative to now in TZ.
+const LOCAL_DATA_FILE = process.env.LOCAL_DATA_FILE || path.join(APP_DIR, '.local-data', 'store.json');
+const LOCAL_SEED_FILE = process.env.LOCAL_SEED_FILE || path.join(APP_DIR, 'fixtures', 'local-seed.json');
+
+let localStore = null;
+
+function loadLocalStore() {
+  if (localStore) return localStore;
+  const seeded = !fs.existsSync(LOCAL_DATA_FILE);
+  let text = fs.readFileSync(seeded ? LOCAL_SEED_FILE : LOCAL_DATA_FILE, 'utf8');
+  if (seeded) text = expandSeedDates(text);
+  const raw = JSON.parse(text);
+  localStore = {
+    databases: raw.databases || [],
+    pages: raw.pages || [],
+    blocks: raw.blocks || {},
+    sheets: raw.sheets || []
+  };
+  return localStore;
+}
+
+function expandSeedDates(text) {
+  return text.replace(/\{\{today([+-]\d+)?\}\}/g, (_, delta) => addDaysYmd(todayInZone(TZ), Number(delta || 0)));
+}
+
+function saveLocalStore() {
+  fs.mkdirSync(path.dirname(LOCAL_DATA_FILE), { recursive: true });
+  fs.writeFileSync(LOCAL_DATA_FILE, JSON.stringify(localStore, null, 2));
+}
+
+function localNotionError(method, path, status, code, message) {
+  return new NotionError({ method, path, status, code, message, retryable: false });
+}
+
+// ---- Notion: value normalization (write payload -> stored/read shape) ----
+function richTextOut(arr) {
+  return (arr || []).map(t => {
+    const content = t.text?.content ?? t.plain_text ?? '';
+    return { type: 'text', text: { content, link: t.text?.link || null }, plain_text: content, href: t.text?.link?.url || null };
+  });
+}
+
+const PROPERTY_TYPES = ['title', 'rich_text', 'number', 'select', 'multi_select', 'status', 'date', 'relation', 'checkbox', 'url', 'email', 'phone_number'];
+
+function normalizePropertyValue(schemaProp, value, ctx) {
+  const type = schemaProp.type;
+  const v = value == null ? null : value[type];
+  switch (type) {
+    case 'title':
+    case 'rich_text':
+      return { id: schemaProp.id, type, [type]: richTextOut(v) };
+    case 'select':
+    case 'status': {
+      if (!v) return { id: schemaProp.id, type, [type]: null };
+      const options = schemaProp[type].options;
+      if (!options.some(o => o.name === v.name)) {
+        if (type === 'status') throw localNotionError(ctx.method, ctx.path, 400, 'validation_error', `Invalid status option. Status option "${v.name}" does not exist.`);
+        options.push({ name: v.name });
+      }
+      return { id: schemaProp.id, type, [type]: { name: v.name } };
+    }
+    case 'multi_select': {
+      const options = schemaProp.multi_select.options;
+      for (const o of v || []) if (!options.some(x => x.name === o.name)) options.push({ name: o.name });
+      return { id: schemaProp.id, type, multi_select: (v || []).map(o => ({ name: o.name })) };
+    }
+    case 'date':
+      return { id: schemaProp.id, type, date: v ? { start: v.start, end: v.end || null, time_zone: v.time_zone || null } : null };
+    case 'relation':
+      return { id: schemaProp.id, type, relation: (v || []).map(r => ({ id: r.id })), has_more: false };
+    case 'checkbox':
+      return { id: schemaProp.id, type, checkbox: !!v };
+    default:
+      return { id: schemaProp.id, type, [type]: v ?? null };
+  }
+}
+
+function applyProperties(db, page, properties, ctx) {
+  for (const [name, value] of Object.entries(properties || {})) {
+    const schemaProp = db.properties[name];
+    if (!schemaProp) {
+      throw localNotionError(ctx.method, ctx.path, 400, 'validation_error', `${name} is not a property that exists.`);
+    }
+    page.properties[name] = normalizePropertyValue(schemaProp, value, ctx);
+  }
+}
+
+function emptyPropertyValue(schemaProp) {
+  return normalizePropertyValue(schemaProp, null, {});
+}
+
+function normalizeDatabaseSchema(properties) {
+  const out = {};
+  for (const [name, def] of Object.entries(properties || {})) {
+    const type = PROPERTY_TYPES.find(t => def[t] !== undefined) || def.type;
+    const inner = def[type] || {};
+    out[name] = {
+      id: def.id || crypto.randomUUID().slice(0, 4),
+      name,
+      type,
+      [type]: ['select', 'multi_select', 'status'].includes(type)
+        ? { options: (inner.options || []).map(o => ({ name: o.name })) }
+        : inner
+    };
+  }
+  return out;
+}
+
+// ---- Notion: filters and sorts ----
+function matchText(text, cond) {
+  const t = (text || '').toLowerCase();
+  if ('equals' in cond) return t === String(cond.equals).toLowerCase();
+  if ('does_not_equal' in cond) return t !== String(cond.does_not_equal).toLowerCase();
+  if ('contains' in cond) return t.includes(String(cond.contains).toLowerCase());
+  if ('does_not_contain' in cond) return !t.includes(String(cond.does_not_contain).toLowerCase());
+  if ('starts_with' in cond) return t.startsWith(String(cond.starts_with).toLowerCase());
+  if ('ends_with' in cond) return t.endsWith(String(cond.ends_with).toLowerCase());
+  if (cond.is_empty) return !t;
+  if (cond.is_not_empty) return !!t;
+  return true;
+}
+
+function matchDate(dateValue, cond) {
+  if (cond.is_empty) return !dateValue?.start;
+  if (cond.is_not_empty) return !!dateValue?.start;
+  const ms = dateValueToMs(dateValue);
+  if (ms == null) return false;
+  const bound = (k, opts) => dateValueToMs(cond[k], opts);
+  if ('on_or_after' in cond && !(ms >= bound('on_or_after'))) return false;
+  if ('after' in cond && !(ms > bound('after', { endOfDay: true }))) return false;
+  if ('on_or_before' in cond && !(ms <= bound('on_or_before', { endOfDay: true }))) return false;
+  if ('before' in cond && !(ms < bound('before'))) return false;
+  if ('equals' in cond) {
+    const lo = bound('equals'), hi = bound('equals', { endOfDay: true });
+    if (!(ms >= lo && ms <= hi)) return false;
+  }
+  return true;
+}
+
+function matchFilter(page, filter) {
+  if (!filter) return true;
+  if (filter.or) return filter.or.some(f => matchFilter(page, f));
+  if (filter.and) return filter.and.every(f => matchFilter(page, f));
+  if (filter.timestamp) {
+    return matchDate({ start: page[filter.timestamp] }, filter[filter.timestamp] || {});
+  }
+  const prop = page.properties[filter.property];
+  const condType = PROPERTY_TYPES.find(t => filter[t] !== undefined);
+  const cond = filter[condType] || {};
+  const value = prop ? prop[prop.type] : null;
+  switch (condType) {
+    case 'title':
+    case 'rich_text':
+      return matchText((value || []).map(t => t.plain_text).join(''), cond);
+    case 'select':
+    case 'status':
+      if (cond.is_empty) return !value;
+      if (cond.is_not_empty) return !!value;
+      if ('equals' in cond) return value?.name === cond.equals;
+      if ('does_not_equal' in cond) return value?.name !== cond.does_not_equal;
+      return true;
+    case 'multi_select':
+      if ('contains' in cond) return (value || []).some(o => o.name === cond.contains);
+      if ('does_not_contain' in cond) return !(value || []).some(o => o.name === cond.does_not_contain);
+      return cond.is_empty ? !(value || []).length : true;
+    case 'date':
+      return matchDate(value, cond);
+    case 'number':
+      if (cond.is_empty) return value == null;
+      if (cond.is_not_empty) return value != null;
+      if (value == null) return false;
+      if ('equals' in cond) return value === cond.equals;
+      if ('greater_than' in cond) return value > cond.greater_than;
+      if ('less_than' in cond) return value < cond.less_than;
+      if ('greater_than_or_equal_to' in cond) return value >= cond.greater_than_or_equal_to;
+      if ('less_than_or_equal_to' in cond) return value <= cond.less_than_or_equal_to;
+      return true;
+    case 'checkbox':
+      return 'equals' in cond ? !!value === cond.equals : true;
+    case 'relation':
+      if ('contains' in cond) return (value || []).some(r => r.id === cond.contains);
+      if (cond.is_empty) return !(value || []).length;
+      if (cond.is_not_empty) return !!(value || []).length;
+      return true;
+    default:
+      return matchText(value == null ? '' : String(value), cond);
+  }
+}
+
+function sortKey(page, sort) {
+  if (sort.timestamp) return page[sort.timestamp] || '';
+  const prop = page.properties[sort.property];
+  if (!prop) return '';
+  const v = prop[prop.type];
+  if (prop.type === 'date') return dateValueToMs(v) ?? Infinity;
+  if (prop.type === 'title' || prop.type === 'rich_text') return (v || []).map(t => t.plain_text).join('').toLowerCase();
+  if (prop.type === 'select' || prop.type === 'status') return v?.name || '';
+  return v ?? '';
+}
+
+function sortPages(pages, sorts) {
+  if (!sorts?.length) return pages;
+  return [...pages].sort((a, b) => {
+    for (const s of sorts) {
+      const ka = sortKey(a, s), kb = sortKey(b, s);
+      if (ka === kb) continue;
+      const dir = s.direction === 'descending' ? -1 : 1;
+      return ka < kb ? -dir : dir;
+    }
+    return 0;
+  });
+}
+
+function paginate(items, body = {}) {
+  const start = Number(body.start_cursor) || 0;
+  const size = clampPageSize(body.page_size);
+  const slice = items.slice(start, start + size);
+  const more = start + size < items.length;
+  return { object: 'list', results: slice, has_more: more, next_cursor: more ? String(start + size) : null };
+}
+
+// ---- Notion: request router ----
+function localNotion(path, { method = 'GET', body } = {}) {
+  const store = loadLocalStore();
+  const ctx = { method, path };
+  const now = new Date().toISOString();
+  const seg = path.split('?')[0].split('/').filter(Boolean);
+  const notFound = (id) => localNotionError(method, path, 404, 'object_not_found', `Could not find object with ID: ${id}.`);
+  const dbById = (id) => store.databases.find(d => d.id === id);
+  const pageById = (id) => store.pages.find(p => p.id === id);
+
+  if (seg[0] === 'search' && method === 'POST') {
+    const q = (body?.query || '').toLowerCase();
+    const kind = body?.filter?.value;
+    const pool = [
+      ...(kind === 'page' ? [] : store.databases.map(d => ({ ...d, object: 'database' }))),
+      ...(kind === 'database' ? [] : store.pages.map(p => ({ ...p, object: 'page' })))
+    ].filter(o => !o.archived && titleOf(o).toLowerCase().includes(q));
+    return paginate(pool, body);
+  }
+
+  if (seg[0] === 'databases') {
+    if (seg.length === 1 && method === 'POST') {
+      const db = {
+        object: 'database',
+        id: crypto.randomUUID(),
+        created_time: now,
+        last_edited_time: now,
+        parent: body.parent,
+        title: richTextOut(body.title),
+        properties: normalizeDatabaseSchema(body.properties),
+        archived: false
+      };
+      store.databases.push(db);
+      saveLocalStore();
+      return db;
+    }
+    const db = dbById(seg[1]);
+    if (!db) throw notFound(seg[1]);
+    if (seg[2] === 'query' && method === 'POST') {
+      const rows = store.pages.filter(p => p.parent?.database_id === db.id && !p.archived && matchFilter(p, body?.filter));
+      return paginate(sortPages(rows, body?.sorts), body);
+    }
+    if (method === 'GET') return db;
+    if (method === 'PATCH') {
+      if ('archived' in (body || {})) db.archived = !!body.archived;
+      if (body?.title) db.title = richTextOut(body.title);
+      if (body?.properties) Object.assign(db.properties, normalizeDatabaseSchema(body.properties));
+      db.last_edited_time = now;
+      saveLocalStore();
+      return db;
+    }
+  }
+
+  if (seg[0] === 'pages') {
+    if (seg.length === 1 && method === 'POST') {
+      const parentId = body?.parent?.database_id;
+      const db = dbById(parentId);
+      if (!db) throw notFound(parentId);
+      const page = {
+        object: 'page',
+        id: crypto.randomUUID(),
+        created_time: now,
+        last_edited_time: now,
+        parent: { type: 'database_id', database_id: db.id },
+        archived: false,
+        icon: body.icon || null,
+        properties: {}
+      };
+      for (const [name, def] of Object.entries(db.properties)) page.properties[name] = emptyPropertyValue(def);
+      applyProperties(db, page, body.properties, ctx);
+      store.pages.push(page);
+      if (body.children?.length) {
+        store.blocks[page.id] = body.children.map(b => ({ ...b, id: crypto.randomUUID(), created_time: now }));
+      }
+      saveLocalStore();
+      return page;
+    }
+    const page = pageById(seg[1]);
+    if (!page) throw notFound(seg[1]);
+    if (method === 'GET') return page;
+    if (method === 'PATCH') {
+      const db = dbById(page.parent.database_id);
+      if (body?.properties) applyProperties(db, page, body.properties, ctx);
+      if ('archived' in (body || {})) page.archived = !!body.archived;
+      if (body?.icon) page.icon = body.icon;
+      page.last_edited_time = now;
+      saveLocalStore();
+      return page;
+    }
+  }
+
+  if (seg[0] === 'blocks' && seg[2] === 'children') {
+    const parentId = seg[1];
+    if (!pageById(parentId) && !Object.values(store.blocks).some(list => list.some(b => b.id === parentId))) {
+      throw notFound(parentId);
+    }
+    const list = store.blocks[parentId] || (store.blocks[parentId] = []);
+    if (method === 'GET') return paginate(list.filter(b => !b.archived), body);
+    if (method === 'PATCH') {
+      const appended = (body?.children || []).map(b => ({ object: 'block', ...b, id: crypto.randomUUID(), created_time: now }));
+      list.push(...appended);
+      saveLocalStore();
+      return { object: 'list', results: appended, has_more: false, next_cursor: null };
+    }
+  }
+
+  if (seg[0] === 'blocks' && seg.length === 2 && method === 'DELETE') {
+    for (const list of Object.values(store.blocks)) {
+      const b = list.find(x => x.id === seg[1]);
+      if (b) { b.archived = true; saveLocalStore(); return b; }
+    }
+    throw notFound(seg[1]);
+  }
+
+  throw localNotionError(method, path, 400, 'invalid_request_url', `Local backend does not implement ${method} ${path}.`);
+}
+
+// ---- Sheets: A1 ranges ----
+function colToIndex(col) {
+  let n = 0;
+  for (const ch of col.toUpperCase()) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+function indexToCol(i) {
+  let s = '';
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+function parseA1(range) {
+  const bang = range.lastIndexOf('!');
+  const title = (bang >= 0 ? range.slice(0, bang) : range).replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+  const ref = bang >= 0 ? range.slice(bang + 1) : '';
+  const m = ref.match(/^([A-Z]+)?(\d+)?(?::([A-Z]+)?(\d+)?)?$/i);
+  if (!m) throw new Error(`Unable to parse range: ${range}`);
+  return {
+    title,
+    c1: m[1] ? colToIndex(m[1]) : 0,
+    r1: m[2] ? Number(m[2]) - 1 : 0,
+    c2: m[3] ? colToIndex(m[3]) : (m[1] && !m[4] && !ref.includes(':') ? colToIndex(m[1]) : Infinity),
+    r2: m[4] ? Number(m[4]) - 1 : (m[2] && !ref.includes(':') ? Number(m[2]) - 1 : Infinity)
+  };
+}
+
+function formatA1(title, c1, r1, c2, r2) {
+  return `'${title.replace(/'/g, "''")}'!${indexToCol(c1)}${r1 + 1}:${indexToCol(c2)}${r2 + 1}`;
+}
+
+function localSheetByTitle(title) {
+  const sheet = loadLocalStore().sheets.find(s => s.properties.title === title);
+  if (!sheet) throw new Error(`Unable to parse range: ${title}`);
+  return sheet;
+}
+
+function trimRows(rows) {
+  const out = rows.map(r => {
+    const row = [...r];
+    while (row.length && (row[row.length - 1] === '' || row[row.length - 1] == null)) row.pop();
+    return row;
+  });
+  while (out.length && !out[out.length - 1].length) out.pop();
+  return out;
+}
+
+function writeCells(sheet, r1, c1, values) {
+  values.forEach((row, i) => {
+    const target = sheet.values[r1 + i] || (sheet.values[r1 + i] = []);
+    for (let k = target.length; k < c1; k++) target[k] = '';
+    row.forEach((v, j) => { target[c1 + j] = v == null ? '' : String(v); });
+  });
+  for (let i = 0; i < sheet.values.length; i++) if (!sheet.values[i]) sheet.values[i] = [];
+}
+
+// ---- Sheets: client with the googleapis call shape used here ----
+function createLocalSheetsClient() {
+  const wrap = (fn) => async (params) => ({ data: fn(params) });
+  const sheetMeta = (s) => ({ properties: { ...s.properties } });
+  const readRange = (range) => {
+    const { title, r1, c1, r2, c2 } = parseA1(range);
+    const sheet = localSheetByTitle(title);
+    const rows = sheet.values.slice(r1, r2 === Infinity ? undefined : r2 + 1)
+      .map(r => (r || []).slice(c1, c2 === Infinity ? undefined : c2 + 1));
+    const values = trimRows(rows);
+    return { range, majorDimension: 'ROWS', ...(values.length ? { values } : {}) };
+  };
+
+  return {
+    spreadsheets: {
+      get: wrap(() => ({ spreadsheetId: SPREADSHEET_ID || 'local', sheets: loadLocalStore().sheets.map(sheetMeta) })),
+      batchUpdate: wrap(({ requestBody }) => {
+        const store = loadLocalStore();
+        const replies = [];
+        for (const req of requestBody.requests || []) {
+          if (req.deleteDimension) {
+            const { sheetId, dimension, startIndex, endIndex } = req.deleteDimension.range;
+            const sheet = store.sheets.find(s => s.properties.sheetId === sheetId);
+            if (!sheet) throw new Error(`No grid with id: ${sheetId}`);
+            if (dimension === 'ROWS') sheet.values.splice(startIndex, endIndex - startIndex);
+            else sheet.values.forEach(r => r.splice(startIndex, endIndex - startIndex));
+            replies.push({});
+          } else if (req.insertDimension) {
+            const { sheetId, dimension, startIndex, endIndex } = req.insertDimension.range;
+            const sheet = store.sheets.find(s => s.properties.sheetId === sheetId);
+            if (!sheet) throw new Error(`No grid with id: ${sheetId}`);
+            const n = endIndex - startIndex;
+            if (dimension === 'ROWS') sheet.values.splice(startIndex, 0, ...Array.from({ length: n }, () => []));
+            else sheet.values.forEach(r => { if (r.length > startIndex) r.splice(startIndex, 0, ...Array(n).fill('')); });
+            replies.push({});
+          } else if (req.addSheet) {
+            const props = req.addSheet.properties || {};
+            if (store.sheets.some(s => s.properties.title === props.title)) {
+              throw new Error(`A sheet with the name "${props.title}" already exists. Please enter another name.`);
+            }
+            const sheetId = props.sheetId ?? Math.max(0, ...store.sheets.map(s => s.properties.sheetId)) + 1;
+            const sheet = { properties: { ...props, sheetId, index: store.sheets.length }, values: [] };
+            store.sheets.push(sheet);
+            replies.push({ addSheet: sheetMeta(sheet) });
+          } else if (req.deleteSheet) {
+            store.sheets = store.sheets.filter(s => s.properties.sheetId !== req.deleteSheet.sheetId);
+            replies.push({});
+          } else if (req.updateSheetProperties) {
+            const { properties, fields } = req.updateSheetProperties;
+            const sheet = store.sheets.find(s => s.properties.sheetId === properties.sheetId);
+            if (!sheet) throw new Error(`No grid with id: ${properties.sheetId}`);
+            for (const f of (fields || '').split(',').map(x => x.trim()).filter(Boolean)) {
+              sheet.properties[f] = properties[f];
+            }
+            replies.push({});
+          } else {
+            throw new Error(`Local backend does not implement batchUpdate request ${Object.keys(req)[0]}`);
+          }
+        }
+        saveLocalStore();
+        return { spreadsheetId: SPREADSHEET_ID || 'local', replies };
+      }),
+      values: {
+        get: wrap(({ range }) => readRange(range)),
+        batchGet: wrap(({ ranges }) => ({ spreadsheetId: SPREADSHEET_ID || 'local', valueRanges: ranges.map(readRange) })),
+        update: wrap(({ range, requestBody }) => {
+          const { title, r1, c1 } = parseA1(range);
+          const sheet = localSheetByTitle(title);
+          const values = requestBody.values || [];
+          writeCells(sheet, r1, c1, values);
+          saveLocalStore();
+          const width = Math.max(1, ...values.map(r => r.length));
+          return { updatedRange: formatA1(title, c1, r1, c1 + width - 1, r1 + values.length - 1), updatedRows: values.length };
+        }),
+        batchUpdate: wrap(({ requestBody }) => {
+          const responses = [];
+          for (const { range, values = [] } of requestBody.data || []) {
+            const { title, r1, c1 } = parseA1(range);
+            writeCells(localSheetByTitle(title), r1, c1, values);
+            const width = Math.max(1, ...values.map(r => r.length));
+            responses.push({ updatedRange: formatA1(title, c1, r1, c1 + width - 1, r1 + values.length - 1), updatedRows: values.length });
+          }
+          saveLocalStore();
+          return { spreadsheetId: SPREADSHEET_ID || 'local', totalUpdatedRows: responses.reduce((n, r) => n + r.updatedRows, 0), responses };
+        }),
+        append: wrap(({ range, requestBody }) => {
+          const { title, c1 } = parseA1(range);
+          const sheet = localSheetByTitle(title);
+          const values = requestBody.values || [];
+          const r1 = trimRows(sheet.values).length;
+          writeCells(sheet, r1, c1, values);
+          saveLocalStore();
+          const width = Math.max(1, ...values.map(r => r.length));
+          return {
+            spreadsheetId: SPREADSHEET_ID || 'local',
+            updates: { updatedRange: formatA1(title, c1, r1, c1 + width - 1, r1 + values.length - 1), updatedRows: values.length }
+          };
+        }),
+        clear: wrap(({ range }) => {
+          const { title, r1, c1, r2, c2 } = parseA1(range);
+          const sheet = localSheetByTitle(title);
+          for (let r = r1; r < Math.min(sheet.values.length, r2 + 1); r++) {
+            const row = sheet.values[r] || [];
+            for (let c = c1; c < Math.min(row.length, c2 + 1); c++) row[c] = '';
+          }
+          saveLocalStore();
+          return { clearedRange: range };
+        })
+      }
+    }
+  };
+}
 
 // -------------------- Start server --------------------
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`NOLA Buddy API listening on port ${PORT}`);
+  startReminderScheduler();
 });
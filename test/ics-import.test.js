@@ -0,0 +1,141 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const PORT = 3900 + Math.floor(Math.random() * 90);
+const BASE = `http://127.0.0.1:${PORT}`;
+
+let server;
+let dataDir;
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nola-ics-'));
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      BACKEND: 'local',
+      AUTH_DISABLED: 'true',
+      PORT: String(PORT),
+      LOCAL_DATA_FILE: path.join(dataDir, 'store.json'),
+      REMINDER_SCAN_SECONDS: '0'
+    },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  await new Promise((resolve, reject) => {
+    server.once('exit', code => reject(new Error(`server exited with ${code}`)));
+    server.stdout.on('data', chunk => { if (String(chunk).includes('listening')) resolve(); });
+  });
+});
+
+after(() => {
+  server?.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function previewIcs(events, timeZone) {
+  const ics = ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+  const res = await fetch(`${BASE}/actionBase/importIcs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ics, timeZone, window: { start: '2026-11-01', end: '2026-11-30' } })
+  });
+  assert.equal(res.status, 200);
+  return res.json();
+}
+
+test('a TZID start in another zone is converted to the import zone', async () => {
+  const body = await previewIcs([[
+    'BEGIN:VEVENT', 'UID:single@test', 'SUMMARY:Standup',
+    'DTSTART;TZID=America/New_York:20261105T090000', 'END:VEVENT'
+  ]], 'America/Chicago');
+  assert.deepEqual(body.create.map(c => c.doDate), [{ date: '2026-11-05', time: '08:00' }]);
+});
+
+test('an override instance is converted to the import zone', async () => {
+  const body = await previewIcs([
+    ['BEGIN:VEVENT', 'UID:series@test', 'SUMMARY:Sync', 'DTSTART;TZID=America/New_York:20261102T090000',
+      'RRULE:FREQ=WEEKLY;COUNT=2', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:series@test', 'SUMMARY:Sync (moved)', 'RECURRENCE-ID;TZID=America/New_York:20261109T090000',
+      'DTSTART;TZID=America/New_York:20261110T090000', 'END:VEVENT']
+  ], 'America/Chicago');
+  const byName = Object.fromEntries(body.create.map(c => [c.name, c.doDate]));
+  assert.deepEqual(byName['Sync'], { date: '2026-11-02', time: '08:00' });
+  assert.deepEqual(byName['Sync (moved)'], { date: '2026-11-10', time: '08:00' });
+});
+
+test('a TZID start in the import zone keeps its wall time', async () => {
+  const body = await previewIcs([[
+    'BEGIN:VEVENT', 'UID:local@test', 'SUMMARY:Lunch',
+    'DTSTART;TZID=America/Chicago:20261105T120000', 'END:VEVENT'
+  ]], 'America/Chicago');
+  assert.deepEqual(body.create.map(c => c.doDate), [{ date: '2026-11-05', time: '12:00' }]);
+});
+
+async function importRaw(events, query) {
+  const ics = ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+  return fetch(`${BASE}/actionBase/importIcs?${new URLSearchParams(query)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/calendar' },
+    body: ics
+  });
+}
+
+const DAILY = ['BEGIN:VEVENT', 'UID:daily@test', 'SUMMARY:Walk', 'DTSTART:20261101T070000Z', 'RRULE:FREQ=DAILY', 'END:VEVENT'];
+
+test('a raw import rejects a malformed query window', async () => {
+  const res = await importRaw([DAILY], { windowStart: 'abc', windowEnd: '2100' });
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.code, 'INVALID_FORMAT');
+  assert.equal(body.field, 'windowStart');
+});
+
+test('a window longer than a year is rejected', async () => {
+  const res = await importRaw([DAILY], { windowStart: '2026-11-01', windowEnd: '2300-12-31' });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).code, 'OUT_OF_RANGE');
+});
+
+test('single and override events outside the window are dropped', async () => {
+  const body = await previewIcs([
+    ['BEGIN:VEVENT', 'UID:old@test', 'SUMMARY:Old', 'DTSTART:20250105T150000Z', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:late@test', 'SUMMARY:Late', 'DTSTART;VALUE=DATE:20270301', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:series@test', 'SUMMARY:Moved out', 'RECURRENCE-ID:20261109T150000Z',
+      'DTSTART:20261215T150000Z', 'END:VEVENT'],
+    ['BEGIN:VEVENT', 'UID:in@test', 'SUMMARY:Inside', 'DTSTART;VALUE=DATE:20261120', 'END:VEVENT']
+  ], 'America/Chicago');
+  assert.deepEqual(body.create.map(c => c.name), ['Inside']);
+});
+
+test('an import that expands past the instance cap is rejected', async () => {
+  const events = Array.from({ length: 6 }, (_, i) => DAILY.map(l => l.startsWith('UID:') ? `UID:daily${i}@test` : l));
+  const res = await importRaw(events, { windowStart: '2026-11-01', windowEnd: '2027-11-01' });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).code, 'OUT_OF_RANGE');
+});
+
+test('alignment rules match plain text, not patterns', async () => {
+  const ics = ['BEGIN:VCALENDAR', 'VERSION:2.0',
+    'BEGIN:VEVENT', 'UID:a@test', 'SUMMARY:React Study group', 'DTSTART;VALUE=DATE:20261110', 'END:VEVENT',
+    'BEGIN:VEVENT', 'UID:b@test', 'SUMMARY:aaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!', 'DTSTART;VALUE=DATE:20261111', 'END:VEVENT',
+    'END:VCALENDAR'].join('\r\n');
+  const res = await fetch(`${BASE}/actionBase/importIcs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      ics,
+      window: { start: '2026-11-01', end: '2026-11-30' },
+      alignmentRules: [{ match: 'study', alignment: 'DEV ED' }, { match: '(a+)+$', alignment: 'KRAZY MONKEE' }]
+    })
+  });
+  assert.equal(res.status, 200);
+  const byName = Object.fromEntries((await res.json()).create.map(c => [c.name, c.alignment]));
+  assert.equal(byName['React Study group'], 'DEV ED');
+  assert.equal(byName['aaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!'], null);
+});
@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const PORT = 3800 + Math.floor(Math.random() * 90);
+const BASE = `http://127.0.0.1:${PORT}`;
+
+let server;
+let dataDir;
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nola-quickadd-'));
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      BACKEND: 'local',
+      AUTH_DISABLED: 'true',
+      PORT: String(PORT),
+      LOCAL_DATA_FILE: path.join(dataDir, 'store.json'),
+      REMINDER_SCAN_SECONDS: '0'
+    },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  await new Promise((resolve, reject) => {
+    server.once('exit', code => reject(new Error(`server exited with ${code}`)));
+    server.stdout.on('data', chunk => { if (String(chunk).includes('listening')) resolve(); });
+  });
+});
+
+after(() => {
+  server?.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function parse(text) {
+  const res = await fetch(`${BASE}/actionBase/quickAdd`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text, confirm: false, timeZone: 'America/Chicago' })
+  });
+  assert.equal(res.status, 200);
+  return (await res.json()).parsed;
+}
+
+test('short weekday names inside ordinary words are not dates', async () => {
+  for (const [text, name] of [
+    ['buy sun screen', 'Buy sun screen'],
+    ['fix mon key lock', 'Fix mon key lock'],
+    ['email may about the wed cake', 'Email may about the wed cake'],
+    ['sat down with Dave', 'Sat down with Dave']
+  ]) {
+    const parsed = await parse(text);
+    assert.equal(parsed.name, name);
+    assert.equal(parsed.doDate, undefined, text);
+    assert.equal(parsed.dueDate, undefined, text);
+  }
+});
+
+test('short weekday names still work after on/next/by or before a time', async () => {
+  const onWed = await parse('dentist on wed');
+  assert.equal(onWed.name, 'Dentist');
+  assert.ok(onWed.doDate?.date);
+
+  const byFri = await parse('send invoice by fri');
+  assert.equal(byFri.name, 'Send invoice');
+  assert.ok(byFri.dueDate?.date);
+
+  const nextMon = await parse('plan sprint next mon');
+  assert.equal(nextMon.name, 'Plan sprint');
+  assert.ok(nextMon.doDate?.date);
+
+  const monAt3 = await parse('call Dave mon 3pm');
+  assert.equal(monAt3.name, 'Call Dave');
+  assert.equal(monAt3.doDate?.time, '15:00');
+});
+
+test('a full weekday name is a date on its own', async () => {
+  const parsed = await parse('gym saturday');
+  assert.equal(parsed.name, 'Gym');
+  assert.ok(parsed.doDate?.date);
+});
+
+test('a weekday in front of a date defers to the date', async () => {
+  const parsed = await parse('review contract fri 12/4/2026');
+  assert.equal(parsed.name, 'Review contract');
+  assert.deepEqual(parsed.doDate, { date: '2026-12-04' });
+});